@@ -1,34 +1,32 @@
-//Pools handle multiple connections in postgres
-import pg from 'pg';
+//Shared connection pool (see services/db.js)
+import { pool } from '../services/db.js';
 import { queriesObj } from '../scripts/queries.js'
-
-//Database connection
-const pool = new pg.Pool({
-    user: 'ericsegev',
-    host: 'localhost',
-    database: 'ezra_ai',
-    password: '',
-    port: 5432
-});
+import { detectSubscriptions } from '../services/subscriptions.js';
+import { getSpendingTimeSeries, GRANULARITIES } from '../services/spendingTimeSeries.js';
+import { ValidationError } from '../services/schemaRegistry.js';
+import { getFinancialMetrics } from '../services/financialMetrics.js';
+import { getGoalFunding, getLiabilities } from '../services/financialSnapshot.js';
+import { compareStrategies, PAYOFF_STRATEGIES, simulatePayoff } from '../services/debtPayoff.js';
+import { getBudgetReport, isValidMonth } from '../services/categoryBudgets.js';
 
 // const queries = require('../scripts/queries');
 
 
 export const show = async (req, res) => {
-    console.log(`request`);
     const type = req.params.type;
-    const acctId = req.params.userAcctId;
+    const acctId = req.accountId;
     const queries = queriesObj;
 
     if (type === 'budgetlang') {
         //pull out budget numbers (can be refactored later)
         const query = queries['budget'];
         const results = await pool.query(query, [acctId])
+        const budget = results.rows[0] ?? {}
 
         //convert data to numbers to run precent analysis
-        const housingExp = Number(results.housing_expenses);
-        const otherExp = Number(results.other_expenses);
-        const leftOver = Number(results.monthly_income) - (housingExp + otherExp);
+        const housingExp = Number(budget.housing_expenses ?? 0);
+        const otherExp = Number(budget.other_expenses ?? 0);
+        const leftOver = Number(budget.monthly_income ?? 0) - (housingExp + otherExp);
 
         //check how much of the monthly budget is spend on categorie and analyze it
         const total = housingExp + otherExp + leftOver;
@@ -45,12 +43,59 @@ export const show = async (req, res) => {
             more: moreStr
         }
 
-        console.log("language: ", language)
         res.json(language)
+    } else if (type === 'subscriptions') {
+        //recurring charges detected from credit card history
+        res.json(await detectSubscriptions(acctId))
+    } else if (type === 'metrics') {
+        //savings rate, runway, debt-to-income, housing/fixed-cost ratios and the health score, with their formulas
+        res.json(await getFinancialMetrics(acctId))
+    } else if (type === 'budgets') {
+        //budget vs actual per category for a month, with the projected month-end overspend
+        const month = req.query.month;
+        if (month !== undefined && !isValidMonth(month)) {
+            throw new ValidationError([{ field: 'month', message: 'must be a month like 2025-01' }]);
+        }
+        res.json(await getBudgetReport(acctId, { month }))
+    } else if (type === 'goals') {
+        //progress of every goal and the monthly contribution it needs, funded from the cash flow in priority order
+        const { goals, summary } = await getGoalFunding(acctId);
+        res.json({ goals, summary })
+    } else if (type === 'payoff') {
+        //month-by-month debt payoff schedule for one strategy, plus how every strategy compares with minimums only
+        const strategy = req.query.strategy || 'avalanche';
+        const extraPayment = req.query.extra ? Number(req.query.extra) : 0;
+        const order = req.query.order ? String(req.query.order).split(',').map((name) => name.trim()).filter(Boolean) : [];
+        if (!PAYOFF_STRATEGIES.includes(strategy)) {
+            throw new ValidationError([{ field: 'strategy', message: `must be one of: ${PAYOFF_STRATEGIES.join(', ')}` }]);
+        }
+        if (!Number.isFinite(extraPayment) || extraPayment < 0 || extraPayment > 1000000) {
+            throw new ValidationError([{ field: 'extra', message: 'must be a number between 0 and 1000000' }]);
+        }
+        if (strategy === 'custom' && !order.length) {
+            throw new ValidationError([{ field: 'order', message: 'is required for the custom strategy (comma-separated liability names)' }]);
+        }
+        const liabilities = await getLiabilities(acctId);
+        res.json({
+            plan: simulatePayoff(liabilities, { strategy, extraPayment, order }),
+            comparison: compareStrategies(liabilities, { extraPayment, order })
+        })
+    } else if (type === 'timeseries') {
+        //spending by year-month (or week) with deltas and trailing averages
+        const granularity = req.query.granularity || 'month';
+        const periods = req.query.periods ? Number(req.query.periods) : undefined;
+        if (!GRANULARITIES.includes(granularity)) {
+            throw new ValidationError([{ field: 'granularity', message: `must be one of: ${GRANULARITIES.join(', ')}` }]);
+        }
+        if (periods !== undefined && (!Number.isInteger(periods) || periods < 1 || periods > 120)) {
+            throw new ValidationError([{ field: 'periods', message: 'must be a whole number between 1 and 120' }]);
+        }
+        res.json(await getSpendingTimeSeries(acctId, { granularity, periods }))
+    } else if (!Object.hasOwn(queries, type)) {
+        throw new ValidationError([{ field: 'type', message: `Unknown analysis type "${type}"` }]);
     } else {
         const query = queries[type];
         const results = await pool.query(query, [acctId])
-        console.log("results: ", results.rows)
         res.json(results.rows)
 
     }
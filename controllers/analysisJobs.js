@@ -0,0 +1,168 @@
+//Shared connection pool (see services/db.js)
+import { pool } from '../services/db.js';
+import { validateId } from '../services/schemaRegistry.js';
+import { findConversation } from '../services/conversations.js';
+import { parseAnalysisRequest, startAnalysis } from '../services/analysisPipeline.js';
+import { findRun } from '../services/analysisRuns.js';
+import { createEventLog, findEventLog, lastEventId, pipeEventLog } from '../services/sse.js';
+
+//How many background jobs one account may have running at once, each one is a full (paid) pipeline
+const configuredLimit = Number(process.env.MAX_RUNNING_JOBS);
+const MAX_RUNNING_JOBS = Number.isInteger(configuredLimit) && configuredLimit > 0 ? configuredLimit : 3;
+
+//Running jobs per account, counted in-process like the event logs
+const runningJobs = new Map();
+const countJob = (accountId, delta) => {
+    const count = (runningJobs.get(accountId) ?? 0) + delta;
+    if (count > 0) runningJobs.set(accountId, count);
+    else runningJobs.delete(accountId);
+};
+
+//A job is an analysis run started in the background, its id is the run id.
+//Progress lives in the run's event log (in memory, see services/sse.js);
+//a "running" run without a live one was cut short by a server restart.
+const jobStatus = (run, log) => (run.status === 'running' && (!log || log.closed) ? 'interrupted' : run.status);
+
+//Polling view: the stored run, plus the live progress while it is running
+const describeJob = (run, log) => {
+    const entries = log?.entries ?? [];
+    const statuses = entries.filter((e) => e.event === 'status');
+    const verifications = entries.filter((e) => e.event === 'verification');
+    //A regenerated answer replaces the deltas streamed before it
+    const answerStart = entries.findLastIndex((e) => e.event === 'verification' && e.data.regenerating) + 1;
+
+    return {
+        id: run.id,
+        status: jobStatus(run, log),
+        question: run.question,
+        conversationId: run.conversation_id,
+        messageId: run.message_id,
+        lastStatus: statuses.at(-1)?.data.status ?? null,
+        experts: log
+            ? entries.filter((e) => e.event === 'expert_result').map((e) => e.data)
+            : Object.entries(run.expert_outputs ?? {}).map(([expert, { status, error }]) => ({ expert, status, error })),
+        //The final text once stored, until then what has been streamed so far
+        answer: run.final_text ?? (entries.slice(answerStart).filter((e) => e.event === 'delta').map((e) => e.data.delta).join('') || null),
+        verification: verifications.at(-1)?.data ?? run.verification?.at(-1) ?? null,
+        error: run.error,
+        createdAt: run.created_at,
+        completedAt: run.completed_at
+    };
+};
+
+//Once a finished job's log has expired, its stream is rebuilt from the stored run
+const logFromStoredRun = (run, accountId) => {
+    const log = createEventLog({ key: run.id, accountId, cancelWhenAbandoned: false });
+    log.emit('run', { runId: run.id, conversationId: run.conversation_id });
+    if (run.final_text) log.emit('delta', { delta: run.final_text });
+    if (run.verification?.length) log.emit('verification', run.verification.at(-1));
+
+    if (run.status === 'completed') {
+        log.emit('saved', { conversationId: run.conversation_id, messageId: run.message_id, runId: run.id });
+        log.emit('done', { done: true });
+    } else if (run.status === 'cancelled') {
+        log.emit('cancelled', { cancelled: true });
+    } else {
+        log.emit('error', { error: run.error || 'The analysis was interrupted, please try again.' });
+    }
+    return log;
+};
+
+//JOB - CREATE, returns right away; the answer is fetched through the links
+const create = async (req, res) => {
+    const { question, conversationId } = parseAnalysisRequest(req.body);
+
+    if (conversationId && !(await findConversation(req.accountId, conversationId))) {
+        return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    if ((runningJobs.get(req.accountId) ?? 0) >= MAX_RUNNING_JOBS) {
+        return res.status(429).json({
+            success: false,
+            error: `You already have ${MAX_RUNNING_JOBS} analyses running, wait for one to finish or cancel it`
+        });
+    }
+
+    //Counted before anything is awaited, so simultaneous requests can't all slip under the limit
+    countJob(req.accountId, 1);
+    let started;
+    try {
+        started = await startAnalysis({
+            accountId: req.accountId,
+            question,
+            conversationId,
+            cancelWhenAbandoned: false
+        });
+    } catch (err) {
+        countJob(req.accountId, -1);
+        throw err;
+    }
+    const { run, finished } = started;
+    finished.finally(() => countJob(req.accountId, -1));
+
+    res.status(202).json({
+        success: true,
+        data: {
+            id: run.id,
+            status: 'running',
+            stream: `/analysis-jobs/${run.id}/stream`,
+            poll: `/analysis-jobs/${run.id}`
+        }
+    });
+}
+
+//JOB - READ (polling)
+const show = async (req, res) => {
+    const run = await findRun(req.accountId, validateId(req.params.id));
+
+    if (!run) {
+        return res.status(404).json({ success: false, error: 'Analysis job not found' });
+    }
+
+    res.json(describeJob(run, findEventLog(run.id, req.accountId)));
+}
+
+//JOB - STREAM (SSE, EventSource friendly: GET, ?access_token=, Last-Event-ID resume)
+const stream = async (req, res) => {
+    const id = validateId(req.params.id);
+    const from = lastEventId(req, id);
+    const run = await findRun(req.accountId, id);
+
+    if (!run) {
+        return res.status(404).json({ success: false, error: 'Analysis job not found' });
+    }
+
+    const log = findEventLog(run.id, req.accountId) ?? logFromStoredRun(run, req.accountId);
+    pipeEventLog(req, res, log, from?.seq ?? 0);
+}
+
+//JOB - CANCEL
+const cancel = async (req, res) => {
+    const run = await findRun(req.accountId, validateId(req.params.id));
+
+    if (!run) {
+        return res.status(404).json({ success: false, error: 'Analysis job not found' });
+    }
+
+    if (run.status !== 'running') {
+        return res.status(409).json({ success: false, error: `The job is already ${run.status}` });
+    }
+
+    //Stops the pipeline and tells every stream subscriber; marked here too so
+    //polling sees it right away (the pipeline saves the same status when it stops)
+    const log = findEventLog(run.id, req.accountId);
+    if (log && !log.closed) log.cancel();
+    await pool.query(
+        `UPDATE analysis_runs SET status = 'cancelled', completed_at = NOW() WHERE id = $1 AND status = 'running';`,
+        [run.id]
+    );
+
+    res.json({ success: true, data: run.id });
+}
+
+export {
+    create,
+    show,
+    stream,
+    cancel
+}
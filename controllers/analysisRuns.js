@@ -0,0 +1,84 @@
+import { validateId } from '../services/schemaRegistry.js';
+import { expertResponsesFromRun, findRun, startRun, summarizeUsage } from '../services/analysisRuns.js';
+import { streamCheckedAnswer } from '../services/analysisPipeline.js';
+import { createEventLog, pipeEventLog } from '../services/sse.js';
+
+//RUN - READ, everything the pipeline produced for one /openai question
+const show = async (req, res) => {
+    const run = await findRun(req.accountId, validateId(req.params.id));
+
+    if (!run) {
+        return res.status(404).json({ success: false, error: 'Analysis run not found' });
+    }
+
+    res.json({ ...run, token_usage: summarizeUsage(run.token_usage ?? []) });
+}
+
+//RUN - REPLAY the final synthesis from the stored expert outputs (SSE, same protocol as /openai)
+//The replay is saved as a new run pointing back at the original through replay_of
+const replay = async (req, res) => {
+    const original = await findRun(req.accountId, validateId(req.params.id));
+
+    if (!original) {
+        return res.status(404).json({ success: false, error: 'Analysis run not found' });
+    }
+
+    const expertResponses = expertResponsesFromRun(original);
+    if (!original.classification || !original.snapshot || !expertResponses.length) {
+        return res.status(409).json({ success: false, error: 'This run has no expert results to replay' });
+    }
+
+    const run = await startRun({
+        accountId: req.accountId,
+        question: original.question,
+        conversationId: original.conversation_id,
+        replayOf: original.id
+    });
+    run.set({
+        classification: original.classification,
+        experts: original.experts,
+        expertOutputs: original.expert_outputs,
+        snapshot: original.snapshot,
+        history: original.history
+    });
+
+    const log = createEventLog({ key: run.id, accountId: req.accountId });
+    pipeEventLog(req, res, log);
+    try {
+        log.emit('run', { runId: run.id, replayOf: original.id });
+
+        //Streamed and fact-checked like the original answer
+        await streamCheckedAnswer({
+            expertResponses,
+            question: original.question,
+            classification: original.classification,
+            history: original.history ?? [],
+            snapshot: original.snapshot,
+            log,
+            run,
+            step: async (label, fn) => {
+                const start = Date.now();
+                const result = await fn();
+                run.recordLatency(label, Date.now() - start);
+                return result;
+            }
+        });
+        if (log.signal.aborted) return;
+        await run.finish('completed');
+
+        log.emit('done', { done: true });
+    } catch (err) {
+        if (log.signal.aborted) return;
+
+        console.error('Replay error:', err);
+        await run.finish('failed', err);
+        log.emit('error', { error: err?.message || 'Unexpected server error' });
+    } finally {
+        run.finish('cancelled');
+    }
+}
+
+export {
+    show,
+    replay
+}
@@ -0,0 +1,108 @@
+//Shared connection pool (see services/db.js)
+import { pool } from '../services/db.js';
+import { randomUUID } from 'crypto';
+import { hashPassword, verifyPassword, signToken } from '../services/auth.js';
+
+const MIN_PASSWORD_LENGTH = 8;
+//users.username is VARCHAR(100)
+const MAX_USERNAME_LENGTH = 100;
+
+//Shape of the user returned to the client, never includes the hash
+const publicUser = (user) => ({
+    id: user.id,
+    username: user.username,
+    accountId: user.account_id
+});
+
+//Postgres error code for a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+//Username and password from the body, null when either is not a string
+const readCredentials = (body) => {
+    const { username, password } = body ?? {};
+    if (typeof username !== 'string' || typeof password !== 'string') return null;
+    return { username: username.trim().toLowerCase(), password };
+}
+
+const usernameTaken = (res) => res.status(409).json({ success: false, error: 'Username is already taken' });
+
+//SIGNUP
+const signup = async (req, res) => {
+    const credentials = readCredentials(req.body);
+
+    if (!credentials?.username || credentials.username.length > MAX_USERNAME_LENGTH || credentials.password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            error: `A username of up to ${MAX_USERNAME_LENGTH} characters and a password of at least ${MIN_PASSWORD_LENGTH} characters are required`
+        });
+    }
+    const { username, password } = credentials;
+
+    const existing = await pool.query(`SELECT id FROM users WHERE username = $1;`, [username]);
+    if (existing.rows.length) {
+        return usernameTaken(res);
+    }
+
+    //Every new user gets their own account, the client never picks it
+    const passwordHash = await hashPassword(password);
+    let result;
+    try {
+        result = await pool.query(
+            `INSERT INTO users (username, password_hash, account_id) VALUES ($1, $2, $3) RETURNING id, username, account_id;`,
+            [username, passwordHash, randomUUID()]
+        );
+    } catch (err) {
+        //A concurrent signup took the username between the check and the insert
+        if (err.code === UNIQUE_VIOLATION) return usernameTaken(res);
+        throw err;
+    }
+    const user = result.rows[0];
+
+    res.status(201).json({
+        success: true,
+        token: signToken(user),
+        user: publicUser(user)
+    });
+}
+
+//LOGIN
+const login = async (req, res) => {
+    const credentials = readCredentials(req.body);
+    if (!credentials) {
+        return res.status(400).json({ success: false, error: 'A username and a password are required' });
+    }
+    const { username, password } = credentials;
+
+    const result = await pool.query(
+        `SELECT id, username, password_hash, account_id FROM users WHERE username = $1;`,
+        [username]
+    );
+    const user = result.rows[0];
+
+    //Same response for unknown user and wrong password
+    //Users carried over from the old plaintext table have no hash (migration 001)
+    if (!user?.password_hash || !(await verifyPassword(password, user.password_hash))) {
+        return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+
+    res.json({
+        success: true,
+        token: signToken(user),
+        user: publicUser(user)
+    });
+}
+
+//CURRENT USER
+const me = async (req, res) => {
+    res.json({
+        success: true,
+        user: { id: req.user.id, username: req.user.username, accountId: req.accountId }
+    });
+}
+
+
+export {
+    signup,
+    login,
+    me
+}
@@ -0,0 +1,217 @@
+//Shared connection pool (see services/db.js)
+import { pool, withTransaction } from '../services/db.js';
+import { validateId, ValidationError } from '../services/schemaRegistry.js';
+import {
+    categorizeWithAI,
+    knownCategories,
+    loadCategorizer,
+    merchantKey,
+    validateRule
+} from '../services/categorization.js';
+
+//RULES - READ
+const listRules = async (req, res) => {
+    const result = await pool.query(
+        `SELECT id, position, match_type, pattern, min_amount, max_amount, category, created_at
+        FROM category_rules
+        WHERE account_id = $1
+        ORDER BY position, id;`,
+        [req.accountId]
+    );
+
+    res.json(result.rows);
+}
+
+//RULES - CREATE (appended to the end unless a position is given)
+const createRule = async (req, res) => {
+    const rule = validateRule(req.body);
+
+    const id = await withTransaction(async (client) => {
+        const { rows } = await client.query(
+            `SELECT COALESCE(MAX(position), 0) AS max FROM category_rules WHERE account_id = $1;`,
+            [req.accountId]
+        );
+        const last = Number(rows[0].max);
+        const requested = Number.parseInt(req.body?.position, 10);
+        const position = Number.isInteger(requested) && requested >= 1 && requested <= last ? requested : last + 1;
+
+        //Make room when inserting in the middle
+        await client.query(
+            `UPDATE category_rules SET position = position + 1 WHERE account_id = $1 AND position >= $2;`,
+            [req.accountId, position]
+        );
+
+        const result = await client.query(
+            `INSERT INTO category_rules (account_id, position, match_type, pattern, min_amount, max_amount, category)
+            VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id;`,
+            [req.accountId, position, rule.match_type, rule.pattern, rule.min_amount, rule.max_amount, rule.category]
+        );
+        return result.rows[0].id;
+    });
+
+    res.status(201).json({ success: true, data: id });
+}
+
+//RULES - REORDER, body is { ids: [...] } with every rule id in the new order
+const reorderRules = async (req, res) => {
+    const ids = req.body?.ids;
+    if (!Array.isArray(ids) || !ids.length) {
+        throw new ValidationError([{ field: 'ids', message: 'must be a non-empty array of rule ids' }]);
+    }
+    const order = ids.map(validateId);
+
+    const updated = await withTransaction(async (client) => {
+        const { rows } = await client.query(`SELECT id FROM category_rules WHERE account_id = $1;`, [req.accountId]);
+        const existing = new Set(rows.map((row) => row.id));
+
+        if (order.length !== existing.size || new Set(order).size !== order.length || !order.every((id) => existing.has(id))) {
+            throw new ValidationError([{ field: 'ids', message: 'must list every rule of the account exactly once' }]);
+        }
+
+        await client.query(
+            `UPDATE category_rules r
+            SET position = o.position
+            FROM UNNEST($1::int[]) WITH ORDINALITY AS o(id, position)
+            WHERE r.id = o.id AND r.account_id = $2;`,
+            [order, req.accountId]
+        );
+        return order.length;
+    });
+
+    res.json({ success: true, data: updated });
+}
+
+//RULES - DELETE
+const deleteRule = async (req, res) => {
+    const result = await pool.query(
+        `DELETE FROM category_rules WHERE id = $1 AND account_id = $2 RETURNING id;`,
+        [validateId(req.params.id), req.accountId]
+    );
+
+    if (!result.rows.length) {
+        return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+
+    res.json({ success: true, data: result.rows[0].id });
+}
+
+//APPLY - re-run the engine over existing transactions, user-set categories are left alone
+//original_category is only ever the bank's label: a row the bank left uncategorized goes
+//back to NULL once no rule or merchant matches it anymore
+const applyRules = async (req, res) => {
+    const useAI = req.body?.useAI === true;
+
+    const categorize = await loadCategorizer(pool, req.accountId);
+    const { rows } = await pool.query(
+        `SELECT id, description, amount, type, category, original_category
+        FROM credit_cards
+        WHERE account_id = $1 AND category_source IS DISTINCT FROM 'user';`,
+        [req.accountId]
+    );
+
+    const changes = rows.map((row) => ({ row, next: categorize(row) }));
+
+    //The model is called before any transaction is opened
+    if (useAI) {
+        const leftovers = changes.filter(({ row, next }) => !next.category && row.type !== 'Payment');
+        if (leftovers.length) {
+            const aiCategories = await categorizeWithAI(
+                leftovers.map(({ row }) => row.description),
+                await knownCategories(pool, req.accountId)
+            );
+            for (const change of leftovers) {
+                const category = aiCategories.get(change.row.description);
+                if (category) change.next = { category, category_source: 'ai' };
+            }
+        }
+    }
+
+    const updates = changes.filter(({ row, next }) => next.category !== row.category);
+    if (updates.length) {
+        //User edits made while we were working still win
+        await pool.query(
+            `UPDATE credit_cards c
+            SET category = u.category,
+                category_source = u.source
+            FROM UNNEST($1::int[], $2::varchar[], $3::varchar[]) AS u(id, category, source)
+            WHERE c.id = u.id AND c.account_id = $4 AND c.category_source IS DISTINCT FROM 'user';`,
+            [
+                updates.map(({ row }) => row.id),
+                updates.map(({ next }) => next.category),
+                updates.map(({ next }) => next.category_source),
+                req.accountId
+            ]
+        );
+    }
+
+    res.json({ success: true, scanned: rows.length, updated: updates.length });
+}
+
+//TRANSACTION CATEGORY - the user's choice wins and is remembered for the merchant
+const setTransactionCategory = async (req, res) => {
+    const id = validateId(req.params.id);
+    const category = typeof req.body?.category === 'string' ? req.body.category.trim() : '';
+    const remember = req.body?.remember !== false;
+
+    if (!category || category.length > 100) {
+        throw new ValidationError([{ field: 'category', message: 'is required (max 100 characters)' }]);
+    }
+
+    const result = await withTransaction(async (client) => {
+        const updated = await client.query(
+            `UPDATE credit_cards
+            SET category = $1,
+                category_source = 'user'
+            WHERE id = $2 AND account_id = $3
+            RETURNING id, description;`,
+            [category, id, req.accountId]
+        );
+        if (!updated.rows.length) return null;
+
+        let alsoUpdated = 0;
+        if (remember) {
+            const merchant = merchantKey(updated.rows[0].description);
+            await client.query(
+                `INSERT INTO merchant_categories (account_id, merchant, category) VALUES ($1, $2, $3)
+                ON CONFLICT (account_id, merchant) DO UPDATE SET category = EXCLUDED.category, updated_at = NOW();`,
+                [req.accountId, merchant, category]
+            );
+
+            //Carry the choice over to the merchant's other transactions that the user hasn't touched
+            const { rows } = await client.query(
+                `SELECT id, description FROM credit_cards
+                WHERE account_id = $1 AND id <> $2 AND type <> 'Payment' AND category_source IS DISTINCT FROM 'user';`,
+                [req.accountId, id]
+            );
+            const sameMerchant = rows.filter((row) => merchantKey(row.description) === merchant).map((row) => row.id);
+            if (sameMerchant.length) {
+                const more = await client.query(
+                    `UPDATE credit_cards
+                    SET category = $1,
+                        category_source = 'merchant'
+                    WHERE id = ANY($2::int[]) AND account_id = $3;`,
+                    [category, sameMerchant, req.accountId]
+                );
+                alsoUpdated = more.rowCount;
+            }
+        }
+
+        return { id, category, alsoUpdated };
+    });
+
+    if (!result) {
+        return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+
+    res.json({ success: true, data: result });
+}
+
+
+export {
+    listRules,
+    createRule,
+    reorderRules,
+    deleteRule,
+    applyRules,
+    setTransactionCategory
+}
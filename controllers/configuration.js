@@ -1,173 +1,69 @@
-//Pools handle multiple connections in postgres
-import pg from 'pg';
-// const { Pool } = require('pg')
-
-//Database connection
-const pool = new pg.Pool({
-    user: 'ericsegev',
-    host: 'localhost',
-    database: 'ezra_ai',
-    password: '',
-    port: 5432
-});
-
-import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
-import csvParser from 'csv-parser';
-import xlsx from 'xlsx';
-import { fileURLToPath } from 'url';
-import { emitWarning } from 'process';
-
-// ES module equivalents for __dirname
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Configure multer for file storage
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadPath = path.join(__dirname, '..', 'uploads', req.body.account_id);
-        // Create directory if it doesn't exist
-        if (!fs.existsSync(uploadPath)) {
-            fs.mkdirSync(uploadPath, { recursive: true });
-        }
-        cb(null, uploadPath);
-    },
-    filename: (req, file, cb) => {
-        const timestamp = Date.now();
-        const category = req.body.category || 'unknown';
-        cb(null, `${category}_${timestamp}_${file.originalname}`);
-    }
-});
-
-const upload = multer({ storage });
-
-// Helper function to parse CSV
-function parseCSV(filePath) {
-    return new Promise((resolve, reject) => {
-        const results = [];
-        fs.createReadStream(filePath)
-            .pipe(csvParser())
-            .on('data', (data) => results.push(data))
-            .on('end', () => resolve(results))
-            .on('error', (error) => reject(error));
-    });
+//Shared connection pool (see services/db.js)
+import { pool, withTransaction } from '../services/db.js';
+import { getTable, validateRecord, validateId, ValidationError } from '../services/schemaRegistry.js';
+
+//Positional arrays (older clients) follow the column order of the registry
+const fromPositional = (tableDef, row) => {
+    const columns = Object.keys(tableDef.columns);
+    return Object.fromEntries(row.slice(0, columns.length).map((value, i) => [columns[i], value]));
 }
 
-// Helper function to parse Excel
-function parseExcel(filePath) {
-    const workbook = xlsx.readFile(filePath);
-    const sheetName = workbook.SheetNames[0];
-    const sheet = workbook.Sheets[sheetName];
-    return xlsx.utils.sheet_to_json(sheet);
+//Builds a parameterized INSERT from a validated record, column names come from the registry only
+const insertRecord = async (db, tableDef, acctId, record) => {
+    const columns = ['account_id', ...Object.keys(record)];
+    const params = [acctId, ...Object.values(record)];
+    const query = `INSERT INTO ${tableDef.name} (${columns.map(col => `"${col}"`).join(', ')}) VALUES (${params.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING id`
+    const result = await db.query(query, params);
+    return result.rows[0].id;
 }
 
-// Helper function to insert transactions
-async function insertTransactions(table, accountId, category, data, pool) {
-    const inserted = [];
-
-    for (const row of data) {
-        const values = [
-            accountId,
-            category,
-            row.date || row.Date,
-            row.description || row.Description,
-            row.amount || row.Amount || row.debit || row.Debit || row.credit || row.Credit
-        ];
-
-        try {
-            const result = await pool.query(
-                `INSERT INTO ${table} (account_id, category, date, description, amount) 
-                 VALUES ($1, $2, $3, $4, $5) RETURNING id`,
-                values
-            );
-            inserted.push(result.rows[0]);
-        } catch (err) {
-            console.error('Insert error:', err);
-        }
+//Id columns with a registry `references` must point at the caller's own rows
+const checkReferences = async (tableDef, record, acctId) => {
+    const errors = [];
+    for (const [field, spec] of Object.entries(tableDef.columns)) {
+        if (!spec.references || record[field] == null) continue;
+        const { rows } = await pool.query(`SELECT 1 FROM ${getTable(spec.references).name} WHERE id = $1 AND account_id = $2;`, [record[field], acctId]);
+        if (!rows.length) errors.push({ field, message: `must be one of your ${spec.references}` });
     }
-
-    return inserted;
+    if (errors.length) throw new ValidationError(errors);
 }
 
-
-
-const tableDefinitions = {
-    demographics: {
-        name: 'demographics',
-        fields: ['account_id', 'first_name', 'last_name', 'gender', 'industry']
-    },
-    incomes: {
-        name: 'incomes',
-        fields: ['account_id', 'source', 'frequency', 'amount']
-    },
-    assets: {
-        name: 'assets',
-        fields: ['account_id', 'name', 'category', 'value']
-    },
-    liabilities: {
-        name: 'liabilities',
-        fields: ['account_id', 'name', 'category', 'value']
-    },
-    fixedCosts: {
-        name: 'fixed_costs',
-        fields: ['account_id', 'name', 'category', 'amount']
-    },
-    creditCards: {
-        name: 'credit_cards',
-        fields: ['account_id', 'transaction_date', 'post_date', 'description', 'category', 'type', 'amount', 'memo']
-    },
-    users: {
-        name: 'users',
-        fields: ['account_id', 'username', 'password']
-    }
-}
+//Unique indexes (e.g. one budget per category) surface as a 409 instead of a 500
+const UNIQUE_VIOLATION = '23505';
+const conflict = (res) => res.status(409).json({ success: false, error: 'A record with these values already exists' });
 
 //CREATE - Modified create function
 const create = async (req, res) => {
     const { table } = req.params;
-    console.log("req.body: ", req.body);
-    console.log("category: ", req.body.category);
-    
-    const { values, data, category, acctId } = req.body;
-
-    const client = await pool.connect();
-
-    await client.query('BEGIN');
-
-    if (data) {
-        console.log('file upload')
-        const tableDef = tableDefinitions[req.body.category]
-        const query = `INSERT INTO ${tableDef.name} ("id",${tableDef.fields.map(col => `"${col}"`).join(', ')}) VALUES (DEFAULT, $1, ${data[0].map((_, i) => `$${i + 2}`).join(', ')}) RETURNING id`
-        console.log("query: ", query);
-
-        for (const row of data) {
-            //convert the amount from string to number and take absolute values
-            row[5] = Math.abs(parseFloat(row[5].replace(/,/g, '')));
-
-            console.log("row: ", row)
-            row.unshift(acctId)
-            console.log("row: ", row)
-
-            await client.query(query,row)
-        }
-    } else if (values) {
-        const tableDef = tableDefinitions[table]
-        const query = `INSERT INTO ${tableDef.name} ("id",${tableDef.fields.map(col => `"${col}"`).join(', ')}) VALUES (DEFAULT, ${values.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING id`
-        console.log("query: ",query)
-        //convert the amount from string to number and take absolute values
-        // values[5] = Math.abs(parseFloat(values[5].replace(/,/g, '')));
-        
-        await client.query(query, values )
-    } else {
-        console.log('No data was provided');
+    const { values } = req.body;
+    //account_id always comes from the authenticated user, never from the body
+    const acctId = req.accountId;
+
+    //Statement files go through POST /import instead
+    if (!values) {
+        throw new ValidationError([{ field: 'values', message: 'No data was provided' }]);
     }
 
-    await client.query('COMMIT');
+    const tableDef = getTable(table);
+
+    //values used to be positional with account_id first, objects are preferred
+    const input = Array.isArray(values) ? fromPositional(tableDef, values.slice(1)) : values;
+    const validated = validateRecord(tableDef, input);
+    await checkReferences(tableDef, validated, acctId);
+    const record = tableDef.prepare?.(validated, { partial: false }) ?? validated;
+
+    let id;
+    try {
+        id = await insertRecord(pool, tableDef, acctId, record);
+    } catch (err) {
+        if (err.code === UNIQUE_VIOLATION) return conflict(res);
+        throw err;
+    }
 
     res.json({ 
             success: true, 
-            rowsInserted: data? data.length : 1
+            rowsInserted: 1,
+            data: id
         });
 
 };
@@ -175,13 +71,15 @@ const create = async (req, res) => {
 
 //READ
 const index = async (req, res) => {
-    const userAcctId = req.params.userAcctId;
+    const userAcctId = req.accountId;
 
     const demographicsResult = await pool.query(`SELECT * FROM demographics WHERE account_id=$1;`, [userAcctId]);
     const incomesResult = await pool.query(`SELECT * FROM incomes WHERE account_id=$1;`, [userAcctId]);
     const assetsResult = await pool.query(`SELECT * FROM assets WHERE account_id=$1;`, [userAcctId]);
     const liabilitiesResult = await pool.query(`SELECT * FROM liabilities WHERE account_id=$1;`, [userAcctId]);
     const fixedCostsResult = await pool.query(`SELECT * FROM fixed_costs WHERE account_id=$1;`, [userAcctId]);
+    const goalsResult = await pool.query(`SELECT * FROM goals WHERE account_id=$1;`, [userAcctId]);
+    const categoryBudgetsResult = await pool.query(`SELECT * FROM category_budgets WHERE account_id=$1;`, [userAcctId]);
 
     // console.log('Demographics:', demographicsResult.rows); // Check console
 
@@ -191,6 +89,8 @@ const index = async (req, res) => {
         assets: assetsResult.rows,
         liabilities: liabilitiesResult.rows,
         fixedCosts: fixedCostsResult.rows,
+        goals: goalsResult.rows,
+        categoryBudgets: categoryBudgetsResult.rows,
     };
 
     // console.log('Sending response:', response); // Check what's being sent
@@ -198,42 +98,72 @@ const index = async (req, res) => {
     res.json(response);
 }
 
-//UPDATE
+//UPDATE - body is an object of { column: value }, any number of columns at once
 const update = async (req, res) => {
-    const tableParam = req.params.table
-    const table = tableDefinitions[tableParam].name;
-    const field = req.params.field;
-    const id = req.params.id;
-    console.log(`table: ${table}, body: ${req.body[0]}`)
-    // const fields = tableDefinitions[tableParam].fields;
-    const value = req.body[0];
-
-    // Generates the string: "$1, $2, $3, $4, $5"
-    // const variablesStr = values.map((_, i) => `$${i + 1}`).join(', ');
-
-    //Build query by joining the fields array and the provided body from the req
-    const query = `UPDATE ${table} SET ${field} = $1 WHERE id=$2 RETURNING id;`
-    const values = [value, id];
-    // const query = `INSERT INTO ${table} (${fields.join(', ')}) VALUES (${variablesStr}) RETURNING id;`
-    console.log(`Executing: ${query} with ${values}`)
+    const tableDef = getTable(req.params.table);
+    const id = validateId(req.params.id);
+    const validated = validateRecord(tableDef, req.body, { partial: true });
+    await checkReferences(tableDef, validated, req.accountId);
+
+    let result;
+    try {
+        result = await withTransaction(async (client) => {
+            //prepare() may need the stored row (a card's type decides its amount's sign), locked until the UPDATE
+            let current;
+            if (tableDef.prepare) {
+                const { rows } = await client.query(`SELECT * FROM ${tableDef.name} WHERE id=$1 AND account_id=$2 FOR UPDATE;`, [id, req.accountId]);
+                if (!rows.length) return rows;
+                current = rows[0];
+            }
+            const record = tableDef.prepare?.(validated, { partial: true, current }) ?? validated;
+
+            //Build the SET clause from registry columns only
+            //Rows are only updatable by the account that owns them
+            const fields = Object.keys(record);
+            const setClause = fields.map((field, i) => `"${field}" = $${i + 1}`).join(', ');
+            const values = [...Object.values(record), id, req.accountId];
+            const query = `UPDATE ${tableDef.name} SET ${setClause} WHERE id=$${fields.length + 1} AND account_id=$${fields.length + 2} RETURNING id;`
+            return (await client.query(query, values)).rows;
+        });
+    } catch (err) {
+        if (err.code === UNIQUE_VIOLATION) return conflict(res);
+        throw err;
+    }
 
-    const result = await pool.query(query, values)
+    if (!result.length) {
+        return res.status(404).json({ success: false, error: 'Record not found' });
+    }
 
     res.json({
         success: true,
-        data: result.rows[0].id
+        data: result[0].id,
+        updated: Object.keys(validated)
     });
 }
 
+//UPDATE (deprecated) - PUT /config/:table/:field/:id with the value in body[0]
+//Kept for older clients while they move to PATCH, goes through the same validation
+const legacyUpdate = async (req, res) => {
+    if (!Array.isArray(req.body) || !req.body.length) {
+        throw new ValidationError([{ field: 'body', message: 'must be an array with the new value first' }]);
+    }
+    res.set('Deprecation', 'true');
+    req.body = { [req.params.field]: req.body[0] };
+    return update(req, res);
+}
+
 //DELETE
 const deleteRecord = async (req, res) => {
-    const tableParam = req.params.table
-    const table = tableDefinitions[tableParam].name;
-    const id = req.params.id
+    const tableDef = getTable(req.params.table);
+    const id = validateId(req.params.id);
 
-    const query = `DELETE FROM ${table} WHERE id = $1 RETURNING id;`
+    const query = `DELETE FROM ${tableDef.name} WHERE id = $1 AND account_id = $2 RETURNING id;`
 
-    const result = await pool.query(query, [id])
+    const result = await pool.query(query, [id, req.accountId])
+
+    if (!result.rows.length) {
+        return res.status(404).json({ success: false, error: 'Record not found' });
+    }
 
     res.json({
         success: true,
@@ -246,5 +176,6 @@ export {
     create,
     index,
     update,
+    legacyUpdate,
     deleteRecord
-}
\ No newline at end of file
+}
@@ -0,0 +1,80 @@
+//Shared connection pool (see services/db.js)
+import { pool } from '../services/db.js';
+import { validateId } from '../services/schemaRegistry.js';
+import { validateTitle } from '../services/conversations.js';
+
+//CONVERSATIONS - READ, most recently active first
+const index = async (req, res) => {
+    const result = await pool.query(
+        `SELECT c.id, c.title, c.created_at, c.updated_at, COUNT(m.id)::int AS message_count
+        FROM conversations c
+        LEFT JOIN messages m ON m.conversation_id = c.id
+        WHERE c.account_id = $1
+        GROUP BY c.id
+        ORDER BY c.updated_at DESC, c.id DESC;`,
+        [req.accountId]
+    );
+
+    res.json(result.rows);
+}
+
+//CONVERSATION - READ one with its messages
+const show = async (req, res) => {
+    const id = validateId(req.params.id);
+    const conversation = await pool.query(
+        `SELECT id, title, created_at, updated_at FROM conversations WHERE id = $1 AND account_id = $2;`,
+        [id, req.accountId]
+    );
+
+    if (!conversation.rows.length) {
+        return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    const messages = await pool.query(
+        `SELECT id, question, classification, expert_findings, answer, created_at
+        FROM messages
+        WHERE conversation_id = $1
+        ORDER BY id;`,
+        [id]
+    );
+
+    res.json({ ...conversation.rows[0], messages: messages.rows });
+}
+
+//CONVERSATION - RENAME
+const rename = async (req, res) => {
+    const id = validateId(req.params.id);
+    const title = validateTitle(req.body?.title);
+
+    const result = await pool.query(
+        `UPDATE conversations SET title = $1 WHERE id = $2 AND account_id = $3 RETURNING id, title;`,
+        [title, id, req.accountId]
+    );
+
+    if (!result.rows.length) {
+        return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    res.json({ success: true, data: result.rows[0] });
+}
+
+//CONVERSATION - DELETE (its messages go with it)
+const deleteConversation = async (req, res) => {
+    const result = await pool.query(
+        `DELETE FROM conversations WHERE id = $1 AND account_id = $2 RETURNING id;`,
+        [validateId(req.params.id), req.accountId]
+    );
+
+    if (!result.rows.length) {
+        return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    res.json({ success: true, data: result.rows[0].id });
+}
+
+export {
+    index,
+    show,
+    rename,
+    deleteConversation
+}
@@ -0,0 +1,336 @@
+//Shared connection pool (see services/db.js)
+import { pool, withTransaction } from '../services/db.js';
+import multer from 'multer';
+import { validateId, ValidationError } from '../services/schemaRegistry.js';
+import {
+    BUILT_IN_PROFILES,
+    defaultMappingFor,
+    mapStatementRows,
+    parseStatement,
+    validateMapping
+} from '../services/statementImport.js';
+import { findDuplicates, loadExistingTransactions, lockAccountImports } from '../services/duplicateDetection.js';
+import { categorizeRecords } from '../services/categorization.js';
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const PREVIEW_ROWS = 50;
+
+//Files are parsed in memory and never written to disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: 1 }
+}).single('file');
+
+//Multipart fields arrive as strings, so a mapping may be JSON text
+const parseJsonField = (value, field) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        throw new ValidationError([{ field, message: 'must be valid JSON' }]);
+    }
+}
+
+//Picks the mapping for this upload: ad-hoc mapping > built-in profile > saved profile > format default
+//source names the card/account the statement belongs to, duplicates only match within the same source
+const resolveMapping = async (req, format) => {
+    const { profile, mapping } = req.body ?? {};
+    const source = (req.body?.source || '').trim().slice(0, 100) || null;
+
+    if (mapping) {
+        return { profileName: 'custom', source, mapping: validateMapping(parseJsonField(mapping, 'mapping')) };
+    }
+
+    if (profile && Object.hasOwn(BUILT_IN_PROFILES, profile)) {
+        const builtIn = BUILT_IN_PROFILES[profile];
+        return { profileName: profile, source: source ?? builtIn.institution, mapping: validateMapping(builtIn.mapping) };
+    }
+
+    if (profile) {
+        const result = await pool.query(
+            `SELECT name, institution, mapping FROM import_profiles WHERE id = $1 AND account_id = $2;`,
+            [validateId(profile), req.accountId]
+        );
+        if (!result.rows.length) {
+            throw new ValidationError([{ field: 'profile', message: 'Unknown import profile' }]);
+        }
+        const saved = result.rows[0];
+        return { profileName: saved.name, source: source ?? saved.institution, mapping: validateMapping(saved.mapping) };
+    }
+
+    const fallback = defaultMappingFor(format);
+    if (fallback) return { profileName: format, source, mapping: fallback };
+
+    throw new ValidationError([{ field: 'profile', message: 'A profile or mapping is required for this file' }]);
+}
+
+//Shared by preview and commit: parse the upload, map and categorize every row
+const readUpload = async (req, { allowAI = false } = {}) => {
+    if (!req.file) {
+        throw new ValidationError([{ field: 'file', message: 'A CSV, XLSX or OFX file is required' }]);
+    }
+
+    const { format, headers, rows } = await parseStatement(req.file);
+    if (!rows.length) {
+        throw new ValidationError([{ field: 'file', message: 'No rows found in the file' }]);
+    }
+
+    const { profileName, source, mapping } = await resolveMapping(req, format);
+    const { records, errors } = mapStatementRows(rows, mapping);
+
+    //Rules and merchant memory always run, the AI fallback only when asked for on commit
+    const useAI = allowAI && (req.body?.useAI === 'true' || req.body?.useAI === true);
+    await categorizeRecords(pool, req.accountId, records.map(({ record }) => record), { useAI });
+
+    return { format, headers, rows, profileName, source, records, errors };
+}
+
+//Compact view of a duplicate for the client: which line, and what it matched
+const describeDuplicate = ({ line, record, match, score }) => ({
+    line,
+    record,
+    matchedTransaction: {
+        id: match.id,
+        transaction_date: match.transaction_date,
+        description: match.description,
+        amount: Number(match.amount)
+    },
+    ...(score !== undefined && { score })
+});
+
+//PREVIEW - parse and validate without writing anything
+const preview = async (req, res) => {
+    const { format, headers, rows, profileName, source, records, errors } = await readUpload(req);
+
+    const existing = await loadExistingTransactions(pool, req.accountId, records);
+    const { unique, exact, near } = findDuplicates(records, existing, { source });
+
+    res.json({
+        success: true,
+        format,
+        profile: profileName,
+        source,
+        headers,
+        totals: {
+            parsed: rows.length,
+            valid: records.length,
+            invalid: errors.length,
+            new: unique.length,
+            duplicates: exact.length,
+            needsReview: near.length
+        },
+        rows: unique.slice(0, PREVIEW_ROWS),
+        duplicates: exact.map(describeDuplicate),
+        needsReview: near.map(describeDuplicate),
+        errors
+    });
+}
+
+//Inserts one mapped statement row, shared by imports and resolved reviews
+const insertTransaction = async (client, { accountId, importId, source, record }) => {
+    const columns = ['account_id', 'import_id', 'source', ...Object.keys(record)];
+    const params = [accountId, importId, source, ...Object.values(record)];
+
+    const result = await client.query(
+        `INSERT INTO credit_cards (${columns.map(col => `"${col}"`).join(', ')}) VALUES (${params.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING id;`,
+        params
+    );
+    return result.rows[0].id;
+}
+
+//IMPORT - write every valid row into credit_cards in one transaction
+const create = async (req, res) => {
+    const { format, rows, profileName, source, records, errors } = await readUpload(req, { allowAI: true });
+    const rowErrors = [...errors];
+    let duplicates = [];
+    let needsReview = [];
+
+    const importId = await withTransaction(async (client) => {
+        //Concurrent imports into the account wait here, so the second one sees the rows of the first
+        await lockAccountImports(client, req.accountId);
+
+        const importResult = await client.query(
+            `INSERT INTO statement_imports (account_id, file_name, format, profile, rows_parsed) VALUES ($1, $2, $3, $4, $5) RETURNING id;`,
+            [req.accountId, req.file.originalname, format, profileName, rows.length]
+        );
+        const id = importResult.rows[0].id;
+
+        //Exact repeats are skipped, look-alikes wait in duplicate_reviews
+        const existing = await loadExistingTransactions(client, req.accountId, records);
+        const { unique, exact, near } = findDuplicates(records, existing, { source });
+        duplicates = exact;
+        needsReview = near;
+
+        for (const { record, match, score } of near) {
+            const review = await client.query(
+                `INSERT INTO duplicate_reviews (account_id, import_id, candidate_id, record, score) VALUES ($1, $2, $3, $4, $5) RETURNING id;`,
+                [req.accountId, id, match.id, { source, ...record }, score]
+            );
+            match.reviewId = review.rows[0].id;
+        }
+
+        let inserted = 0;
+        for (const { line, record } of unique) {
+            //A savepoint per row lets one bad row fail without aborting the whole import
+            await client.query('SAVEPOINT import_row');
+            try {
+                await insertTransaction(client, { accountId: req.accountId, importId: id, source, record });
+                await client.query('RELEASE SAVEPOINT import_row');
+                inserted++;
+            } catch (err) {
+                await client.query('ROLLBACK TO SAVEPOINT import_row');
+                rowErrors.push({ line, row: record, errors: [{ field: 'row', message: err.message }] });
+            }
+        }
+
+        await client.query(
+            `UPDATE statement_imports SET rows_inserted = $1, rows_failed = $2, rows_duplicate = $3, rows_review = $4 WHERE id = $5;`,
+            [inserted, rowErrors.length, duplicates.length, needsReview.length, id]
+        );
+        return id;
+    });
+
+    res.json({
+        success: true,
+        importId,
+        rowsParsed: rows.length,
+        rowsInserted: rows.length - rowErrors.length - duplicates.length - needsReview.length,
+        rowsFailed: rowErrors.length,
+        rowsDuplicate: duplicates.length,
+        rowsNeedingReview: needsReview.length,
+        duplicates: duplicates.map(describeDuplicate),
+        needsReview: needsReview.map((entry) => ({ reviewId: entry.match.reviewId, ...describeDuplicate(entry) })),
+        errors: rowErrors.sort((a, b) => a.line - b.line)
+    });
+}
+
+//DUPLICATE REVIEWS
+const listDuplicates = async (req, res) => {
+    const result = await pool.query(
+        `SELECT
+            r.id,
+            r.import_id,
+            r.record,
+            r.score,
+            r.created_at,
+            c.id AS candidate_id,
+            TO_CHAR(c.transaction_date, 'YYYY-MM-DD') AS candidate_date,
+            c.description AS candidate_description,
+            c.amount AS candidate_amount
+        FROM duplicate_reviews r
+        LEFT JOIN credit_cards c
+            ON c.id = r.candidate_id
+        WHERE r.account_id = $1 AND r.status = 'pending'
+        ORDER BY r.created_at, r.id;`,
+        [req.accountId]
+    );
+
+    res.json(result.rows.map((row) => ({
+        id: row.id,
+        importId: row.import_id,
+        record: row.record,
+        score: Number(row.score),
+        createdAt: row.created_at,
+        candidate: row.candidate_id
+            ? { id: row.candidate_id, transaction_date: row.candidate_date, description: row.candidate_description, amount: Number(row.candidate_amount) }
+            : null
+    })));
+}
+
+//keep: the row is a real, separate transaction -> insert it
+//discard: it is the same charge as the candidate -> drop it
+const resolveDuplicate = async (req, res) => {
+    const id = validateId(req.params.id);
+    const { action } = req.body ?? {};
+
+    if (!['keep', 'discard'].includes(action)) {
+        throw new ValidationError([{ field: 'action', message: 'must be one of: keep, discard' }]);
+    }
+
+    const resolved = await withTransaction(async (client) => {
+        const result = await client.query(
+            `SELECT id, import_id, record FROM duplicate_reviews WHERE id = $1 AND account_id = $2 AND status = 'pending' FOR UPDATE;`,
+            [id, req.accountId]
+        );
+        const review = result.rows[0];
+        if (!review) return null;
+
+        let transactionId = null;
+        if (action === 'keep') {
+            const { source, ...record } = review.record;
+            transactionId = await insertTransaction(client, { accountId: req.accountId, importId: review.import_id, source, record });
+        }
+
+        await client.query(
+            `UPDATE duplicate_reviews SET status = $1, transaction_id = $2, resolved_at = NOW() WHERE id = $3;`,
+            [action === 'keep' ? 'kept' : 'discarded', transactionId, id]
+        );
+        return { id, action, transactionId };
+    });
+
+    if (!resolved) {
+        return res.status(404).json({ success: false, error: 'Pending review not found' });
+    }
+
+    res.json({ success: true, data: resolved });
+}
+
+//PROFILES
+const listProfiles = async (req, res) => {
+    const result = await pool.query(
+        `SELECT id, name, institution, mapping, created_at FROM import_profiles WHERE account_id = $1 ORDER BY name;`,
+        [req.accountId]
+    );
+
+    res.json({
+        builtIn: Object.entries(BUILT_IN_PROFILES).map(([key, profile]) => ({ key, ...profile })),
+        saved: result.rows
+    });
+}
+
+const createProfile = async (req, res) => {
+    const name = (req.body?.name || '').trim();
+    const institution = (req.body?.institution || '').trim() || null;
+
+    if (!name || name.length > 100) {
+        throw new ValidationError([{ field: 'name', message: 'is required (max 100 characters)' }]);
+    }
+    const mapping = validateMapping(req.body?.mapping);
+
+    const result = await pool.query(
+        `INSERT INTO import_profiles (account_id, name, institution, mapping) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (account_id, name) DO NOTHING RETURNING id;`,
+        [req.accountId, name, institution, mapping]
+    );
+
+    if (!result.rows.length) {
+        return res.status(409).json({ success: false, error: `A profile named "${name}" already exists` });
+    }
+
+    res.status(201).json({ success: true, data: result.rows[0].id });
+}
+
+const deleteProfile = async (req, res) => {
+    const result = await pool.query(
+        `DELETE FROM import_profiles WHERE id = $1 AND account_id = $2 RETURNING id;`,
+        [validateId(req.params.id), req.accountId]
+    );
+
+    if (!result.rows.length) {
+        return res.status(404).json({ success: false, error: 'Profile not found' });
+    }
+
+    res.json({ success: true, data: result.rows[0].id });
+}
+
+
+export {
+    upload,
+    preview,
+    create,
+    listDuplicates,
+    resolveDuplicate,
+    listProfiles,
+    createProfile,
+    deleteProfile
+}
@@ -1,29 +1,13 @@
 import "dotenv/config";
 import { getFinancialSnapshot } from '../services/financialSnapshot.js'
-import { classifyQuestion, routeToExperts, runExpertAnalysis, streamFinalAnalysis } from '../services/agentRouting.js'
-
-const expertData = {
-    financial_analyst: {icon: '💼', name: "Financial Analyst"},
-    behavioral_economist: {icon: '🎓', name: "Behavioral Economist"},
-    debt_strategist: {icon: '🏛️', name: "Debt Strategist"},
-    tax_optimizer: {icon: '🧮', name: "Tax Optimizer"},
-    lifestyle_auditor: {icon: '🔍', name: "Lifestyle Auditor"},
-    goal_architect: {icon: '🧩', name: "Goal Architect"}
-}
-
-const runExpertsStatusOnly = async ({ experts, question, snapshot, sendStatus }) => {
-  return Promise.all(
-    experts.map(async (expert) => {
-      const expertIcon = expertData[expert].icon;
-      const expertName = expertData[expert].name;
-      sendStatus(`${expertIcon}${expertName} has started...`);
-      const expertResponse = await runExpertAnalysis(expert, question, snapshot);
-      sendStatus(`${expertIcon}${expertName} has finished.`);
-      return expertResponse;
-    })
-  );
-};
-
+import { classifyQuestion } from '../services/agentRouting.js'
+import { expertData } from '../services/agents.js'
+import { planPanel } from '../services/expertRouting.js'
+import { detectTopicHints, validateClassification } from '../services/questionClassifier.js'
+import { ValidationError } from '../services/schemaRegistry.js'
+import { findConversation } from '../services/conversations.js'
+import { parseAnalysisRequest, startAnalysis } from '../services/analysisPipeline.js'
+import { findEventLog, lastEventId, pipeEventLog } from '../services/sse.js'
 
 export const create = async (req, res) => {
   // ---------------------------------------------------------
@@ -31,171 +15,84 @@ export const create = async (req, res) => {
   // ---------------------------------------------------------
   console.log("AI Analysis kicked off");
 
+  // A client whose connection dropped retries with Last-Event-ID and picks up
+  // the same run where it left off instead of asking the question again
+  if (req.get("Last-Event-ID")) return resume(req, res);
+
   // Extract user inputs from the request body
-  // These are required for downstream DB + AI calls
-  const { question, accountId } = req.body;
+  // The account always comes from the authenticated user (see requireAuth)
+  // Rejected before the stream opens so the client gets a plain 400 / 404
+  const { question, conversationId } = parseAnalysisRequest(req.body);
+  const accountId = req.accountId;
+
+  if (conversationId && !(await findConversation(accountId, conversationId))) {
+    return res.status(404).json({ success: false, error: "Conversation not found" });
+  }
 
   // ---------------------------------------------------------
-  // SERVER-SENT EVENTS (SSE) SETUP
+  // SERVER-SENT EVENTS (SSE)
   // ---------------------------------------------------------
-  // SSE allows us to keep a single HTTP connection open
-  // and stream multiple messages back to the client over time.
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache, no-transform");
-  res.setHeader("Connection", "keep-alive");
-
-  // Prevent buffering by reverse proxies (nginx, etc.)
-  res.setHeader("X-Accel-Buffering", "no");
+  // The pipeline (services/analysisPipeline.js) emits into a buffered log for
+  // this run (services/sse.js) and this response is its first subscriber.
+  // If the connection drops, the client can reconnect and resume from the
+  // last event it saw.
+  const { log, finished } = await startAnalysis({ accountId, question, conversationId });
+  pipeEventLog(req, res, log);
+
+  await finished;
+};
 
-  // Flush headers immediately so the client
-  // knows this is an SSE connection
-  res.flushHeaders?.();
 
-  // ---------------------------------------------------------
-  // SSE MESSAGE HELPERS
-  // ---------------------------------------------------------
+/**
+ * Resumes a buffered stream: GET /openai/stream/:runId, or a retried
+ * POST /openai, with the Last-Event-ID header (or ?lastEventId=) of the last
+ * event received. Sends the events after it, then follows the live ones.
+ * Streams are kept for a few minutes after they end, see services/sse.js.
+ */
+export const resume = async (req, res) => {
+  const from = lastEventId(req, req.params?.runId);
+  const key = req.params?.runId ?? from.key;
 
-  // Sends a structured "status" event to the client.
-  // Used for progress updates (non-streaming steps).
-  const sendStatus = (msg) => {
-    res.write(`data: ${JSON.stringify({ status: msg })}\n\n`);
-  };
+  const log = findEventLog(key, req.accountId);
+  if (!log) {
+    return res.status(404).json({ success: false, error: "Stream not found or expired, see /analysis-runs/:id for the stored answer" });
+  }
 
-  // ---------------------------------------------------------
-  // CONNECTION / ABORT HANDLING
-  // ---------------------------------------------------------
-  // Important: SSE connections can be closed by the client
-  // at any time (tab closed, navigation, refresh).
-  // We must stop work if that happens.
-  let aborted = false;
-
-  // Fired when client terminates request early
-  req.on("aborted", () => {
-    aborted = true;
-  });
+  pipeEventLog(req, res, log, from?.seq ?? 0);
+};
 
-  // Fired when underlying connection closes
-  res.on("close", () => {
-    aborted = true;
-  });
 
-  // Centralized early-exit guard.
-  // If the client is gone, stop processing and close response.
-  const bailIfAborted = () => {
-    if (!aborted) return false;
-    try {
-      res.end();
-    } catch {}
-    return true;
-  };
+/**
+ * Dry run of the routing step: which experts a question would trigger and why.
+ * Nothing is sent to the experts. Pass `classification` in the body to test
+ * the rules without calling the classifier.
+ */
+export const route = async (req, res) => {
+  const { question, classification: override } = req.body ?? {};
 
-  // ---------------------------------------------------------
-  // STEP TIMING / DEBUGGING HELPER
-  // ---------------------------------------------------------
-  // Wraps async calls so we can see *exactly*
-  // where execution hangs or slows down.
-  const step = async (label, fn) => {
-    console.log(`[STEP] ${label} started`);
-    const start = Date.now();
-    const result = await fn();
-    console.log(`[STEP] ${label} finished in ${Date.now() - start}ms`);
-    return result;
-  };
+  if (typeof question !== "string" || !question.trim()) {
+    throw new ValidationError([{ field: "question", message: "is required" }]);
+  }
 
-  // ---------------------------------------------------------
-  // SSE HEARTBEAT
-  // ---------------------------------------------------------
-  // Some proxies or browsers will kill idle SSE connections.
-  // This keeps the connection alive during long AI calls.
-  const heartbeat = setInterval(() => {
-    res.write(`: keep-alive\n\n`);
-  }, 15000);
+  const snapshot = await getFinancialSnapshot(req.accountId);
 
-  // ---------------------------------------------------------
-  // MAIN EXECUTION FLOW
-  // ---------------------------------------------------------
-  try {
-    // ---- 1. Fetch financial snapshot (DB / aggregation work)
-    sendStatus(`📈Fetching financial data for account ${accountId}...`);
-
-    const snapshot = await step("getFinancialSnapshot", () =>
-      getFinancialSnapshot(accountId)
-    );
-
-    // If client disconnected while we were waiting, stop.
-    if (bailIfAborted()) return;
-
-    // ---- 2. Classify the user's question
-    // Determines question type, sentiment, and data needs
-    sendStatus("📡Routing your question to the right expert...");
-
-    const classification = await step("classifyQuestion", () =>
-      classifyQuestion(question, snapshot)
-    );
-
-    if (bailIfAborted()) return;
-
-    // ---- 3. Select the appropriate expert agents
-    const experts = await step("routeToExperts", () =>
-      routeToExperts(classification, snapshot)
-    );
-
-    if (bailIfAborted()) return;
-
-    // ---- 4. Run expert agents (NON-STREAMING)
-    // Each expert only sends:
-    //   - "started"
-    //   - "finished"
-    // Their internal reasoning is hidden from the client.
-    const expertResponses = await step("runExpertsStatusOnly", () =>
-      runExpertsStatusOnly({
-        experts,
-        question,
-        snapshot,
-        sendStatus,
-      })
-    );
-
-    if (bailIfAborted()) return;
-
-    // ---- 5. Final agent (STREAMING)
-    // This is the only agent whose text output
-    // is streamed token-by-token back to the client.
-    sendStatus('🎯The experts are all done, putting together final answer...')
-    await step("streamFinalAnalysis", () =>
-      streamFinalAnalysis({
-        expertResponses,
-        question,
-        classification,
-        res,
-        snapshot,
-      })
-    );
-
-    // ---- 6. Signal completion to the client
-    res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
-    res.end();
-  } catch (err) {
-    // ---------------------------------------------------------
-    // ERROR HANDLING
-    // ---------------------------------------------------------
-    console.error("AI controller error:", err);
-
-    // Even errors should be sent as SSE events
-    // so the frontend can handle them gracefully.
-    res.write(
-      `data: ${JSON.stringify({
-        error: err?.message || "Unexpected server error",
-      })}\n\n`
-    );
-
-    res.end();
-  } finally {
-    // ---------------------------------------------------------
-    // CLEANUP
-    // ---------------------------------------------------------
-    // Always clear heartbeat timer to avoid leaks.
-    clearInterval(heartbeat);
+  let classification;
+  if (override) {
+    try {
+      classification = { ...validateClassification(override, "request"), topics: detectTopicHints(question) };
+    } catch (err) {
+      throw new ValidationError([{ field: "classification", message: err.message }]);
+    }
+  } else {
+    classification = await classifyQuestion(question, snapshot);
   }
-};
 
+  const plan = planPanel(classification, snapshot);
+
+  res.json({
+    question,
+    classification,
+    experts: plan.selected.map(({ expert, priority, reasons }) => ({ expert, ...expertData[expert], priority, reasons })),
+    dropped: plan.dropped,
+  });
+};
@@ -1,7 +1,7 @@
 /**
  * server.mjs (ESM, Node 20+)
  *
- * Multi-agent orchestrator using OpenAI Chat Completions:
+ * Multi-agent orchestrator using the shared LLM provider (services/llmProvider.js):
  *  - Router (non-stream JSON)
  *  - Experts (non-stream JSON, parallel)
  *  - Editor (streamed) -> SSE to the client
@@ -15,14 +15,15 @@
  *     -d '{"question":"I have $12k credit card debt at 24% APR. What should I do?","facts":{"monthly_take_home":5500,"rent":2200}}'
  */
 
-import OpenAI from "openai";
 import { createServer } from "node:http";
 import { URL } from "node:url";
+import { getProvider } from "../services/llmProvider.js";
 
 // -----------------------------
-// OpenAI client + model config
+// LLM provider + model config
 // -----------------------------
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// OpenAI by default, LLM_PROVIDER=mock runs without a key
+const provider = getProvider();
 
 /**
  * Use cheaper models for router/experts; stronger for editor.
@@ -38,22 +39,45 @@ const MODELS = {
 // Helpers: parsing, validation
 // -----------------------------
 
-function safeJsonParse(text) {
-  try {
-    return JSON.parse(text);
-  } catch {
-    const start = text.indexOf("{");
-    const end = text.lastIndexOf("}");
-    if (start !== -1 && end !== -1 && end > start) {
-      try {
-        return JSON.parse(text.slice(start, end + 1));
-      } catch {
-        return null;
-      }
-    }
-    return null;
-  }
-}
+// Structured output schemas (the provider enforces them, see services/llmProvider.js)
+const ROUTER_SCHEMA = {
+  type: "object",
+  properties: {
+    question_type: { type: "string", enum: ["lookup", "calculation", "diagnosis", "recommendation", "goal_planning", "crisis"] },
+    emotional_state: { type: "string", enum: ["anxious", "motivated", "defensive", "curious", "overwhelmed"] },
+    urgency: { type: "string", enum: ["immediate", "standard", "long_term"] },
+    follow_up_needed: { type: "boolean" },
+  },
+  required: ["question_type", "emotional_state", "urgency", "follow_up_needed"],
+  additionalProperties: false,
+};
+
+const ARTIFACT_SCHEMA = {
+  type: "object",
+  properties: {
+    agent: { type: "string" },
+    claims: { type: "array", items: { type: "string" } },
+    assumptions: { type: "array", items: { type: "string" } },
+    numbers: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          label: { type: "string" },
+          calculation: { type: "string" },
+          result: { type: "string" },
+        },
+        required: ["label", "calculation", "result"],
+        additionalProperties: false,
+      },
+    },
+    risks: { type: "array", items: { type: "string" } },
+    questions_to_ask_user: { type: "array", items: { type: "string" } },
+    confidence: { type: "number" },
+  },
+  required: ["agent", "claims", "assumptions", "numbers", "risks", "questions_to_ask_user", "confidence"],
+  additionalProperties: false,
+};
 
 function assertRouterShape(obj) {
   const questionTypes = new Set([
@@ -119,7 +143,7 @@ async function readJson(req, { limitBytes = 1_000_000 } = {}) {
 
 /**
  * Wraps a promise with a timeout using AbortController.
- * The OpenAI SDK supports `signal`.
+ * Providers accept a `signal`.
  */
 async function withTimeout(fn, ms, label = "operation") {
   const controller = new AbortController();
@@ -168,23 +192,24 @@ follow_up_needed:
 - false if reasonable assumptions still yield a useful answer.
 `.trim();
 
-  const completion = await withTimeout(
+  const parsed = await withTimeout(
     (signal) =>
-      client.chat.completions.create({
-        model: MODELS.ROUTER,
-        temperature: 0,
-        messages: [
-          { role: "system", content: system },
-          { role: "user", content: userQuestion },
-        ],
-        signal,
-      }),
+      provider.completeJSON(
+        {
+          model: MODELS.ROUTER,
+          temperature: 0,
+          messages: [
+            { role: "system", content: system },
+            { role: "user", content: userQuestion },
+          ],
+          schema: { name: "router", schema: ROUTER_SCHEMA },
+        },
+        { signal }
+      ),
     12_000,
     "router"
   );
 
-  const text = completion.choices?.[0]?.message?.content ?? "";
-  const parsed = safeJsonParse(text);
   assertRouterShape(parsed);
   return parsed;
 }
@@ -274,29 +299,35 @@ async function runExpert({ agentName, userQuestion, router, userFacts }) {
     ? `Known user facts (may be incomplete):\n${JSON.stringify(userFacts, null, 2)}`
     : "Known user facts: none provided.";
 
-  const completion = await withTimeout(
-    (signal) =>
-      client.chat.completions.create({
-        model: MODELS.EXPERT,
-        temperature: 0.2,
-        messages: [
-          { role: "system", content: system },
+  let parsed;
+  try {
+    parsed = await withTimeout(
+      (signal) =>
+        provider.completeJSON(
           {
-            role: "user",
-            content:
-              `User question:\n${userQuestion}\n\n` +
-              `Router:\n${JSON.stringify(router)}\n\n` +
-              `${factsBlock}`,
+            model: MODELS.EXPERT,
+            temperature: 0.2,
+            messages: [
+              { role: "system", content: system },
+              {
+                role: "user",
+                content:
+                  `User question:\n${userQuestion}\n\n` +
+                  `Router:\n${JSON.stringify(router)}\n\n` +
+                  `${factsBlock}`,
+              },
+            ],
+            schema: { name: "expert_artifact", schema: ARTIFACT_SCHEMA },
           },
-        ],
-        signal,
-      }),
-    20_000,
-    `expert:${agentName}`
-  );
-
-  const text = completion.choices?.[0]?.message?.content ?? "";
-  const parsed = safeJsonParse(text);
+          { signal }
+        ),
+      20_000,
+      `expert:${agentName}`
+    );
+  } catch (err) {
+    // Only malformed output is tolerated, timeouts and API errors still fail
+    if (!(err instanceof SyntaxError)) throw err;
+  }
 
   // If parsing fails, return a low-confidence fallback artifact
   if (!parsed) {
@@ -308,7 +339,6 @@ async function runExpert({ agentName, userQuestion, router, userFacts }) {
       risks: ["Expert returned invalid JSON; ignore unless corroborated."],
       questions_to_ask_user: [],
       confidence: 0.0,
-      _raw: text,
     };
   }
 
@@ -390,25 +420,25 @@ async function streamEditorToSSE({ res, userQuestion, router, expertArtifacts, u
     `${factsBlock}\n\n` +
     `Expert artifacts (JSON):\n${JSON.stringify(expertArtifacts, null, 2)}`;
 
-  // If the client disconnects, abort the OpenAI stream to save money.
+  // If the client disconnects, abort the model stream to save money.
   const controller = new AbortController();
   res.on("close", () => controller.abort());
 
   try {
-    const stream = await client.chat.completions.create({
-      model: MODELS.EDITOR,
-      temperature: 0.4,
-      stream: true,
-      messages: [
-        { role: "system", content: editorSystemPrompt() },
-        { role: "user", content: userPayload },
-      ],
-      signal: controller.signal,
-    });
-
-    for await (const chunk of stream) {
-      const delta = chunk.choices?.[0]?.delta?.content;
-      if (delta) sseSend(res, "token", delta);
+    const stream = provider.streamText(
+      {
+        model: MODELS.EDITOR,
+        temperature: 0.4,
+        messages: [
+          { role: "system", content: editorSystemPrompt() },
+          { role: "user", content: userPayload },
+        ],
+      },
+      { signal: controller.signal }
+    );
+
+    for await (const delta of stream) {
+      sseSend(res, "token", delta);
     }
 
     sseSend(res, "done", { ok: true });
@@ -0,0 +1,51 @@
+import { verifyToken } from "../services/auth.js";
+
+/**
+ * requireAuth
+ * Reads the bearer token and attaches the authenticated identity to the request.
+ * Every downstream controller must use req.accountId instead of anything the client sends.
+ */
+export const requireAuth = (req, res, next) => {
+    const header = req.get("Authorization") || "";
+    const [scheme, token] = header.split(" ");
+
+    if (scheme !== "Bearer" || !token) {
+        return res.status(401).json({ success: false, error: "Authentication required" });
+    }
+
+    authenticate(token, req, res, next);
+};
+
+/**
+ * requireStreamAuth
+ * Same as requireAuth, but also takes the token from ?access_token= because the
+ * browser's EventSource can't send headers. Only for GET stream endpoints:
+ * URLs end up in access logs, so tokens in them should not be used elsewhere.
+ */
+export const requireStreamAuth = (req, res, next) => {
+    if (req.get("Authorization") || !req.query?.access_token) return requireAuth(req, res, next);
+
+    authenticate(String(req.query.access_token), req, res, next);
+};
+
+const authenticate = (token, req, res, next) => {
+    try {
+        const payload = verifyToken(token);
+        req.user = { id: payload.sub, username: payload.username, accountId: payload.accountId };
+        req.accountId = payload.accountId;
+        next();
+    } catch (err) {
+        return res.status(401).json({ success: false, error: "Invalid or expired token" });
+    }
+};
+
+/**
+ * requireOwnAccount
+ * Routes that still carry :userAcctId in the path must match the authenticated account.
+ */
+export const requireOwnAccount = (req, res, next) => {
+    if (req.params.userAcctId && req.params.userAcctId !== String(req.accountId)) {
+        return res.status(403).json({ success: false, error: "Not allowed to access this account" });
+    }
+    next();
+};
@@ -1,30 +1,9 @@
-
-
--- DROP TABLE IF EXISTS public.credit_cards CASCADE;
-
--- CREATE TABLE IF NOT EXISTS credit_cards
---                 (
---                     id SERIAL PRIMARY KEY,
---                     account_id VARCHAR(100), 
---                     transaction_date DATE,
---                     post_date DATE,
---                     description VARCHAR(400),
---                     category VARCHAR(100),
---                     type VARCHAR(100),
---                     amount NUMERIC,
---                     memo VARCHAR(200) 
---                 )
---             ;
-
--- ALTER TABLE public.credit_cards
--- ALTER COLUMN amount TYPE NUMERIC;
-
 WITH income AS (
             SELECT 
             account_id,
                 SUM(
                     CASE
-                        WHEN frequency = 'every week' THEN (amount*52)/12
+                        WHEN frequency = 'Weekly' THEN (amount*52)/12
                         WHEN frequency = 'Every 2 Weeks' THEN (amount*26)/12
                         WHEN frequency = '15th And 30th' THEN (amount*24)/12
                         WHEN frequency = 'Monthly' THEN amount
@@ -63,6 +42,7 @@ WITH income AS (
                 SUM(amount) spending
             FROM public.credit_cards
             WHERE account_id = '2' 
+                AND type <> 'Payment'
             GROUP BY 1
         )
         
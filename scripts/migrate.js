@@ -0,0 +1,262 @@
+/**
+ * scripts/migrate.js
+ * -----------------------------------------------------------------------------
+ * Versioned migration runner.
+ *
+ * Migrations live in scripts/migrations as pairs of files:
+ *   001_initial_schema.up.sql
+ *   001_initial_schema.down.sql
+ *
+ * Applied versions are tracked in the schema_migrations table together with a
+ * checksum of their up script, so editing a migration after it ran is caught
+ * instead of silently drifting between databases.
+ *
+ * Usage:
+ *   node scripts/migrate.js up [version]   apply pending migrations (optionally up to version)
+ *   node scripts/migrate.js down [steps]   roll back the last applied migration(s), default 1
+ *   node scripts/migrate.js status         list applied / pending migrations
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { pool, closePool } from "../services/db.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Any constant works, it only has to be the same for every runner
+const LOCK_ID = 781_204_113;
+
+const USAGE = `Usage:
+  node scripts/migrate.js up [version]   apply pending migrations (optionally up to version)
+  node scripts/migrate.js down [steps]   roll back the last applied migration(s), default 1
+  node scripts/migrate.js status         list applied / pending migrations`;
+
+const isPositiveInteger = (n) => Number.isInteger(n) && n >= 1;
+
+/**
+ * loadMigrations(dir)
+ * Reads the migrations directory and returns them sorted by version.
+ */
+export const loadMigrations = (dir = MIGRATIONS_DIR) => {
+    const byVersion = new Map();
+
+    for (const file of fs.readdirSync(dir)) {
+        const match = file.match(FILE_PATTERN);
+        if (!match) continue;
+
+        const [, versionStr, name, direction] = match;
+        const version = Number(versionStr);
+        const entry = byVersion.get(version) ?? { version, name };
+
+        if (entry.name !== name) {
+            throw new Error(`Migration ${version} has mismatched names: "${entry.name}" and "${name}"`);
+        }
+
+        entry[direction] = fs.readFileSync(path.join(dir, file), "utf8");
+        byVersion.set(version, entry);
+    }
+
+    return [...byVersion.values()]
+        .map((migration) => {
+            if (!migration.up || !migration.down) {
+                throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down script`);
+            }
+            return { ...migration, checksum: checksum(migration.up) };
+        })
+        .sort((a, b) => a.version - b.version);
+};
+
+const checksum = (sql) => crypto.createHash("sha256").update(sql).digest("hex");
+
+const ensureMigrationsTable = (client) =>
+    client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations
+            (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(200) NOT NULL,
+                checksum VARCHAR(64) NOT NULL,
+                applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+    `);
+
+const getApplied = async (client) => {
+    const result = await client.query(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version;`);
+    return result.rows;
+};
+
+/**
+ * verifyChecksums(migrations, applied)
+ * Every applied migration must still exist on disk with the same contents.
+ */
+const verifyChecksums = (migrations, applied) => {
+    const onDisk = new Map(migrations.map((m) => [m.version, m]));
+
+    for (const row of applied) {
+        const migration = onDisk.get(row.version);
+        if (!migration) {
+            throw new Error(`Migration ${row.version}_${row.name} is applied but missing from ${MIGRATIONS_DIR}`);
+        }
+        if (migration.checksum !== row.checksum) {
+            throw new Error(`Migration ${row.version}_${row.name} was modified after it was applied (checksum mismatch)`);
+        }
+    }
+};
+
+/**
+ * withMigrationLock(pool, fn)
+ * Runs fn with a dedicated client while holding an advisory lock,
+ * so two deploys can't migrate the same database at once.
+ */
+const withMigrationLock = async (pool, fn) => {
+    const client = await pool.connect();
+    try {
+        await client.query(`SELECT pg_advisory_lock($1);`, [LOCK_ID]);
+        await ensureMigrationsTable(client);
+        return await fn(client);
+    } finally {
+        await client.query(`SELECT pg_advisory_unlock($1);`, [LOCK_ID]).catch(() => {});
+        client.release();
+    }
+};
+
+/**
+ * migrateUp(pool, { target })
+ * Applies pending migrations in order, each one in its own transaction.
+ * Returns the list of versions applied.
+ */
+export const migrateUp = async (pool, { target, dir } = {}) => {
+    if (target !== undefined && !isPositiveInteger(target)) {
+        throw new Error(`target must be a migration version (a whole number of at least 1), got ${target}`);
+    }
+
+    return withMigrationLock(pool, async (client) => {
+        const migrations = loadMigrations(dir);
+        const applied = await getApplied(client);
+        verifyChecksums(migrations, applied);
+
+        const appliedVersions = new Set(applied.map((row) => row.version));
+        const pending = migrations.filter(
+            (m) => !appliedVersions.has(m.version) && (target === undefined || m.version <= target)
+        );
+
+        for (const migration of pending) {
+            console.log(`[migrate] applying ${migration.version}_${migration.name}`);
+            try {
+                await client.query("BEGIN");
+                await client.query(migration.up);
+                await client.query(
+                    `INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3);`,
+                    [migration.version, migration.name, migration.checksum]
+                );
+                await client.query("COMMIT");
+            } catch (err) {
+                await client.query("ROLLBACK");
+                throw new Error(`Migration ${migration.version}_${migration.name} failed: ${err.message}`);
+            }
+        }
+
+        return pending.map((m) => m.version);
+    });
+};
+
+/**
+ * migrateDown(pool, { steps })
+ * Rolls back the most recently applied migrations using their down scripts.
+ * Returns the list of versions rolled back.
+ */
+export const migrateDown = async (pool, { steps = 1, dir } = {}) => {
+    // slice(NaN) would be slice(0): a typo must never roll back every migration
+    if (!isPositiveInteger(steps)) {
+        throw new Error(`steps must be a whole number of at least 1, got ${steps}`);
+    }
+
+    return withMigrationLock(pool, async (client) => {
+        const migrations = loadMigrations(dir);
+        const applied = await getApplied(client);
+        verifyChecksums(migrations, applied);
+
+        const onDisk = new Map(migrations.map((m) => [m.version, m]));
+        const toRollback = applied.slice(Math.max(applied.length - steps, 0)).reverse();
+
+        for (const row of toRollback) {
+            const migration = onDisk.get(row.version);
+            console.log(`[migrate] rolling back ${migration.version}_${migration.name}`);
+            try {
+                await client.query("BEGIN");
+                await client.query(migration.down);
+                await client.query(`DELETE FROM schema_migrations WHERE version = $1;`, [migration.version]);
+                await client.query("COMMIT");
+            } catch (err) {
+                await client.query("ROLLBACK");
+                throw new Error(`Rollback of ${migration.version}_${migration.name} failed: ${err.message}`);
+            }
+        }
+
+        return toRollback.map((row) => row.version);
+    });
+};
+
+/**
+ * migrationStatus(pool)
+ * Returns every known migration with its state: applied, pending or modified.
+ */
+export const migrationStatus = (pool, { dir } = {}) =>
+    withMigrationLock(pool, async (client) => {
+        const migrations = loadMigrations(dir);
+        const applied = new Map((await getApplied(client)).map((row) => [row.version, row]));
+
+        return migrations.map((m) => {
+            const row = applied.get(m.version);
+            return {
+                version: m.version,
+                name: m.name,
+                state: !row ? "pending" : row.checksum === m.checksum ? "applied" : "modified",
+                appliedAt: row?.applied_at ?? null,
+            };
+        });
+    });
+
+// -----------------------------------------------------------------------------
+// CLI
+// -----------------------------------------------------------------------------
+
+const runCli = async () => {
+    const [command = "status", arg] = process.argv.slice(2);
+    const number = arg === undefined ? undefined : Number(arg);
+
+    try {
+        if (["up", "down"].includes(command) && number !== undefined && !isPositiveInteger(number)) {
+            console.error(`"${arg}" is not a whole number of at least 1.\n${USAGE}`);
+            process.exitCode = 1;
+        } else if (command === "up") {
+            const applied = await migrateUp(pool, { target: number });
+            console.log(applied.length ? `[migrate] applied ${applied.join(", ")}` : "[migrate] already up to date");
+        } else if (command === "down") {
+            const rolledBack = await migrateDown(pool, { steps: number ?? 1 });
+            console.log(rolledBack.length ? `[migrate] rolled back ${rolledBack.join(", ")}` : "[migrate] nothing to roll back");
+        } else if (command === "status") {
+            const rows = await migrationStatus(pool);
+            for (const row of rows) {
+                console.log(`${String(row.version).padStart(3, "0")}_${row.name}  ${row.state}${row.appliedAt ? `  (${row.appliedAt.toISOString()})` : ""}`);
+            }
+        } else {
+            console.error(`Unknown command "${command}".\n${USAGE}`);
+            process.exitCode = 1;
+        }
+    } catch (err) {
+        console.error(err.message);
+        process.exitCode = 1;
+    } finally {
+        await closePool();
+    }
+};
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    runCli();
+}
@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS credit_cards;
+DROP TABLE IF EXISTS files;
+DROP TABLE IF EXISTS fixed_costs;
+DROP TABLE IF EXISTS liabilities;
+DROP TABLE IF EXISTS assets;
+DROP TABLE IF EXISTS incomes;
+DROP TABLE IF EXISTS demographics;
+DROP TABLE IF EXISTS users;
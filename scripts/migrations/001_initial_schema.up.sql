@@ -0,0 +1,102 @@
+-- Initial schema, reproduces what scripts/databaseSetup.js used to create
+-- plus the demographics table and the NUMERIC amount fix for credit_cards.
+
+CREATE TABLE IF NOT EXISTS users
+    (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(100) UNIQUE NOT NULL,
+        password_hash VARCHAR(100) NOT NULL,
+        account_id VARCHAR(100) UNIQUE NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+
+-- The old setup script created users with a plaintext password column and no
+-- constraints, and CREATE TABLE IF NOT EXISTS leaves that table as it is.
+-- Bring it to the shape above. Plaintext passwords are dropped, not hashed
+-- (that needs bcrypt): those users have no password_hash and can't log in
+-- until they get a new password.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE users DROP COLUMN IF EXISTS password;
+ALTER TABLE users ALTER COLUMN username SET NOT NULL;
+ALTER TABLE users ALTER COLUMN account_id SET NOT NULL;
+-- Same names as the constraints CREATE TABLE makes, so a new database skips these
+CREATE UNIQUE INDEX IF NOT EXISTS users_username_key ON users (username);
+CREATE UNIQUE INDEX IF NOT EXISTS users_account_id_key ON users (account_id);
+
+CREATE TABLE IF NOT EXISTS demographics
+    (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(100),
+        first_name VARCHAR(100),
+        last_name VARCHAR(100),
+        gender VARCHAR(100),
+        industry VARCHAR(100)
+    );
+
+CREATE TABLE IF NOT EXISTS incomes
+    (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(100),
+        source VARCHAR(100),
+        amount BIGINT,
+        frequency VARCHAR(100)
+    );
+
+CREATE TABLE IF NOT EXISTS assets
+    (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(100),
+        name VARCHAR(100),
+        category VARCHAR(100),
+        value BIGINT
+    );
+
+CREATE TABLE IF NOT EXISTS liabilities
+    (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(100),
+        name VARCHAR(100),
+        category VARCHAR(100),
+        value BIGINT
+    );
+
+CREATE TABLE IF NOT EXISTS fixed_costs
+    (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(100),
+        name VARCHAR(100),
+        amount BIGINT,
+        category VARCHAR(100)
+    );
+
+CREATE TABLE IF NOT EXISTS files
+    (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(100),
+        category VARCHAR(100),
+        path VARCHAR(200)
+    );
+
+CREATE TABLE IF NOT EXISTS credit_cards
+    (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(100),
+        transaction_date DATE,
+        post_date DATE,
+        description VARCHAR(400),
+        category VARCHAR(100),
+        type VARCHAR(100),
+        amount NUMERIC,
+        memo VARCHAR(200)
+    );
+
+-- Databases created by the old setup script still have BIGINT amounts
+ALTER TABLE credit_cards ALTER COLUMN amount TYPE NUMERIC;
+
+CREATE INDEX IF NOT EXISTS demographics_account_id_idx ON demographics (account_id);
+CREATE INDEX IF NOT EXISTS incomes_account_id_idx ON incomes (account_id);
+CREATE INDEX IF NOT EXISTS assets_account_id_idx ON assets (account_id);
+CREATE INDEX IF NOT EXISTS liabilities_account_id_idx ON liabilities (account_id);
+CREATE INDEX IF NOT EXISTS fixed_costs_account_id_idx ON fixed_costs (account_id);
+CREATE INDEX IF NOT EXISTS credit_cards_account_id_idx ON credit_cards (account_id, transaction_date);
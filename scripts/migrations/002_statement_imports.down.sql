@@ -0,0 +1,3 @@
+ALTER TABLE credit_cards DROP COLUMN IF EXISTS import_id;
+DROP TABLE IF EXISTS statement_imports;
+DROP TABLE IF EXISTS import_profiles;
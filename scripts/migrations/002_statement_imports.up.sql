@@ -0,0 +1,30 @@
+-- Saved column mappings per institution (Chase, Amex, ...) and a record of each import.
+
+CREATE TABLE IF NOT EXISTS import_profiles
+    (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(100) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        institution VARCHAR(100),
+        mapping JSONB NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (account_id, name)
+    );
+
+CREATE TABLE IF NOT EXISTS statement_imports
+    (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(100) NOT NULL,
+        file_name VARCHAR(200),
+        format VARCHAR(10) NOT NULL,
+        profile VARCHAR(100),
+        rows_parsed INTEGER NOT NULL DEFAULT 0,
+        rows_inserted INTEGER NOT NULL DEFAULT 0,
+        rows_failed INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+
+ALTER TABLE credit_cards ADD COLUMN IF NOT EXISTS import_id INTEGER REFERENCES statement_imports (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS import_profiles_account_id_idx ON import_profiles (account_id);
+CREATE INDEX IF NOT EXISTS statement_imports_account_id_idx ON statement_imports (account_id);
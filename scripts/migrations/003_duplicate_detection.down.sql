@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS duplicate_reviews;
+ALTER TABLE statement_imports DROP COLUMN IF EXISTS rows_review;
+ALTER TABLE statement_imports DROP COLUMN IF EXISTS rows_duplicate;
+DROP INDEX IF EXISTS credit_cards_fingerprint_idx;
+ALTER TABLE credit_cards DROP COLUMN IF EXISTS fingerprint;
+ALTER TABLE credit_cards DROP COLUMN IF EXISTS source;
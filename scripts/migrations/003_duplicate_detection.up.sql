@@ -0,0 +1,26 @@
+-- Fingerprints for statement rows and a review queue for near-duplicates.
+
+ALTER TABLE credit_cards ADD COLUMN IF NOT EXISTS source VARCHAR(100);
+ALTER TABLE credit_cards ADD COLUMN IF NOT EXISTS fingerprint VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS credit_cards_fingerprint_idx ON credit_cards (account_id, fingerprint);
+
+ALTER TABLE statement_imports ADD COLUMN IF NOT EXISTS rows_duplicate INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE statement_imports ADD COLUMN IF NOT EXISTS rows_review INTEGER NOT NULL DEFAULT 0;
+
+-- Rows that look like an existing transaction are held here until the user decides
+CREATE TABLE IF NOT EXISTS duplicate_reviews
+    (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(100) NOT NULL,
+        import_id INTEGER REFERENCES statement_imports (id) ON DELETE CASCADE,
+        candidate_id INTEGER REFERENCES credit_cards (id) ON DELETE SET NULL,
+        record JSONB NOT NULL,
+        score NUMERIC NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        transaction_id INTEGER REFERENCES credit_cards (id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        resolved_at TIMESTAMPTZ
+    );
+
+CREATE INDEX IF NOT EXISTS duplicate_reviews_account_id_idx ON duplicate_reviews (account_id, status);
@@ -0,0 +1,5 @@
+-- Type names stay normalized, only the sign convention is reverted.
+DROP INDEX IF EXISTS credit_cards_type_idx;
+ALTER TABLE credit_cards ALTER COLUMN type DROP NOT NULL;
+ALTER TABLE credit_cards ALTER COLUMN type DROP DEFAULT;
+UPDATE credit_cards SET amount = ABS(amount) WHERE amount < 0;
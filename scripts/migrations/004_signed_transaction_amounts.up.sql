@@ -0,0 +1,22 @@
+-- Credit card amounts keep their sign: positive = spent, negative = returned or paid.
+-- Older imports stored Math.abs() of everything, so normalize the type column and
+-- flip returns and payments back to negative.
+
+UPDATE credit_cards
+SET type = CASE
+        WHEN type ILIKE '%return%' OR type ILIKE '%refund%' THEN 'Return'
+        WHEN type ILIKE '%payment%' THEN 'Payment'
+        WHEN type ILIKE '%adjust%' OR type ILIKE '%fee%' THEN 'Adjustment'
+        ELSE 'Sale'
+    END;
+
+-- Fingerprints were computed from the unsigned amount, they are rebuilt on the next import
+UPDATE credit_cards
+SET amount = -ABS(amount),
+    fingerprint = NULL
+WHERE type IN ('Return', 'Payment') AND amount > 0;
+
+ALTER TABLE credit_cards ALTER COLUMN type SET DEFAULT 'Sale';
+ALTER TABLE credit_cards ALTER COLUMN type SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS credit_cards_type_idx ON credit_cards (account_id, type);
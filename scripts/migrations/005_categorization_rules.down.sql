@@ -0,0 +1,5 @@
+UPDATE credit_cards SET category = original_category WHERE category_source IS DISTINCT FROM 'bank';
+ALTER TABLE credit_cards DROP COLUMN IF EXISTS category_source;
+ALTER TABLE credit_cards DROP COLUMN IF EXISTS original_category;
+DROP TABLE IF EXISTS merchant_categories;
+DROP TABLE IF EXISTS category_rules;
@@ -0,0 +1,35 @@
+-- User-editable categorization rules and a memory of merchants the user re-categorized.
+
+CREATE TABLE IF NOT EXISTS category_rules
+    (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(100) NOT NULL,
+        position INTEGER NOT NULL,
+        match_type VARCHAR(20) NOT NULL DEFAULT 'contains',
+        pattern VARCHAR(200),
+        min_amount NUMERIC,
+        max_amount NUMERIC,
+        category VARCHAR(100) NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+
+CREATE INDEX IF NOT EXISTS category_rules_account_id_idx ON category_rules (account_id, position);
+
+CREATE TABLE IF NOT EXISTS merchant_categories
+    (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(100) NOT NULL,
+        merchant VARCHAR(400) NOT NULL,
+        category VARCHAR(100) NOT NULL,
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (account_id, merchant)
+    );
+
+-- Where the current category came from: bank | merchant | rule | ai | user
+ALTER TABLE credit_cards ADD COLUMN IF NOT EXISTS original_category VARCHAR(100);
+ALTER TABLE credit_cards ADD COLUMN IF NOT EXISTS category_source VARCHAR(20);
+
+UPDATE credit_cards
+SET original_category = category,
+    category_source = 'bank'
+WHERE category IS NOT NULL AND category_source IS NULL;
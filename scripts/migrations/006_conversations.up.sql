@@ -0,0 +1,25 @@
+-- Conversation threads for /openai: each message is one answered question,
+-- kept so follow-up questions can be answered with the earlier turns in view.
+
+CREATE TABLE IF NOT EXISTS conversations
+    (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(100) NOT NULL,
+        title VARCHAR(200) NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+
+CREATE TABLE IF NOT EXISTS messages
+    (
+        id SERIAL PRIMARY KEY,
+        conversation_id INTEGER NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+        question TEXT NOT NULL,
+        classification JSONB,
+        expert_findings JSONB,
+        answer TEXT NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+
+CREATE INDEX IF NOT EXISTS conversations_account_id_idx ON conversations (account_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS messages_conversation_id_idx ON messages (conversation_id, id);
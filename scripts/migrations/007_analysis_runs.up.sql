@@ -0,0 +1,28 @@
+-- One row per /openai run: everything the pipeline produced, for audit and for
+-- replaying the final synthesis without calling the experts again.
+
+CREATE TABLE IF NOT EXISTS analysis_runs
+    (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(100) NOT NULL,
+        conversation_id INTEGER REFERENCES conversations (id) ON DELETE SET NULL,
+        message_id INTEGER REFERENCES messages (id) ON DELETE SET NULL,
+        replay_of INTEGER REFERENCES analysis_runs (id) ON DELETE SET NULL,
+        -- running | completed | failed | cancelled
+        status VARCHAR(20) NOT NULL DEFAULT 'running',
+        error TEXT,
+        question TEXT NOT NULL,
+        classification JSONB,
+        experts JSONB,
+        expert_outputs JSONB,
+        snapshot JSONB,
+        history JSONB,
+        token_usage JSONB,
+        models JSONB,
+        step_latencies JSONB,
+        final_text TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        completed_at TIMESTAMPTZ
+    );
+
+CREATE INDEX IF NOT EXISTS analysis_runs_account_id_idx ON analysis_runs (account_id, created_at DESC);
@@ -0,0 +1,4 @@
+-- Result of the numeric fact-check of the final answer (services/factCheck.js),
+-- one entry per attempt when a corrected answer was requested.
+
+ALTER TABLE analysis_runs ADD COLUMN IF NOT EXISTS verification JSONB;
@@ -0,0 +1,7 @@
+ALTER TABLE liabilities
+    DROP COLUMN IF EXISTS interest_rate,
+    DROP COLUMN IF EXISTS minimum_payment,
+    DROP COLUMN IF EXISTS due_day,
+    DROP COLUMN IF EXISTS term_months,
+    DROP COLUMN IF EXISTS promo_rate,
+    DROP COLUMN IF EXISTS promo_expires_on;
@@ -0,0 +1,13 @@
+-- Terms of each debt, so payoff timelines can be simulated instead of guessed
+-- (services/debtPayoff.js). All optional: older rows only have a balance.
+
+ALTER TABLE liabilities
+    -- APR in percent, e.g. 24.99
+    ADD COLUMN IF NOT EXISTS interest_rate NUMERIC(6, 3),
+    ADD COLUMN IF NOT EXISTS minimum_payment NUMERIC(12, 2),
+    ADD COLUMN IF NOT EXISTS due_day SMALLINT CHECK (due_day BETWEEN 1 AND 31),
+    -- Remaining term of installment loans
+    ADD COLUMN IF NOT EXISTS term_months INTEGER CHECK (term_months > 0),
+    -- Introductory rate (e.g. 0% balance transfer) charged until promo_expires_on
+    ADD COLUMN IF NOT EXISTS promo_rate NUMERIC(6, 3),
+    ADD COLUMN IF NOT EXISTS promo_expires_on DATE;
@@ -0,0 +1,4 @@
+DROP TRIGGER IF EXISTS assets_record_value ON assets;
+DROP FUNCTION IF EXISTS record_asset_value();
+DROP TABLE IF EXISTS asset_values;
+DROP TABLE IF EXISTS goals;
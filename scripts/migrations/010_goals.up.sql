@@ -0,0 +1,49 @@
+-- Savings goals, and the history of asset values their progress is measured
+-- against (services/goals.js). asset_values is filled by a trigger, so every
+-- way of changing an asset (config CRUD, psql, imports) is recorded.
+
+CREATE TABLE IF NOT EXISTS goals
+    (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(100) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        target_amount NUMERIC(14, 2) NOT NULL CHECK (target_amount > 0),
+        deadline DATE,
+        -- High | Medium | Low
+        priority VARCHAR(10) NOT NULL DEFAULT 'Medium',
+        -- The asset account the money is saved in
+        asset_id INTEGER REFERENCES assets (id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+
+CREATE INDEX IF NOT EXISTS goals_account_id_idx ON goals (account_id);
+
+CREATE TABLE IF NOT EXISTS asset_values
+    (
+        id SERIAL PRIMARY KEY,
+        asset_id INTEGER NOT NULL REFERENCES assets (id) ON DELETE CASCADE,
+        account_id VARCHAR(100),
+        value BIGINT,
+        recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+CREATE INDEX IF NOT EXISTS asset_values_asset_id_idx ON asset_values (asset_id, recorded_at);
+
+CREATE OR REPLACE FUNCTION record_asset_value() RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND OLD.value IS NOT DISTINCT FROM NEW.value THEN
+        RETURN NEW;
+    END IF;
+    INSERT INTO asset_values (asset_id, account_id, value) VALUES (NEW.id, NEW.account_id, NEW.value);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS assets_record_value ON assets;
+CREATE TRIGGER assets_record_value
+    AFTER INSERT OR UPDATE OF value ON assets
+    FOR EACH ROW EXECUTE FUNCTION record_asset_value();
+
+-- History starts with today's values
+INSERT INTO asset_values (asset_id, account_id, value)
+SELECT id, account_id, value FROM assets;
@@ -0,0 +1,16 @@
+-- Monthly spending limits per card category (services/categoryBudgets.js).
+-- With rollover, what is left of a month's limit (or overspent) carries over
+-- to the next month.
+
+CREATE TABLE IF NOT EXISTS category_budgets
+    (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(100) NOT NULL,
+        category VARCHAR(100) NOT NULL,
+        monthly_limit NUMERIC(12, 2) NOT NULL CHECK (monthly_limit >= 0),
+        rollover BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+
+-- One limit per category, whatever its capitalization
+CREATE UNIQUE INDEX IF NOT EXISTS category_budgets_account_category_idx ON category_budgets (account_id, LOWER(category));
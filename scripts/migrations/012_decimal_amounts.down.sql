@@ -0,0 +1,11 @@
+-- Cents are rounded away
+DROP TRIGGER IF EXISTS assets_record_value ON assets;
+ALTER TABLE asset_values ALTER COLUMN value TYPE BIGINT USING ROUND(value);
+ALTER TABLE assets ALTER COLUMN value TYPE BIGINT USING ROUND(value);
+CREATE TRIGGER assets_record_value
+    AFTER INSERT OR UPDATE OF value ON assets
+    FOR EACH ROW EXECUTE FUNCTION record_asset_value();
+
+ALTER TABLE fixed_costs ALTER COLUMN amount TYPE BIGINT USING ROUND(amount);
+ALTER TABLE liabilities ALTER COLUMN value TYPE BIGINT USING ROUND(value);
+ALTER TABLE incomes ALTER COLUMN amount TYPE BIGINT USING ROUND(amount);
@@ -0,0 +1,16 @@
+-- Money columns from the original schema were BIGINT, so a valid amount such
+-- as 1234.50 passed validation and was then rejected by Postgres. Store cents
+-- like the newer tables do (minimum_payment, monthly_limit).
+
+ALTER TABLE incomes ALTER COLUMN amount TYPE NUMERIC(12, 2);
+ALTER TABLE liabilities ALTER COLUMN value TYPE NUMERIC(12, 2);
+ALTER TABLE fixed_costs ALTER COLUMN amount TYPE NUMERIC(12, 2);
+
+-- A column a trigger watches can't change type, so the asset history trigger
+-- (010_goals) is recreated around it; the history follows the asset column
+DROP TRIGGER IF EXISTS assets_record_value ON assets;
+ALTER TABLE assets ALTER COLUMN value TYPE NUMERIC(12, 2);
+ALTER TABLE asset_values ALTER COLUMN value TYPE NUMERIC(12, 2);
+CREATE TRIGGER assets_record_value
+    AFTER INSERT OR UPDATE OF value ON assets
+    FOR EACH ROW EXECUTE FUNCTION record_asset_value();
@@ -0,0 +1,3 @@
+-- The column comes back empty
+ALTER TABLE credit_cards ADD COLUMN IF NOT EXISTS fingerprint VARCHAR(64);
+CREATE INDEX IF NOT EXISTS credit_cards_fingerprint_idx ON credit_cards (account_id, fingerprint);
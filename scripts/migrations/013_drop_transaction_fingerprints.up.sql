@@ -0,0 +1,7 @@
+-- credit_cards.fingerprint (003) was written on every insert but never read:
+-- duplicates are matched on date, amount and description across the account's
+-- rows (services/duplicateDetection.js), and nothing rebuilt the fingerprints
+-- that 004 cleared. Drop the column and its index.
+
+DROP INDEX IF EXISTS credit_cards_fingerprint_idx;
+ALTER TABLE credit_cards DROP COLUMN IF EXISTS fingerprint;
@@ -0,0 +1,2 @@
+-- Nothing to undo: the backfilled rows keep their category either way, and
+-- they can't be told apart from categories the user set later.
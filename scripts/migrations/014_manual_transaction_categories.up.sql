@@ -0,0 +1,8 @@
+-- Transactions entered through /config stored their category without a source,
+-- so re-applying the categorization rules would treat it as unset. They are
+-- the user's own choice, and also the row's own label.
+
+UPDATE credit_cards
+SET category_source = 'user',
+    original_category = category
+WHERE category IS NOT NULL AND category_source IS NULL;
@@ -5,7 +5,7 @@ export const queriesObj = {
             account_id,
                 SUM(
                     CASE
-                        WHEN frequency = 'every week' THEN (amount*52)/12
+                        WHEN frequency = 'Weekly' THEN (amount*52)/12
                         WHEN frequency = 'Every 2 Weeks' THEN (amount*26)/12
                         WHEN frequency = '15th And 30th' THEN (amount*24)/12
                         WHEN frequency = 'Monthly' THEN amount
@@ -43,6 +43,7 @@ export const queriesObj = {
                 SUM(amount) spending
             FROM credit_cards
             WHERE account_id = $1 
+                AND type <> 'Payment'
             GROUP BY 1
         )
         SELECT 
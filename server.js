@@ -6,6 +6,8 @@
  */
 
 import 'dotenv/config'; // Automatically loads .env
+import path from 'path';
+import { fileURLToPath } from 'url';
 import express from 'express';
 import cors from 'cors';
 
@@ -14,8 +16,22 @@ import cors from 'cors';
 import * as configurationCtrl from './controllers/configuration.js';
 import * as analysisCtrl from './controllers/analysis.js';
 import * as openaiCtrl from './controllers/openai.mjs';
+import * as authCtrl from './controllers/auth.js';
+import * as importCtrl from './controllers/import.js';
+import * as categorizationCtrl from './controllers/categorization.js';
+import * as conversationsCtrl from './controllers/conversations.js';
+import * as analysisRunsCtrl from './controllers/analysisRuns.js';
+import * as analysisJobsCtrl from './controllers/analysisJobs.js';
+import multer from 'multer';
+import { requireAuth, requireOwnAccount, requireStreamAuth } from './middleware/auth.js';
+import { ValidationError } from './services/schemaRegistry.js';
+import { closePool } from './services/db.js';
+import { validateRoutingRules } from './services/expertRouting.js';
 
-const app = express();
+// Fail fast if a routing rule points at an expert that can't run or be displayed
+validateRoutingRules();
+
+export const app = express();
 const PORT = process.env.PORT || 3000;
 
 // -----------------------------------------------------------------------------
@@ -29,23 +45,120 @@ app.use(cors());
 // Routes
 // -----------------------------------------------------------------------------
 
+// Public authentication routes
+app.post('/auth/signup', authCtrl.signup);
+app.post('/auth/login', authCtrl.login);
+app.get('/auth/me', requireAuth, authCtrl.me);
+
 // Interactions with the configuration tables
-app.get('/config/:userAcctId', configurationCtrl.index);
-app.post('/config/:table', configurationCtrl.create);
-app.put('/config/:table/:field/:id', configurationCtrl.update);
-app.delete('/config/:table/:id', configurationCtrl.deleteRecord);
+// The account is derived from the token, :userAcctId must match it
+app.get('/config/:userAcctId', requireAuth, requireOwnAccount, configurationCtrl.index);
+app.post('/config/:table', requireAuth, configurationCtrl.create);
+app.patch('/config/:table/:id', requireAuth, configurationCtrl.update);
+// Deprecated single-field form, use PATCH /config/:table/:id
+app.put('/config/:table/:field/:id', requireAuth, configurationCtrl.legacyUpdate);
+app.delete('/config/:table/:id', requireAuth, configurationCtrl.deleteRecord);
+
+// Statement imports (CSV / XLSX / OFX) into credit_cards
+app.get('/import/profiles', requireAuth, importCtrl.listProfiles);
+app.post('/import/profiles', requireAuth, importCtrl.createProfile);
+app.delete('/import/profiles/:id', requireAuth, importCtrl.deleteProfile);
+app.post('/import/preview', requireAuth, importCtrl.upload, importCtrl.preview);
+app.post('/import', requireAuth, importCtrl.upload, importCtrl.create);
+app.get('/import/duplicates', requireAuth, importCtrl.listDuplicates);
+app.post('/import/duplicates/:id/resolve', requireAuth, importCtrl.resolveDuplicate);
+
+// Categorization rules and manual re-categorization
+app.get('/categories/rules', requireAuth, categorizationCtrl.listRules);
+app.post('/categories/rules', requireAuth, categorizationCtrl.createRule);
+app.put('/categories/rules/order', requireAuth, categorizationCtrl.reorderRules);
+app.delete('/categories/rules/:id', requireAuth, categorizationCtrl.deleteRule);
+app.post('/categories/apply', requireAuth, categorizationCtrl.applyRules);
+app.put('/transactions/:id/category', requireAuth, categorizationCtrl.setTransactionCategory);
 
 // Simple analysis based on queries
-app.get('/analysis/:type/:userAcctId', analysisCtrl.show);
+app.get('/analysis/:type/:userAcctId', requireAuth, requireOwnAccount, analysisCtrl.show);
 
 // AI based analysis (The SSE Pipeline)
-app.post('/openai', openaiCtrl.create);
+app.post('/openai', requireAuth, openaiCtrl.create);
+app.post('/openai/route', requireAuth, openaiCtrl.route);
+app.get('/openai/stream/:runId', requireStreamAuth, openaiCtrl.resume);
+
+// Conversation threads behind /openai (pass conversationId to continue one)
+app.get('/conversations', requireAuth, conversationsCtrl.index);
+app.get('/conversations/:id', requireAuth, conversationsCtrl.show);
+app.patch('/conversations/:id', requireAuth, conversationsCtrl.rename);
+app.delete('/conversations/:id', requireAuth, conversationsCtrl.deleteConversation);
+
+// Stored pipeline runs: artifacts for audit, and a replay of the final answer
+app.get('/analysis-runs/:id', requireAuth, analysisRunsCtrl.show);
+app.post('/analysis-runs/:id/replay', requireAuth, analysisRunsCtrl.replay);
+
+// The same pipeline as a background job: start it, then stream (EventSource,
+// token as ?access_token=), poll or cancel it
+app.post('/analysis-jobs', requireAuth, analysisJobsCtrl.create);
+app.get('/analysis-jobs/:id', requireAuth, analysisJobsCtrl.show);
+app.get('/analysis-jobs/:id/stream', requireStreamAuth, analysisJobsCtrl.stream);
+app.delete('/analysis-jobs/:id', requireAuth, analysisJobsCtrl.cancel);
 
 // -----------------------------------------------------------------------------
-// Start Server
+// Error Handling
 // -----------------------------------------------------------------------------
 
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
+// Validation problems become structured 400s, anything else is a 500
+app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+
+    if (err instanceof ValidationError) {
+        return res.status(err.status).json({ success: false, errors: err.errors });
+    }
+
+    // express.json() refuses a body that isn't valid JSON
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ success: false, errors: [{ field: 'body', message: 'must be valid JSON' }] });
+    }
+
+    if (err instanceof multer.MulterError) {
+        return res.status(400).json({ success: false, errors: [{ field: err.field || 'file', message: err.message }] });
+    }
+
+    console.error('Unhandled error:', err);
+    res.status(500).json({ success: false, error: 'Unexpected server error' });
 });
 
+// -----------------------------------------------------------------------------
+// Start Server
+// -----------------------------------------------------------------------------
+
+// Stop accepting connections, let in-flight requests finish, then close the pool.
+// Long-lived SSE streams would keep us waiting forever, so force exit after a grace period.
+const SHUTDOWN_GRACE_MS = 10000;
+
+const start = () => {
+    const server = app.listen(PORT, () => {
+        console.log(`Server running on http://localhost:${PORT}`);
+    });
+
+    const shutdown = (signal) => {
+        console.log(`${signal} received, shutting down...`);
+
+        setTimeout(() => {
+            console.error('Forcing shutdown after grace period');
+            process.exit(1);
+        }, SHUTDOWN_GRACE_MS).unref();
+
+        server.close(async () => {
+            await closePool();
+            process.exit(0);
+        });
+        server.closeIdleConnections();
+    };
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+};
+
+// Tests import `app` and listen on their own port (see test/helpers/testApp.js)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    start();
+}
@@ -1,101 +1,74 @@
 import "dotenv/config";
-import OpenAI from "openai";
 import { expertPanel } from "./agents.js";
-
-// OpenAI client (Responses API lives on `client.responses.*`)
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+import { planPanel } from "./expertRouting.js";
+import { getProvider } from "./llmProvider.js";
+import { withRetry } from "./retry.js";
+import { computeFinancialMetrics } from "./financialMetrics.js";
+import { createModelClassifier, heuristicClassifier, withFallback } from "./questionClassifier.js";
 
 /**
  * Central place to change models.
  * - Background agents: cheaper model
  * - Final agent: best model (since it’s user-facing + streamed)
+ * LLM_MODEL_* override them, e.g. for a self-hosted model behind LLM_BASE_URL.
  */
-const MODEL_CONFIG = {
-    router: "gpt-4.1-mini", // Very cheap and fast
-    expert: "gpt-4.1-mini",
-    editor: "gpt-4.1",          // High quality for the user-facing response
+export const MODEL_CONFIG = {
+    router: process.env.LLM_MODEL_ROUTER || "gpt-4.1-mini", // Very cheap and fast
+    expert: process.env.LLM_MODEL_EXPERT || "gpt-4.1-mini",
+    editor: process.env.LLM_MODEL_EDITOR || "gpt-4.1",          // High quality for the user-facing response
 };
 
-const INTENT_ROUTER_SCHEMA = {
-  question_type: ['lookup', 'calculation', 'analysis', 'future_planning', 'tax'],
-  emotional_state: ['anxious', 'motivated', 'defensive', 'curious'],
+// A whole number >= min, else the default ("abc" or "-1" must not become NaN or a negative timeout)
+const intFromEnv = (env, name, fallback, min) => {
+    const raw = env[name]?.trim();
+    const value = Number(raw);
+    return raw && Number.isInteger(value) && value >= min ? value : fallback;
 };
 
+/**
+ * Per-expert call limits. Each attempt gets EXPERT_TIMEOUT_MS, failed attempts
+ * are retried EXPERT_RETRIES times with exponential backoff. A malformed value
+ * falls back to the default: NaN retries would retry forever.
+ */
+export const readExpertCallConfig = (env = process.env) => ({
+    timeoutMs: intFromEnv(env, "EXPERT_TIMEOUT_MS", 45000, 1),
+    retries: intFromEnv(env, "EXPERT_RETRIES", 2, 0),
+    baseDelayMs: intFromEnv(env, "EXPERT_RETRY_BASE_MS", 500, 0),
+});
 
-export const classifyQuestion = async (question, snapshot) => {
-  const response = await client.chat.completions.create({
-    model: MODEL_CONFIG.router,
-    messages: [{
-      role: "system",
-      content: ` Pick the item from each array that best describes the user's question for each category/key in the object: ${JSON.stringify(INTENT_ROUTER_SCHEMA)}.
-      
-                Use the below to understand how to determine the question type:
-                lookups: Can be answered with 1-2 numbers from the Available data.
-                calculations: Require math but no judgment calls.
-                diagnosis: Need financial expertise to interpret.
-                recommendation: Require advice/strategy.
-                goal_planning: Need to have a long term view of finances to determine the right steps to take
-                Complex: Multi-faceted questions needing full analysis (can't be categorized as one of the previous categories).
-                `
-    }, {
-      role: "user", 
-      content: `Question: "${question}"\n\nAvailable data: ${JSON.stringify(snapshot.totals)}`
-    }],
-    response_format: {
-      type: "json_schema",
-      json_schema: {
-        name: "question_classification",
-        schema: {
-          type: "object",
-          properties: {
-            question_type: { type: "string", enum: Object.values(INTENT_ROUTER_SCHEMA.question_type), reasoning: {type: "string"} },
-            emotional_state: { type: "string", enum: Object.values(INTENT_ROUTER_SCHEMA.emotional_state), reasoning: {type: "string"} },            
-            required_data: { type: "array", items: { type: "string" } }
-          },
-          required: ["type", "reasoning"]
-        }
-      }
-    },
-    max_tokens: 150
-  });
+export const EXPERT_CALL_CONFIG = readExpertCallConfig();
 
-  console.log("routing response: ", response.choices[0].message.content)
-  
-  return JSON.parse(response.choices[0].message.content);
+/**
+ * Question classifier (see services/questionClassifier.js).
+ * CLASSIFIER=heuristic skips the model entirely (offline / CI); otherwise the
+ * router model is used with the keyword classifier as a fallback.
+ */
+const classifier = process.env.CLASSIFIER === "heuristic"
+  ? heuristicClassifier
+  : withFallback(createModelClassifier({ model: MODEL_CONFIG.router }), heuristicClassifier);
+
+export const classifyQuestion = async (question, snapshot, { signal, onUsage } = {}) => {
+  return classifier.classify(question, snapshot, { signal, onUsage });
 };
 
 
+/**
+ * Picks the expert panel from the declarative rules in services/expertRouting.js.
+ */
 export const routeToExperts = (classification, snapshot) => {
-  const experts = ["financial_analyst"]; // Always runs
-  
-  // Add specialists based on intent
-  if (classification.question_type === "recommendation") {
-    experts.push("behavioral_economist");
-  }
-  
-  if (classification.emotional_state === "anxious" || classification.emotional_state === "defensive") {
-    experts.push("behavioral_therapist"); // Triage first
-  }
-  
-  if (snapshot.totals.totalLiabilities > 0) {
-    experts.push("debt_strategist");
-  }
-  
-  if (classification.question_type.includes("tax")) {
-    experts.push("tax_optimizer");
-  }
-  
-  if (classification.question_type === "future_planning") {
-    experts.push("goal_architect");
-  }
-  
-  // Always synthesize with persuasion coach
-//   experts.push("persuasion_coach");
-  
+  const { experts } = planPanel(classification, snapshot);
   return experts;
 };
 
-export const runExpertAnalysis = async (expert, question, snapshot) => {
+/**
+ * The deterministic metrics (services/financialMetrics.js) as they are given to
+ * the models: numbers to cite, with the formulas behind them.
+ */
+const groundTruthInstruction = ({ metrics, healthScore, definitions }) =>
+  `Ground-truth metrics, computed from the user's data. Cite these numbers exactly and never recalculate or contradict them (null means not enough data):
+${JSON.stringify({ metrics, healthScoreComponents: healthScore.components, formulas: definitions })}`;
+
+export const runExpertAnalysis = async (expert, question, snapshot, { signal, onUsage } = {}) => {
   const panel = expertPanel[expert];
 
   if (!panel) throw new Error(`Unknown expert "${expert}"`);
@@ -116,91 +89,100 @@ export const runExpertAnalysis = async (expert, question, snapshot) => {
     additionalProperties: false            // ✅ required by OpenAI strict schema
   };
 
-  const response = await client.chat.completions.create({
+  // Experts with an `input` selector only see the part of the snapshot they need
+  const data = panel.input ? panel.input(snapshot) : snapshot;
+  const groundTruth = computeFinancialMetrics(snapshot);
+
+  const request = {
     model: MODEL_CONFIG.expert,
     messages: [
       {
         role: "system",
         content: `${panel.prompt}
+${groundTruthInstruction(groundTruth)}
 You must output your analysis in the specific JSON format provided.`
       },
       {
         role: "user",
-        content: `Question: ${question}\nData to review:\n${JSON.stringify(snapshot)}`
+        content: `Question: ${question}\nData to review:\n${JSON.stringify(data)}`
       }
     ],
-    response_format: {
-      type: "json_schema",
-      json_schema: {
-        name: "expert_analysis",
-        strict: true,
-        schema: fullSchema
-      }
-    }
-  });
+    // Named per expert so mock fixtures can target one expert
+    schema: { name: `${expert}_analysis`, schema: fullSchema }
+  };
 
-  const parsedData = JSON.parse(response.choices[0].message.content);
-  console.log("parsedData: ", parsedData);
-  return { expertId: expert, data: parsedData };
+  // Retries are ours (see services/retry.js), so the SDK's own are turned off.
+  // A truncated or malformed JSON body throws a SyntaxError and is retried too.
+  const parsedData = await withRetry(
+    (attemptSignal) => getProvider().completeJSON(request, { signal: attemptSignal, maxRetries: 0, onUsage }),
+    {
+      ...EXPERT_CALL_CONFIG,
+      label: `expert:${expert}`,
+      signal,
+      onRetry: ({ attempt, error }) => console.warn(`expert:${expert} attempt ${attempt} failed, retrying:`, error.message),
+    }
+  );
+  // Experts with a `finalize` hook get the computed numbers written over their own
+  return { expertId: expert, data: panel.finalize ? panel.finalize(parsedData, { ...groundTruth, snapshot }) : parsedData };
 };
 
-export const runFinalAnalysis = async (expertResponses, question, classification) => {
-    const response = await client.chat.completions.create({
-        model: MODEL_CONFIG.editor,
-        messages: [
-        {
-            role: "system",
-            content: `${expertPanel["persuasion_coach"]}.
-                    You also have detailed notes form our experts: ${expertResponses}.`
-        },
-        {
-            role: "user",
-            content: `Question: ${question}\nClassification\n${classification}`
-        }
-        ],
-    });
-
-    return response;
-}
-
-
-export const streamFinalAnalysis = async ({ expertResponses, question, classification, res, snapshot }) => {
-  const input = [
+/**
+ * Streams the final answer through onDelta(text) and returns the full text.
+ * `history` holds the earlier turns of the conversation (services/conversations.js),
+ * replayed as user/assistant pairs so follow-up questions keep their context.
+ * `correction` ({ answer, issues }) asks for a rewrite of a fact-checked answer.
+ */
+export const streamFinalAnalysis = async ({ expertResponses, question, classification, history = [], correction = null, onDelta, snapshot, signal, onUsage }) => {
+  // The Lifestyle Auditor's easy cuts get their own section in the answer
+  const quickWins = expertResponses.find((r) => r?.expertId === "lifestyle_auditor")?.data?.low_hanging_fruit ?? [];
+  const quickWinsInstruction = quickWins.length
+    ? `\nEnd with a short "Quick wins" section listing these cuts with their annual savings and the suggested alternative: ${JSON.stringify(quickWins)}`
+    : "";
+
+  const messages = [
     {
       role: "system",
       content: `You are the final expert. Use the other experts' results. Stream a clear final answer.
                 Results from other experts: ${JSON.stringify(expertResponses)} 
-                Use this snapshot as reference data about the user: ${JSON.stringify(snapshot)}`
+                Use this snapshot as reference data about the user: ${JSON.stringify(snapshot)}
+                ${groundTruthInstruction(computeFinancialMetrics(snapshot))}${quickWinsInstruction}`
     },
+    ...history.flatMap((turn) => [
+      {
+        role: "user",
+        content: JSON.stringify({ question: turn.question, classification: turn.classification, expertFindings: turn.expertFindings })
+      },
+      { role: "assistant", content: turn.answer }
+    ]),
     {
       role: "user",
       content: JSON.stringify({ question, classification})
-    }
+    },
+    // A second attempt after the fact-check (services/factCheck.js) flagged figures
+    ...(correction
+      ? [
+          { role: "assistant", content: correction.answer },
+          {
+            role: "user",
+            content: `These figures in your answer are not backed by the data: ${JSON.stringify(correction.issues)}
+Rewrite the whole answer. Only use figures from the snapshot, the ground-truth metrics or the experts' results, quoted exactly.`
+          }
+        ]
+      : [])
   ];
 
-  // console.log("input: ", input);
+  // console.log("messages: ", messages);
 
-  const stream = await client.responses.create({
-    model: "gpt-4.1-mini", // pick your model
-    input,
-    stream: true,
-  });
+  const stream = getProvider().streamText({ model: MODEL_CONFIG.editor, messages }, { signal, onUsage });
 
-  // Stream events -> SSE
-  for await (const event of stream) {
-    // The exact event types vary slightly by SDK version, but these are the common ones:
-    if (event.type === "response.output_text.delta") {
-      res.write(`data: ${JSON.stringify({ delta: event.delta })}\n\n`);
-    }
-
-    if (event.type === "response.completed") {
-      // Optional: final status
-    //   sendStatus("Final expert finished.");
-    }
+  // Stream deltas -> caller (SSE), which sends `done` once the answer is saved
+  let answer = "";
+  for await (const delta of stream) {
+    answer += delta;
+    onDelta?.(delta);
   }
 
-  // Tell the client we're done
-  res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
+  return answer;
 };
 
 
@@ -1,9 +1,12 @@
+import { payoffPlanForExpert } from "./debtPayoff.js";
+
 const FINANCIAL_ANALYST_PROMPT = `
 You are a CFA who analyzes personal finances with brutal honesty.
 
 Given the user's financial snapshot:
-1. Calculate key metrics (savings rate, debt-to-income, net worth trajectory)
-2. Identify financial health score (0-100)
+1. Report the key metrics (savings rate, months of runway, debt-to-income, net worth velocity)
+   and the health score (0-100) exactly as given in the ground-truth metrics
+2. Explain what drives the health score, using its components
 3. Flag top 3 risks (e.g., "no emergency fund", "high housing cost")
 4. Spot opportunities (e.g., "can max 401k with current cashflow")
 5. Note missing data that would improve analysis
@@ -67,6 +70,9 @@ Analyze the user's:
 - Spending patterns (impulsive? seasonal?)
 - Question phrasing (confident? shame-laden?)
 - Financial situation vs. actions (are they self-sabotaging?)
+- Budget adherence: categoryBudgets (null if they set none) has their own monthly limits,
+  spending so far and the projected month-end overspend. Where plans and behavior diverge
+  is evidence, not a verdict.
 
 Diagnose behavioral issues:
 - Present bias ("I'll save next month")
@@ -122,6 +128,8 @@ Focus on:
 3. Habit loops (trigger → behavior → reward) that explain current outcomes
 4. Friction and environment design (defaults, automation, temptation exposure)
 5. Sustainable behavior change (small, identity-aligned shifts — not willpower)
+6. The gap between intention and behavior: categoryBudgets (null if they set none) shows the
+   limits they chose, what they spent and where they are on pace to overspend this month
 
 Bias toward:
 - Compassionate, non-judgmental framing
@@ -267,9 +275,11 @@ const TAX_OPTIMIZER_OUTPUT_SCHEMA = {
 const DEBT_STRATEGIST_PROMPT = `
 You are a debt specialist. Analyze the user's liabilities:
 
-1. Calculate payoff timelines (avalanche vs. snowball)
-2. Identify consolidation opportunities
-3. Model extra payment scenarios
+1. Compare payoff timelines (avalanche vs. snowball) using payoffPlan, a month-by-month
+   simulation of the user's actual rates and minimums. Quote its payoff dates and interest
+   totals as given; never recalculate them. Mention any assumption listed in its warnings.
+2. Identify consolidation opportunities (watch promo rates that are about to expire)
+3. Model extra payment scenarios (payoffPlan.extraPayment is the extra already simulated)
 4. Flag predatory debt (payday loans, high-interest cards)
 
 Output both mathematically optimal AND psychologically optimal strategies.
@@ -317,6 +327,13 @@ Analyze spending by category:
 4. Find substitution opportunities (cheaper alternatives with 90% of the value)
 
 Focus on HIGH-IMPACT, LOW-PAIN cuts. Don't nickel-and-dime coffee.
+
+categoryBreakdown already has each category's monthly amount and percentOfIncome
+("fixed" = fixed costs, "spending" = average of recent complete months of card spending).
+categoryBudgets (null if the user set none) is this month's budget vs. actual for the limits
+they chose, with the projected month-end spending and overspend at the current pace.
+Flag categories that are over or at risk before suggesting new cuts.
+Use those figures as given instead of recomputing them.
 `;
 
 const LIFESTYLE_OUTPUT_SCHEMA = {
@@ -363,7 +380,11 @@ const LIFESTYLE_OUTPUT_SCHEMA = {
 const GOAL_ARCHITECT_PROMPT = `
 You are a CFP building a financial plan.
 
-User's stated/implied goals: [from question + history]
+User's goals: snapshot.goals, the ones they committed to. Each has its progress (from the
+linked asset account), the required monthly contribution to hit its deadline, the recent
+monthly pace and a status. goalFunding shows how far monthlyCashflowApprox covers them,
+funded in priority order. Use these figures as given; goals implied by the question or
+history come on top of them.
 User's current situation: [financial snapshot]
 
 Build a step-by-step roadmap:
@@ -461,7 +482,18 @@ Do NOT:
 export const expertPanel = {
     financial_analyst: {
         prompt: FINANCIAL_ANALYST_PROMPT, 
-        output_schema: FINANCIAL_ANALYST_OUTPUT_SCHEMA
+        output_schema: FINANCIAL_ANALYST_OUTPUT_SCHEMA,
+        // The numbers always come from services/financialMetrics.js, whatever the model wrote
+        finalize: (output, { metrics }) => ({
+            ...output,
+            health_score: metrics.health_score,
+            key_metrics: {
+                savings_rate: metrics.savings_rate,
+                months_of_runway: metrics.months_of_runway,
+                debt_to_income: metrics.debt_to_income,
+                net_worth_velocity: metrics.net_worth_velocity,
+            },
+        }),
     },
     behavioral_therapist: {
         prompt: BEHAVIORAL_THERAPIST_PROMPT, 
@@ -473,12 +505,37 @@ export const expertPanel = {
     },
     debt_strategist: {
         prompt: DEBT_STRATEGIST_PROMPT, 
-        output_schema: DEBT_STRATEGIST_OUTPUT_SCHEMA
+        output_schema: DEBT_STRATEGIST_OUTPUT_SCHEMA,
+        // The simulated schedules (services/debtPayoff.js) ride along with the snapshot
+        input: (snapshot) => ({ ...snapshot, payoffPlan: payoffPlanForExpert(snapshot) }),
+        // Interest totals and payoff dates always come from the simulation
+        finalize: (output, { snapshot }) => {
+            const { comparison } = payoffPlanForExpert(snapshot);
+            return {
+                ...output,
+                total_interest_paid_current_path: comparison.current.totalInterest,
+                strategies: (output.strategies ?? []).map((strategy) => comparison[strategy.name]
+                    ? { ...strategy, total_interest_saved: comparison[strategy.name].interestSaved, payoff_date: comparison[strategy.name].payoffDate ?? strategy.payoff_date }
+                    : strategy),
+            };
+        },
     },
     tax_optimizer: {
         prompt: TAX_OPTIMIZER_PROMPT, 
         output_schema: TAX_OPTIMIZER_OUTPUT_SCHEMA
     },
+    lifestyle_auditor: {
+        prompt: LIFESTYLE_AUDITOR_PROMPT, 
+        output_schema: LIFESTYLE_OUTPUT_SCHEMA,
+        // Works from precomputed category shares, not the raw spending rows
+        input: ({ totals, categoryBreakdown, categoryBudgets, subscriptions, spendingTrends }) => ({
+            totals,
+            categoryBreakdown,
+            categoryBudgets,
+            subscriptions,
+            categoryTrends: spendingTrends?.categories,
+        }),
+    },
     goal_architect: {
         prompt: GOAL_ARCHITECT_PROMPT, 
         output_schema: GOAL_ARCHITECT_OUTPUT_SCHEMA
@@ -486,4 +543,15 @@ export const expertPanel = {
     persuasion_coach: {
         prompt: PERSUASION_COACH_PROMPT
     },
-}
\ No newline at end of file
+}
+
+// Icon and display name shown to the user while each expert works
+export const expertData = {
+    financial_analyst: {icon: '💼', name: "Financial Analyst"},
+    behavioral_therapist: {icon: '🛋️', name: "Behavioral Therapist"},
+    behavioral_economist: {icon: '🎓', name: "Behavioral Economist"},
+    debt_strategist: {icon: '🏛️', name: "Debt Strategist"},
+    tax_optimizer: {icon: '🧮', name: "Tax Optimizer"},
+    lifestyle_auditor: {icon: '🔍', name: "Lifestyle Auditor"},
+    goal_architect: {icon: '🧩', name: "Goal Architect"}
+}
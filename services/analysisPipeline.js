@@ -0,0 +1,307 @@
+/**
+ * services/analysisPipeline.js
+ * -----------------------------------------------------------------------------
+ * The AI analysis pipeline: snapshot -> classify -> route -> experts -> final
+ * answer -> saved turn.
+ *
+ * It never writes to an HTTP response. Progress goes into the run's event log
+ * (services/sse.js), so the same pipeline backs the interactive POST /openai
+ * stream and background jobs (/analysis-jobs), whose clients subscribe to the
+ * log or poll the stored run whenever they like.
+ */
+
+import { getFinancialSnapshot } from "./financialSnapshot.js";
+import { classifyQuestion, routeToExperts, runExpertAnalysis, streamFinalAnalysis } from "./agentRouting.js";
+import { expertData } from "./agents.js";
+import { validateId, ValidationError } from "./schemaRegistry.js";
+import { condenseFindings, ConversationGoneError, loadHistory, saveTurn } from "./conversations.js";
+import { startRun } from "./analysisRuns.js";
+import { createEventLog } from "./sse.js";
+import { FACT_CHECK_CONFIG, verifyAnswer } from "./factCheck.js";
+
+// One expert failing (after its retries) doesn't sink the request: it is
+// reported as a status and the final answer uses whoever succeeded.
+// Every outcome and its token usage is recorded on the run, and reported to
+// the client as an expert_result event.
+const runExpertsStatusOnly = async ({ experts, question, snapshot, sendStatus, sendExpertResult, signal, run }) => {
+  const results = await Promise.allSettled(
+    experts.map(async (expert) => {
+      const expertIcon = expertData[expert].icon;
+      const expertName = expertData[expert].name;
+      sendStatus(`${expertIcon}${expertName} has started...`);
+      try {
+        const expertResponse = await runExpertAnalysis(expert, question, snapshot, {
+          signal,
+          onUsage: run.usageFor(`expert:${expert}`),
+        });
+        run.recordExpert(expert, { output: expertResponse?.data ?? null });
+        sendStatus(`${expertIcon}${expertName} has finished.`);
+        sendExpertResult({
+          expert,
+          name: expertName,
+          icon: expertIcon,
+          status: "completed",
+          summary: condenseFindings([expertResponse])[0]?.findings ?? null,
+        });
+        return expertResponse;
+      } catch (err) {
+        run.recordExpert(expert, { error: err });
+        if (!signal?.aborted) {
+          console.error(`Expert ${expert} failed:`, err);
+          sendStatus(`⚠️${expertName} couldn't finish, continuing without it.`);
+          sendExpertResult({ expert, name: expertName, icon: expertIcon, status: "failed", error: err.message });
+        }
+        throw err;
+      }
+    })
+  );
+
+  const succeeded = results.filter((r) => r.status === "fulfilled").map((r) => r.value);
+  if (!succeeded.length && !signal?.aborted) {
+    throw new Error("None of the experts could finish, please try again.");
+  }
+  return succeeded;
+};
+
+/**
+ * streamCheckedAnswer({ expertResponses, question, classification, history, snapshot, log, run, step })
+ * Streams the final answer into `log` as delta events, fact-checks its figures
+ * (services/factCheck.js) and reports the result as a `verification` event.
+ * With FACT_CHECK_CONFIG.regenerate, a flagged answer gets one corrected
+ * attempt: that verification says `regenerating: true` and the deltas after it
+ * replace the answer streamed so far. Returns the final text.
+ */
+export const streamCheckedAnswer = async ({ log, run, step, ...input }) => {
+  const { signal } = log;
+  const checks = [];
+
+  const stream = (label, stage, correction) =>
+    step(label, () =>
+      streamFinalAnalysis({
+        ...input,
+        correction,
+        onDelta: (delta) => log.emit("delta", { delta }),
+        signal,
+        onUsage: run.usageFor(stage),
+      })
+    );
+
+  // Reports the fact-check of `answer`; `mayRegenerate` allows a corrected attempt if it is flagged
+  const check = (answer, mayRegenerate) => {
+    const result = verifyAnswer({ ...input, answer });
+    const verification = { ...result, attempt: checks.length + 1, regenerating: mayRegenerate && result.issues.length > 0 };
+    checks.push(verification);
+    run.set({ verification: checks });
+    log.emit("verification", verification);
+    return verification;
+  };
+
+  let answer = await stream("streamFinalAnalysis", "final");
+  run.set({ finalText: answer });
+  if (signal.aborted) return answer;
+
+  const first = check(answer, FACT_CHECK_CONFIG.regenerate);
+  if (first.regenerating) {
+    log.emit("status", { status: "🔎Some figures didn't match your data, correcting the answer..." });
+    answer = await stream("regenerateFinalAnalysis", "final:correction", { answer, issues: first.issues });
+    run.set({ finalText: answer });
+    if (signal.aborted) return answer;
+    check(answer, false);
+  }
+
+  return answer;
+};
+
+/**
+ * parseAnalysisRequest(body)
+ * { question, conversationId } from a request body, or a ValidationError.
+ * conversationId continues an existing thread, without it a new one is started.
+ * Whether the conversation belongs to the caller is up to the controller.
+ */
+export const parseAnalysisRequest = (body) => {
+  const { question, conversationId: rawConversationId } = body ?? {};
+
+  if (typeof question !== "string" || !question.trim()) {
+    throw new ValidationError([{ field: "question", message: "is required" }]);
+  }
+
+  let conversationId = null;
+  if (rawConversationId != null) {
+    try {
+      conversationId = validateId(rawConversationId);
+    } catch {
+      throw new ValidationError([{ field: "conversationId", message: "must be a positive integer" }]);
+    }
+  }
+
+  return { question, conversationId };
+};
+
+
+/**
+ * startAnalysis({ accountId, question, conversationId, cancelWhenAbandoned })
+ * Records the run, opens its event log and starts the pipeline without
+ * waiting for it. Returns { run, log, finished }; `finished` settles when the
+ * pipeline is done (it never rejects, failures end up as an error event).
+ * Background jobs keep going with nobody listening (cancelWhenAbandoned: false).
+ */
+export const startAnalysis = async ({ accountId, question, conversationId = null, cancelWhenAbandoned = true }) => {
+  // Audit trail of this run (see services/analysisRuns.js)
+  const run = await startRun({ accountId, question, conversationId });
+  const log = createEventLog({ key: run.id, accountId, cancelWhenAbandoned });
+
+  const finished = runPipeline({ accountId, question, conversationId, run, log }).catch((err) => {
+    console.error(`Analysis run ${run.id} crashed:`, err);
+  });
+
+  return { run, log, finished };
+};
+
+
+// Runs every step, reporting into `log` and recording artifacts on `run`
+const runPipeline = async ({ accountId, question, conversationId, run, log }) => {
+  // Sends a "status" event, used for progress updates (non-streaming steps).
+  const sendStatus = (msg) => log.emit("status", { status: msg });
+
+  // ---------------------------------------------------------
+  // CONNECTION / ABORT HANDLING
+  // ---------------------------------------------------------
+  // The log's signal aborts when the run is cancelled (DELETE /analysis-jobs/:id)
+  // or nobody has been listening to an /openai stream for a while (tab closed
+  // and never reconnected). It cancels in-flight model calls (classifier,
+  // experts, final stream).
+  const { signal } = log;
+  const bailIfAborted = () => signal.aborted;
+
+  // ---------------------------------------------------------
+  // STEP TIMING / DEBUGGING HELPER
+  // ---------------------------------------------------------
+  // Wraps async calls so we can see *exactly*
+  // where execution hangs or slows down.
+  const step = async (label, fn) => {
+    console.log(`[STEP] ${label} started`);
+    const start = Date.now();
+    const result = await fn();
+    const elapsed = Date.now() - start;
+    console.log(`[STEP] ${label} finished in ${elapsed}ms`);
+    run.recordLatency(label, elapsed);
+    return result;
+  };
+
+  // ---------------------------------------------------------
+  // MAIN EXECUTION FLOW
+  // ---------------------------------------------------------
+  try {
+    // ---- 0. Tell the client which run this is, so it can resume it
+    log.emit("run", { runId: run.id, conversationId });
+
+    // ---- 1. Fetch financial snapshot (DB / aggregation work)
+    sendStatus(`📈Fetching financial data for account ${accountId}...`);
+
+    const [snapshot, history] = await step("getFinancialSnapshot", () =>
+      Promise.all([
+        getFinancialSnapshot(accountId),
+        conversationId ? loadHistory(conversationId) : [],
+      ])
+    );
+    run.set({ snapshot, history });
+
+    // If the run was cancelled while we were waiting, stop.
+    if (bailIfAborted()) return;
+
+    // ---- 2. Classify the user's question
+    // Determines question type, sentiment, and data needs
+    sendStatus("📡Routing your question to the right expert...");
+
+    const classification = await step("classifyQuestion", () =>
+      classifyQuestion(question, snapshot, { signal, onUsage: run.usageFor("classifier") })
+    );
+    run.set({ classification });
+
+    if (bailIfAborted()) return;
+
+    // ---- 3. Select the appropriate expert agents
+    const experts = await step("routeToExperts", () =>
+      routeToExperts(classification, snapshot)
+    );
+    run.set({ experts });
+
+    if (bailIfAborted()) return;
+
+    // ---- 4. Run expert agents (NON-STREAMING)
+    // Each expert sends "started" / "finished" statuses and an
+    // expert_result event with a condensed summary of its findings.
+    const expertResponses = await step("runExpertsStatusOnly", () =>
+      runExpertsStatusOnly({
+        experts,
+        question,
+        snapshot,
+        sendStatus,
+        sendExpertResult: (result) => log.emit("expert_result", result),
+        signal,
+        run,
+      })
+    );
+
+    if (bailIfAborted()) return;
+
+    // ---- 5. Final agent (STREAMING)
+    // This is the only agent whose text output
+    // is streamed token-by-token back to the client,
+    // followed by the fact-check of its figures.
+    sendStatus('🎯The experts are all done, putting together final answer...')
+    const answer = await streamCheckedAnswer({
+      expertResponses,
+      question,
+      classification,
+      history,
+      snapshot,
+      log,
+      run,
+      step,
+    });
+
+    if (bailIfAborted()) return;
+
+    // ---- 6. Save the turn so follow-up questions can build on it
+    const saved = await step("saveTurn", () =>
+      saveTurn(accountId, conversationId, {
+        question,
+        classification,
+        expertFindings: condenseFindings(expertResponses),
+        answer,
+      })
+    );
+    run.set(saved);
+    await run.finish("completed");
+    log.emit("saved", { ...saved, runId: run.id });
+
+    // ---- 7. Signal completion to the client (the one terminal event)
+    log.emit("done", { done: true });
+  } catch (err) {
+    // ---------------------------------------------------------
+    // ERROR HANDLING
+    // ---------------------------------------------------------
+    // Cancelled, or nobody is listening anymore, nothing to report
+    if (bailIfAborted()) return;
+
+    // Deleted mid-run: the answer was streamed but there's no thread to keep it in.
+    // The run can't point at the conversation anymore either.
+    const gone = err instanceof ConversationGoneError;
+    if (gone) run.set({ conversationId: null });
+    else console.error("AI pipeline error:", err);
+    await run.finish("failed", err);
+
+    // Even errors are sent as (terminal) SSE events
+    // so the frontend can handle them gracefully.
+    log.emit("error", { error: err?.message || "Unexpected server error", ...(gone && { code: err.code }) });
+  } finally {
+    // ---------------------------------------------------------
+    // CLEANUP
+    // ---------------------------------------------------------
+    // No-op unless the run was cancelled before it could finish
+    run.finish("cancelled");
+  }
+};
+
+
@@ -0,0 +1,140 @@
+/**
+ * services/analysisRuns.js
+ * -----------------------------------------------------------------------------
+ * Audit trail of the /openai pipeline. Each run stores the question, the
+ * classification, the routed experts and each expert's structured output, the
+ * snapshot and history they saw, token usage per call, the models from
+ * MODEL_CONFIG, the latency of every step(), the final streamed text and its
+ * fact-check (services/factCheck.js).
+ *
+ * The run row is inserted as "running" when the pipeline starts; artifacts are
+ * collected in memory and written once by finish(). Because the expert outputs
+ * and their inputs are kept, the final synthesis can be replayed later without
+ * calling the experts again (POST /analysis-runs/:id/replay).
+ */
+
+import { pool } from "./db.js";
+import { MODEL_CONFIG } from "./agentRouting.js";
+
+/**
+ * startRun({ accountId, question, conversationId, replayOf })
+ * Returns a recorder:
+ *   id
+ *   set(fields)                  classification, experts, snapshot, history, finalText, verification, conversationId, messageId ...
+ *   recordLatency(label, ms)
+ *   recordExpert(expert, { output } | { error })
+ *   usageFor(stage)              an onUsage callback for the provider, tagged with the stage
+ *   finish(status, error)        completed | failed | cancelled; only the first call counts
+ */
+export const startRun = async ({ accountId, question, conversationId = null, replayOf = null }) => {
+    const models = { ...MODEL_CONFIG };
+    const { rows } = await pool.query(
+        `INSERT INTO analysis_runs (account_id, conversation_id, replay_of, question, models)
+        VALUES ($1, $2, $3, $4, $5) RETURNING id;`,
+        [accountId, conversationId, replayOf, question, JSON.stringify(models)]
+    );
+    const id = rows[0].id;
+
+    const artifacts = { conversationId, expertOutputs: {}, usage: [], latencies: {} };
+    let finished = null;
+
+    return {
+        id,
+
+        set: (fields) => Object.assign(artifacts, fields),
+
+        recordLatency: (label, ms) => {
+            artifacts.latencies[label] = ms;
+        },
+
+        recordExpert: (expert, { output, error }) => {
+            artifacts.expertOutputs[expert] = error
+                ? { status: "failed", error: error.message }
+                : { status: "completed", output };
+        },
+
+        usageFor: (stage) => (usage) => {
+            artifacts.usage.push({ stage, ...usage });
+        },
+
+        // Saving the audit trail must never break the answer, failures are only logged
+        finish: (status, error) => {
+            finished ??= pool.query(
+                `UPDATE analysis_runs
+                SET status = $2,
+                    error = $3,
+                    conversation_id = $4,
+                    message_id = $5,
+                    classification = $6,
+                    experts = $7,
+                    expert_outputs = $8,
+                    snapshot = $9,
+                    history = $10,
+                    token_usage = $11,
+                    step_latencies = $12,
+                    final_text = $13,
+                    verification = $14,
+                    completed_at = NOW()
+                WHERE id = $1;`,
+                [
+                    id,
+                    status,
+                    error?.message ?? null,
+                    artifacts.conversationId ?? null,
+                    artifacts.messageId ?? null,
+                    JSON.stringify(artifacts.classification ?? null),
+                    JSON.stringify(artifacts.experts ?? []),
+                    JSON.stringify(artifacts.expertOutputs),
+                    JSON.stringify(artifacts.snapshot ?? null),
+                    JSON.stringify(artifacts.history ?? []),
+                    JSON.stringify(artifacts.usage),
+                    JSON.stringify(artifacts.latencies),
+                    artifacts.finalText ?? null,
+                    JSON.stringify(artifacts.verification ?? null),
+                ]
+            ).catch((err) => console.error(`Could not save analysis run ${id}:`, err));
+            return finished;
+        },
+    };
+};
+
+/**
+ * findRun(accountId, id)
+ * The run if it belongs to the account, otherwise null.
+ */
+export const findRun = async (accountId, id) => {
+    const { rows } = await pool.query(
+        `SELECT * FROM analysis_runs WHERE id = $1 AND account_id = $2;`,
+        [id, accountId]
+    );
+    return rows[0] ?? null;
+};
+
+/**
+ * summarizeUsage(usage)
+ * Token totals overall and per model.
+ */
+export const summarizeUsage = (usage = []) => {
+    const add = (into, { inputTokens = 0, outputTokens = 0 }) => {
+        into.inputTokens += inputTokens;
+        into.outputTokens += outputTokens;
+        return into;
+    };
+
+    const total = { inputTokens: 0, outputTokens: 0 };
+    const byModel = {};
+    for (const call of usage) {
+        add(total, call);
+        add((byModel[call.model] ??= { inputTokens: 0, outputTokens: 0 }), call);
+    }
+    return { calls: usage, total, byModel };
+};
+
+/**
+ * expertResponsesFromRun(run)
+ * The successful expert outputs in routed order, shaped like runExpertAnalysis results.
+ */
+export const expertResponsesFromRun = (run) =>
+    (run.experts ?? [])
+        .filter((expert) => run.expert_outputs?.[expert]?.status === "completed")
+        .map((expert) => ({ expertId: expert, data: run.expert_outputs[expert].output }));
@@ -0,0 +1,41 @@
+import "dotenv/config";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+
+const BCRYPT_ROUNDS = 12;
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || "7d";
+
+/**
+ * getSecret()
+ * The signing secret must come from the environment, there is no default on purpose.
+ */
+const getSecret = () => {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) throw new Error("JWT_SECRET is not set");
+    return secret;
+};
+
+/**
+ * hashPassword(password) / verifyPassword(password, hash)
+ * Passwords are only ever stored as bcrypt hashes.
+ */
+export const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+export const verifyPassword = (password, hash) => bcrypt.compare(password, hash);
+
+/**
+ * signToken(user)
+ * Issues a bearer token carrying the user id and the account it is allowed to touch.
+ */
+export const signToken = (user) =>
+    jwt.sign(
+        { sub: String(user.id), username: user.username, accountId: user.account_id },
+        getSecret(),
+        { expiresIn: TOKEN_TTL }
+    );
+
+/**
+ * verifyToken(token)
+ * Returns the decoded payload, throws if the token is invalid or expired.
+ */
+export const verifyToken = (token) => jwt.verify(token, getSecret());
@@ -0,0 +1,334 @@
+/**
+ * services/categorization.js
+ * -----------------------------------------------------------------------------
+ * Assigns a consistent category to credit card transactions, regardless of
+ * which issuer's labels came in with the statement.
+ *
+ * Order of precedence for a transaction:
+ *   1. Merchant memory - the user re-categorized this merchant before
+ *   2. Rules           - user-defined, first match by position wins
+ *   3. Bank category   - whatever the export supplied
+ *   4. AI fallback     - optional, batches the leftovers to the router model
+ *
+ * Payments are never categorized (they aren't spending).
+ */
+
+import { MODEL_CONFIG } from "./agentRouting.js";
+import { normalizeDescription } from "./duplicateDetection.js";
+import { getProvider } from "./llmProvider.js";
+import { ValidationError } from "./schemaRegistry.js";
+
+export const MATCH_TYPES = ["contains", "regex"];
+
+// Offered to the model when the user doesn't have enough categories of their own yet
+export const DEFAULT_CATEGORIES = [
+    "Groceries",
+    "Food & Drink",
+    "Shopping",
+    "Travel",
+    "Gas",
+    "Automotive",
+    "Entertainment",
+    "Subscriptions",
+    "Bills & Utilities",
+    "Health & Wellness",
+    "Personal",
+    "Home",
+    "Education",
+    "Gifts & Donations",
+    "Professional Services",
+    "Fees & Adjustments",
+];
+
+// Keep AI batches small enough for the router model's output budget
+const AI_BATCH_SIZE = 40;
+
+// Regex rules run on the server against every transaction of an import, so a
+// pattern that backtracks catastrophically would block the event loop for
+// everyone. Only patterns that can't are accepted: short, no backreferences,
+// and no repeated group that itself repeats or alternates ((a+)+, (a|ab)*).
+const MAX_REGEX_LENGTH = 100;
+
+// The quantifier at pattern[i], if any; `repeats` unless it is ? or {0,1}
+const quantifierAt = (pattern, i) => {
+    const match = pattern.slice(i).match(/^(?:[*+?]|\{(\d+)(,(\d*))?\})\??/);
+    if (!match) return null;
+    const [text, min, comma, max] = match;
+    const repeats = text[0] === "*" || text[0] === "+"
+        || (text[0] === "{" && (comma ? max === "" || Number(max) > 1 : Number(min) > 1));
+    return { length: text.length, repeats };
+};
+
+/**
+ * unsafeRegexReason(pattern)
+ * Why a (syntactically valid) regex rule can't be run safely, or null.
+ */
+export const unsafeRegexReason = (pattern) => {
+    if (pattern.length > MAX_REGEX_LENGTH) return `must be at most ${MAX_REGEX_LENGTH} characters for a regex`;
+
+    // What each open group contains so far
+    const groups = [{ repeats: false, alternates: false }];
+    let i = 0;
+    while (i < pattern.length) {
+        let group = null;
+
+        if (pattern[i] === "\\") {
+            if (/[1-9k]/.test(pattern[i + 1] ?? "")) return "must not use backreferences";
+            i += 2;
+        } else if (pattern[i] === "[") {
+            let j = i + 1;
+            if (pattern[j] === "^") j++;
+            if (pattern[j] === "]") j++;
+            while (j < pattern.length && pattern[j] !== "]") j += pattern[j] === "\\" ? 2 : 1;
+            i = j + 1;
+        } else if (pattern[i] === "(") {
+            groups.push({ repeats: false, alternates: false });
+            // (?:  (?=  (?!  (?<=  (?<!  (?<name>
+            const modifier = pattern.slice(i + 1).match(/^\?(?:[:=!]|<[=!]|<[^>]*>)/);
+            i += 1 + (modifier?.[0].length ?? 0);
+            continue;
+        } else if (pattern[i] === ")") {
+            group = groups.length > 1 ? groups.pop() : null;
+            i++;
+        } else if (pattern[i] === "|") {
+            groups.at(-1).alternates = true;
+            i++;
+            continue;
+        } else {
+            i++;
+        }
+
+        const current = groups.at(-1);
+        const quantifier = quantifierAt(pattern, i);
+        if (quantifier) {
+            i += quantifier.length;
+            if (quantifier.repeats && group && (group.repeats || group.alternates)) {
+                return "must not repeat a group that contains a quantifier or an alternation, e.g. (a+)+";
+            }
+            if (quantifier.repeats) current.repeats = true;
+        }
+        if (group?.repeats) current.repeats = true;
+        if (group?.alternates) current.alternates = true;
+    }
+
+    return null;
+};
+
+/**
+ * merchantKey(description)
+ * The key merchant memory is stored under, shared with duplicate detection.
+ */
+export const merchantKey = (description) => normalizeDescription(description).slice(0, 400);
+
+/**
+ * validateRule(input)
+ * A rule needs a category and at least one condition (pattern or amount range).
+ */
+export const validateRule = (input = {}) => {
+    const errors = [];
+    const matchType = input.match_type ?? "contains";
+    const pattern = typeof input.pattern === "string" ? input.pattern.trim() : "";
+    const category = typeof input.category === "string" ? input.category.trim() : "";
+    const toAmount = (value) => (value === undefined || value === null || value === "" ? null : Number(value));
+    const minAmount = toAmount(input.min_amount);
+    const maxAmount = toAmount(input.max_amount);
+
+    if (!MATCH_TYPES.includes(matchType)) {
+        errors.push({ field: "match_type", message: `must be one of: ${MATCH_TYPES.join(", ")}` });
+    }
+    if (!category || category.length > 100) {
+        errors.push({ field: "category", message: "is required (max 100 characters)" });
+    }
+    if (pattern.length > 200) {
+        errors.push({ field: "pattern", message: "must be at most 200 characters" });
+    }
+    if (matchType === "regex" && pattern) {
+        try {
+            new RegExp(pattern, "i");
+            const unsafe = unsafeRegexReason(pattern);
+            if (unsafe) errors.push({ field: "pattern", message: unsafe });
+        } catch (err) {
+            errors.push({ field: "pattern", message: `is not a valid regular expression: ${err.message}` });
+        }
+    }
+    for (const [field, value] of [["min_amount", minAmount], ["max_amount", maxAmount]]) {
+        if (value !== null && !Number.isFinite(value)) errors.push({ field, message: "must be a number" });
+    }
+    if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+        errors.push({ field: "min_amount", message: "must not be greater than max_amount" });
+    }
+    if (!pattern && minAmount === null && maxAmount === null) {
+        errors.push({ field: "pattern", message: "a pattern or an amount range is required" });
+    }
+
+    if (errors.length) throw new ValidationError(errors);
+    return { match_type: matchType, pattern: pattern || null, min_amount: minAmount, max_amount: maxAmount, category };
+};
+
+/**
+ * compileRules(rows)
+ * Turns category_rules rows into matcher functions, ordered by position.
+ * Regex rules saved before unsafeRegexReason existed are skipped if they fail it.
+ */
+export const compileRules = (rows) =>
+    [...rows]
+        .sort((a, b) => a.position - b.position)
+        .filter((rule) => {
+            const unsafe = rule.pattern && rule.match_type === "regex" ? unsafeRegexReason(rule.pattern) : null;
+            if (unsafe) console.warn(`Skipping category rule ${rule.id}: pattern ${unsafe}`);
+            return !unsafe;
+        })
+        .map((rule) => {
+            const min = rule.min_amount === null ? null : Number(rule.min_amount);
+            const max = rule.max_amount === null ? null : Number(rule.max_amount);
+            const regex = rule.pattern && rule.match_type === "regex" ? new RegExp(rule.pattern, "i") : null;
+            const needle = rule.pattern && rule.match_type === "contains" ? rule.pattern.toLowerCase() : null;
+
+            return {
+                id: rule.id,
+                category: rule.category,
+                matches: ({ description = "", amount }) => {
+                    if (regex && !regex.test(description)) return false;
+                    if (needle && !description.toLowerCase().includes(needle)) return false;
+                    if (min !== null && Number(amount) < min) return false;
+                    if (max !== null && Number(amount) > max) return false;
+                    return true;
+                },
+            };
+        });
+
+/**
+ * loadCategorizer(db, accountId)
+ * Reads the account's rules and merchant memory once and returns a
+ * categorize(transaction) function for a whole batch.
+ */
+export const loadCategorizer = async (db, accountId) => {
+    const [rulesResult, merchantsResult] = await Promise.all([
+        db.query(`SELECT id, position, match_type, pattern, min_amount, max_amount, category FROM category_rules WHERE account_id = $1;`, [accountId]),
+        db.query(`SELECT merchant, category FROM merchant_categories WHERE account_id = $1;`, [accountId]),
+    ]);
+
+    const rules = compileRules(rulesResult.rows);
+    const merchants = new Map(merchantsResult.rows.map(({ merchant, category }) => [merchant, category]));
+
+    /**
+     * categorize({ description, amount, type, original_category })
+     * Returns { category, category_source, rule_id }.
+     */
+    return ({ description, amount, type, original_category }) => {
+        if (type === "Payment") return { category: original_category ?? null, category_source: "bank", rule_id: null };
+
+        const remembered = merchants.get(merchantKey(description));
+        if (remembered) return { category: remembered, category_source: "merchant", rule_id: null };
+
+        const rule = rules.find((r) => r.matches({ description, amount }));
+        if (rule) return { category: rule.category, category_source: "rule", rule_id: rule.id };
+
+        if (original_category) return { category: original_category, category_source: "bank", rule_id: null };
+        return { category: null, category_source: null, rule_id: null };
+    };
+};
+
+/**
+ * categorizeWithAI(descriptions, categories)
+ * Sends uncategorized merchant descriptions to the router model in batches.
+ * Returns a Map of description -> category. Failures are logged and skipped,
+ * the transactions simply stay uncategorized.
+ */
+export const categorizeWithAI = async (descriptions, categories = DEFAULT_CATEGORIES) => {
+    const unique = [...new Set(descriptions.filter(Boolean))];
+    const results = new Map();
+
+    for (let i = 0; i < unique.length; i += AI_BATCH_SIZE) {
+        const batch = unique.slice(i, i + AI_BATCH_SIZE);
+
+        try {
+            const { results: rows } = await getProvider().completeJSON({
+                model: MODEL_CONFIG.router,
+                temperature: 0,
+                messages: [
+                    {
+                        role: "system",
+                        content: `You categorize credit card transactions by merchant description.
+                        Use only these categories: ${JSON.stringify(categories)}.
+                        If none fits, use "Other". Return one result per description, in the same order.`,
+                    },
+                    { role: "user", content: JSON.stringify(batch) },
+                ],
+                schema: {
+                    name: "transaction_categories",
+                    schema: {
+                        type: "object",
+                        properties: {
+                            results: {
+                                type: "array",
+                                items: {
+                                    type: "object",
+                                    properties: {
+                                        description: { type: "string" },
+                                        category: { type: "string", enum: [...categories, "Other"] },
+                                    },
+                                    required: ["description", "category"],
+                                    additionalProperties: false,
+                                },
+                            },
+                        },
+                        required: ["results"],
+                        additionalProperties: false,
+                    },
+                },
+            });
+
+            for (const { description, category } of rows) {
+                if (batch.includes(description)) results.set(description, category);
+            }
+        } catch (err) {
+            console.error("AI categorization batch failed:", err.message);
+        }
+    }
+
+    return results;
+};
+
+/**
+ * categorizeRecords(db, accountId, records, { useAI })
+ * Applies the engine to freshly mapped statement records in place.
+ * Used by the import pipeline before rows are written.
+ */
+export const categorizeRecords = async (db, accountId, records, { useAI = false } = {}) => {
+    const categorize = await loadCategorizer(db, accountId);
+
+    for (const record of records) {
+        const original = record.category ?? null;
+        const { category, category_source } = categorize({ ...record, original_category: original });
+        Object.assign(record, { original_category: original, category, category_source });
+    }
+
+    if (useAI) {
+        const leftovers = records.filter((r) => !r.category && r.type !== "Payment");
+        if (leftovers.length) {
+            const categories = await knownCategories(db, accountId);
+            const aiCategories = await categorizeWithAI(leftovers.map((r) => r.description), categories);
+            for (const record of leftovers) {
+                const category = aiCategories.get(record.description);
+                if (category) Object.assign(record, { category, category_source: "ai" });
+            }
+        }
+    }
+
+    return records;
+};
+
+/**
+ * knownCategories(db, accountId)
+ * The user's own category vocabulary, padded with the defaults.
+ */
+export const knownCategories = async (db, accountId) => {
+    const result = await db.query(
+        `SELECT DISTINCT category FROM credit_cards WHERE account_id = $1 AND category IS NOT NULL
+        UNION
+        SELECT DISTINCT category FROM category_rules WHERE account_id = $1;`,
+        [accountId]
+    );
+    return [...new Set([...result.rows.map((row) => row.category), ...DEFAULT_CATEGORIES])];
+};
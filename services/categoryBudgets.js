@@ -0,0 +1,149 @@
+/**
+ * services/categoryBudgets.js
+ * -----------------------------------------------------------------------------
+ * Budget vs. actual per spending category. Users set a monthly limit per card
+ * category (category_budgets, CRUD through /config); actual spending comes
+ * from credit_cards with the usual sign convention (payments excluded,
+ * returns net against their category).
+ *
+ * With rollover, what was left of each earlier month's limit is added to the
+ * month's limit, and an overspend is taken off it. Rollover counts from the
+ * month the budget was created, at most ROLLOVER_MONTHS back.
+ *
+ * The month in progress is projected to its end at the pace so far
+ * (spent / days elapsed * days in month), so an overspend shows up while it
+ * can still be avoided.
+ */
+
+import { pool } from "./db.js";
+
+// How far back rollover looks
+export const ROLLOVER_MONTHS = 12;
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const categoryKey = (category) => (category ?? "Uncategorized").trim().toLowerCase();
+const monthOf = (date) => new Date(date).toISOString().slice(0, 7);
+
+// "YYYY-MM" shifted by `delta` months
+const shiftMonth = (month, delta) => {
+    const [year, m] = month.split("-").map(Number);
+    return new Date(Date.UTC(year, m - 1 + delta, 1)).toISOString().slice(0, 7);
+};
+
+export const isValidMonth = (month) => MONTH_PATTERN.test(month);
+
+/**
+ * buildBudgetReport({ budgets, monthlyTotals, month, asOf })
+ * budgets:       [{ category, monthly_limit, rollover, created_at }]
+ * monthlyTotals: [{ period: "YYYY-MM", category, total }], card spending per month and category
+ * Returns { month, daysElapsed, daysInMonth, complete, categories, unbudgeted, totals }.
+ * Each category: { category, limit, rollover, carryover, available, actual,
+ * remaining, percentUsed, projected, projectedOverspend, status: over | at_risk | on_track }.
+ */
+export const buildBudgetReport = ({ budgets, monthlyTotals, month, asOf = new Date() }) => {
+    const [year, m] = month.split("-").map(Number);
+    const daysInMonth = new Date(Date.UTC(year, m, 0)).getUTCDate();
+    const currentMonth = monthOf(asOf);
+    const daysElapsed = month < currentMonth ? daysInMonth : month > currentMonth ? 0 : new Date(asOf).getUTCDate();
+
+    // Spending by category key, then by month
+    const spent = new Map();
+    const names = new Map();
+    for (const { period, category, total } of monthlyTotals) {
+        const key = categoryKey(category);
+        names.set(key, names.get(key) ?? category ?? "Uncategorized");
+        const byMonth = spent.get(key) ?? new Map();
+        byMonth.set(period, (byMonth.get(period) ?? 0) + Number(total));
+        spent.set(key, byMonth);
+    }
+    const spentIn = (key, period) => spent.get(key)?.get(period) ?? 0;
+
+    const categories = budgets.map((budget) => {
+        const key = categoryKey(budget.category);
+        const limit = Number(budget.monthly_limit);
+
+        let carryover = 0;
+        if (budget.rollover) {
+            const created = budget.created_at ? monthOf(budget.created_at) : month;
+            const from = [created, shiftMonth(month, -ROLLOVER_MONTHS)].sort().at(-1);
+            for (let period = from; period < month; period = shiftMonth(period, 1)) {
+                carryover += limit - spentIn(key, period);
+            }
+        }
+
+        const available = round2(limit + carryover);
+        const actual = round2(spentIn(key, month));
+        const projected = daysElapsed ? round2((actual / daysElapsed) * daysInMonth) : actual;
+        const projectedOverspend = round2(Math.max(0, projected - available));
+
+        return {
+            category: budget.category,
+            limit,
+            rollover: Boolean(budget.rollover),
+            carryover: round2(carryover),
+            available,
+            actual,
+            remaining: round2(available - actual),
+            percentUsed: available > 0 ? Math.round((actual / available) * 1000) / 10 : null,
+            projected,
+            projectedOverspend,
+            status: actual > available ? "over" : projectedOverspend > 0 ? "at_risk" : "on_track",
+        };
+    });
+
+    // Spending in categories without a limit, largest first
+    const budgeted = new Set(budgets.map((b) => categoryKey(b.category)));
+    const unbudgeted = [...spent.keys()]
+        .filter((key) => !budgeted.has(key) && spentIn(key, month) !== 0)
+        .map((key) => ({ category: names.get(key), actual: round2(spentIn(key, month)) }))
+        .sort((a, b) => b.actual - a.actual);
+
+    const sum = (field) => round2(categories.reduce((total, c) => total + c[field], 0));
+    return {
+        month,
+        daysElapsed,
+        daysInMonth,
+        complete: daysElapsed === daysInMonth,
+        categories,
+        unbudgeted,
+        totals: {
+            limit: sum("limit"),
+            available: sum("available"),
+            actual: sum("actual"),
+            projected: sum("projected"),
+            projectedOverspend: sum("projectedOverspend"),
+        },
+    };
+};
+
+/**
+ * getBudgetReport(accountId, { month, asOf })
+ * The report for any month ("YYYY-MM", default the current one).
+ */
+export const getBudgetReport = async (accountId, { month, asOf = new Date() } = {}) => {
+    const reportMonth = month ?? monthOf(asOf);
+
+    const [budgetsResult, spendingResult] = await Promise.all([
+        pool.query(
+            `SELECT category, monthly_limit, rollover, created_at
+            FROM category_budgets
+            WHERE account_id = $1
+            ORDER BY category`,
+            [accountId]
+        ),
+        pool.query(
+            `SELECT TO_CHAR(transaction_date, 'YYYY-MM') period, category, SUM(amount) total
+            FROM credit_cards
+            WHERE account_id = $1
+                AND type <> 'Payment'
+                AND transaction_date >= $2::date - ($3 || ' months')::interval
+                AND transaction_date < $2::date + INTERVAL '1 month'
+            GROUP BY 1, 2;`,
+            [accountId, `${reportMonth}-01`, ROLLOVER_MONTHS]
+        ),
+    ]);
+
+    return buildBudgetReport({ budgets: budgetsResult.rows, monthlyTotals: spendingResult.rows, month: reportMonth, asOf });
+};
@@ -0,0 +1,136 @@
+/**
+ * services/conversations.js
+ * -----------------------------------------------------------------------------
+ * Conversation threads for /openai. Every answered question is stored as one
+ * message (question, classification, condensed expert findings, answer) so a
+ * follow-up like "what if I paid $500 more instead?" is answered with the
+ * earlier turns in view.
+ *
+ * Only the last MAX_HISTORY_TURNS turns are replayed to the final agent, and
+ * the expert findings are condensed first, to keep the prompt bounded.
+ */
+
+import { pool, withTransaction } from "./db.js";
+import { ValidationError } from "./schemaRegistry.js";
+
+export const MAX_HISTORY_TURNS = 5;
+export const MAX_TITLE_LENGTH = 200;
+
+// How much of each expert's output survives condensing
+const MAX_FINDING_ITEMS = 3;
+const MAX_FINDING_TEXT = 300;
+
+/**
+ * New conversations are titled after their first question.
+ */
+export const titleFromQuestion = (question) => {
+    const title = question.trim().replace(/\s+/g, " ");
+    return title.length > 80 ? `${title.slice(0, 77)}...` : title;
+};
+
+/**
+ * Thrown by saveTurn when the conversation was deleted while its question was
+ * being answered: there is nothing left to append the turn to.
+ */
+export class ConversationGoneError extends Error {
+    constructor() {
+        super("This conversation was deleted, so the answer wasn't saved.");
+        this.name = "ConversationGoneError";
+        this.code = "conversation_gone";
+    }
+}
+
+export const validateTitle = (title) => {
+    const value = typeof title === "string" ? title.trim() : "";
+    if (!value || value.length > MAX_TITLE_LENGTH) {
+        throw new ValidationError([{ field: "title", message: `is required (max ${MAX_TITLE_LENGTH} characters)` }]);
+    }
+    return value;
+};
+
+// Long lists keep their first items, long strings are cut
+const condense = (value) => {
+    if (Array.isArray(value)) return value.slice(0, MAX_FINDING_ITEMS).map(condense);
+    if (typeof value === "string") {
+        return value.length > MAX_FINDING_TEXT ? `${value.slice(0, MAX_FINDING_TEXT)}...` : value;
+    }
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, condense(v)]));
+    }
+    return value;
+};
+
+/**
+ * condenseFindings(expertResponses)
+ * The part of each expert's output worth remembering: [{ expert, findings }].
+ */
+export const condenseFindings = (expertResponses) =>
+    expertResponses
+        .filter((response) => response?.data)
+        .map(({ expertId, data }) => ({ expert: expertId, findings: condense(data) }));
+
+/**
+ * findConversation(accountId, id)
+ * The conversation if it belongs to the account, otherwise null.
+ */
+export const findConversation = async (accountId, id) => {
+    const { rows } = await pool.query(
+        `SELECT id, title, created_at, updated_at FROM conversations WHERE id = $1 AND account_id = $2;`,
+        [id, accountId]
+    );
+    return rows[0] ?? null;
+};
+
+/**
+ * loadHistory(conversationId, limit)
+ * The most recent turns, oldest first.
+ */
+export const loadHistory = async (conversationId, limit = MAX_HISTORY_TURNS) => {
+    const { rows } = await pool.query(
+        `SELECT question, classification, expert_findings, answer
+        FROM (
+            SELECT * FROM messages WHERE conversation_id = $1 ORDER BY id DESC LIMIT $2
+        ) recent
+        ORDER BY id;`,
+        [conversationId, limit]
+    );
+
+    return rows.map((row) => ({
+        question: row.question,
+        classification: row.classification,
+        expertFindings: row.expert_findings,
+        answer: row.answer,
+    }));
+};
+
+/**
+ * saveTurn(accountId, conversationId, turn)
+ * Appends an answered question. Without a conversationId a new conversation is
+ * started, titled after the question. Returns { conversationId, messageId }.
+ * Throws a ConversationGoneError if the conversation no longer exists.
+ */
+export const saveTurn = (accountId, conversationId, { question, classification, expertFindings, answer }) =>
+    withTransaction(async (client) => {
+        if (conversationId) {
+            // The UPDATE also locks the row, so a concurrent delete waits for the insert below
+            const { rowCount } = await client.query(
+                `UPDATE conversations SET updated_at = NOW() WHERE id = $1 AND account_id = $2;`,
+                [conversationId, accountId]
+            );
+            if (!rowCount) throw new ConversationGoneError();
+        } else {
+            const { rows } = await client.query(
+                `INSERT INTO conversations (account_id, title) VALUES ($1, $2) RETURNING id;`,
+                [accountId, titleFromQuestion(question)]
+            );
+            conversationId = rows[0].id;
+        }
+
+        const { rows } = await client.query(
+            `INSERT INTO messages (conversation_id, question, classification, expert_findings, answer)
+            VALUES ($1, $2, $3, $4, $5) RETURNING id;`,
+            [conversationId, question, JSON.stringify(classification), JSON.stringify(expertFindings), answer]
+        );
+
+        return { conversationId, messageId: rows[0].id };
+    });
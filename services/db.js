@@ -0,0 +1,97 @@
+/**
+ * services/db.js
+ * -----------------------------------------------------------------------------
+ * The one Postgres pool for the whole app. Everything that talks to the
+ * database imports from here instead of building its own pg.Pool.
+ *
+ * Environment:
+ *   DATABASE_URL              connection string (falls back to the standard PG* variables)
+ *   DATABASE_SSL              "true" to connect over SSL
+ *   DATABASE_SSL_REJECT_UNAUTHORIZED  "false" to accept self-signed certs (managed hosts)
+ *   DB_POOL_MAX               max clients in the pool (default 10)
+ *   DB_IDLE_TIMEOUT_MS        how long an idle client is kept (default 30000)
+ *   DB_STATEMENT_TIMEOUT_MS   per-statement timeout (default 30000, 0 disables)
+ *   DB_SCHEMA                 schema to use instead of public (the test suite uses a throwaway one)
+ */
+
+import "dotenv/config";
+import pg from "pg";
+
+const { Pool } = pg;
+
+const intFromEnv = (name, fallback) => {
+    const value = Number.parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+const buildConfig = () => {
+    const config = {
+        max: intFromEnv("DB_POOL_MAX", 10),
+        idleTimeoutMillis: intFromEnv("DB_IDLE_TIMEOUT_MS", 30_000),
+        statement_timeout: intFromEnv("DB_STATEMENT_TIMEOUT_MS", 30_000),
+    };
+
+    // Without a URL, pg reads PGHOST, PGUSER, PGDATABASE, PGPASSWORD and PGPORT itself
+    if (process.env.DATABASE_URL) {
+        config.connectionString = process.env.DATABASE_URL;
+    }
+
+    // Every connection resolves unqualified table names in this schema
+    if (process.env.DB_SCHEMA) {
+        if (!/^[a-z_][a-z0-9_]*$/i.test(process.env.DB_SCHEMA)) {
+            throw new Error(`Invalid DB_SCHEMA "${process.env.DB_SCHEMA}"`);
+        }
+        config.options = `-c search_path=${process.env.DB_SCHEMA}`;
+    }
+
+    if (process.env.DATABASE_SSL === "true") {
+        config.ssl = { rejectUnauthorized: process.env.DATABASE_SSL_REJECT_UNAUTHORIZED !== "false" };
+    }
+
+    return config;
+};
+
+export const pool = new Pool(buildConfig());
+
+// An idle client losing its connection shouldn't take the whole server down
+pool.on("error", (err) => {
+    console.error("Postgres pool error:", err.message);
+});
+
+/**
+ * query(text, params)
+ * Shorthand for one-off queries that don't need a dedicated client.
+ */
+export const query = (text, params) => pool.query(text, params);
+
+/**
+ * withTransaction(fn)
+ * Runs fn(client) inside BEGIN/COMMIT on a dedicated client.
+ * Any error ROLLBACKs and is rethrown; the client is always released.
+ */
+export const withTransaction = async (fn) => {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const result = await fn(client);
+        await client.query("COMMIT");
+        return result;
+    } catch (err) {
+        await client.query("ROLLBACK").catch((rollbackErr) => {
+            console.error("Rollback failed:", rollbackErr.message);
+        });
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * closePool()
+ * Waits for checked-out clients to be released, then closes every connection.
+ */
+let closing = null;
+export const closePool = () => {
+    closing ??= pool.end();
+    return closing;
+};
@@ -0,0 +1,229 @@
+/**
+ * services/debtPayoff.js
+ * -----------------------------------------------------------------------------
+ * Deterministic debt payoff simulator. Works month by month from the
+ * liabilities in the snapshot (services/financialSnapshot.js) and their terms
+ * (interest rate, minimum payment, due day, term, promo rate and its expiry).
+ *
+ * Every month each open debt accrues interest at the rate in effect on its
+ * due date (the promo rate until it expires, then the APR) and gets its
+ * minimum payment. The rest of the monthly budget goes to the debts in
+ * strategy order:
+ *   avalanche  highest rate first (mathematically optimal)
+ *   snowball   smallest balance first (quick wins)
+ *   custom     the order the user chose, then avalanche
+ *   minimum    no extra at all: the "current path"
+ * The budget is the sum of the first month's minimums plus `extraPayment`,
+ * and it stays the same, so a paid-off debt's minimum rolls over to the next.
+ *
+ * Missing terms are assumed, never guessed silently: no rate is 0%, no
+ * minimum is an installment over the remaining term when there is one, else
+ * interest + 1% of the balance (at least $25). Each assumption is listed in
+ * `warnings`.
+ */
+
+export const PAYOFF_STRATEGIES = ["avalanche", "snowball", "custom", "minimum"];
+
+// Simulations stop after 50 years (payments that never cover the interest)
+export const MAX_MONTHS = 600;
+
+// Card-style minimum when none is entered: interest + 1% of the balance, at least $25
+const DEFAULT_MINIMUM_PERCENT = 1;
+const DEFAULT_MINIMUM_FLOOR = 25;
+
+// How many months of schedule the Debt Strategist gets
+const EXPERT_SCHEDULE_MONTHS = 60;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Payment date of month `n` (1 = next month) on the due day, clamped to the month's length
+const paymentDate = (start, n, dueDay) => {
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth() + n;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month, Math.min(dueDay ?? 1, lastDay))).toISOString().slice(0, 10);
+};
+
+// APR in effect on a payment date
+const rateOn = (debt, date) =>
+    debt.promoRate != null && debt.promoExpiresOn && date <= debt.promoExpiresOn ? debt.promoRate : debt.interestRate ?? 0;
+
+// Fixed monthly payment of an installment loan over its remaining term
+const installment = (balance, apr, months) => {
+    const r = apr / 1200;
+    return round2(r ? (balance * r) / (1 - (1 + r) ** -months) : balance / months);
+};
+
+const STRATEGY_ORDER = {
+    avalanche: (a, b) => b.rate - a.rate || a.balance - b.balance,
+    snowball: (a, b) => a.balance - b.balance || b.rate - a.rate,
+};
+
+/**
+ * simulatePayoff(liabilities, { strategy, extraPayment, order, startDate })
+ * `order` (custom strategy) lists liability names, highest priority first.
+ * Returns { strategy, extraPayment, monthlyBudget, paidOff, months, payoffDate,
+ * totalInterest, totalPaid, debts, schedule, warnings }; schedule has one row
+ * per month: { month, date, payments: [{ name, payment, interest, balance }],
+ * totalPayment, totalInterest, remainingBalance }.
+ */
+export const simulatePayoff = (liabilities = [], { strategy = "avalanche", extraPayment = 0, order = [], startDate = new Date() } = {}) => {
+    const warnings = [];
+    const start = new Date(startDate);
+
+    const debts = liabilities
+        .filter(({ value }) => value > 0)
+        .map((liability) => {
+            const debt = {
+                name: liability.name,
+                startingBalance: liability.value,
+                balance: liability.value,
+                interestRate: liability.interestRate,
+                promoRate: liability.promoRate,
+                promoExpiresOn: liability.promoExpiresOn,
+                dueDay: liability.dueDay,
+                fixedPayment: liability.minimumPayment,
+                interestPaid: 0,
+                payoffMonth: null,
+                payoffDate: null,
+            };
+
+            if (debt.interestRate == null) {
+                warnings.push(`${debt.name} has no interest rate, ${debt.promoRate != null ? "the APR after its promo is" : "it is"} simulated at 0%`);
+            }
+            if (debt.fixedPayment == null && liability.termMonths) {
+                debt.fixedPayment = installment(debt.balance, debt.interestRate ?? 0, liability.termMonths);
+                warnings.push(`${debt.name} has no minimum payment, assumed $${debt.fixedPayment} a month over its ${liability.termMonths}-month term`);
+            } else if (debt.fixedPayment == null) {
+                warnings.push(`${debt.name} has no minimum payment, assumed interest + ${DEFAULT_MINIMUM_PERCENT}% of the balance (at least $${DEFAULT_MINIMUM_FLOOR})`);
+            }
+            return debt;
+        });
+
+    const minimumDue = (debt, interest) =>
+        Math.min(debt.balance, debt.fixedPayment ?? Math.max(DEFAULT_MINIMUM_FLOOR, round2(interest + (debt.balance * DEFAULT_MINIMUM_PERCENT) / 100)));
+
+    // Chosen debts first, in the user's order, then the rest by avalanche
+    const priority = (debt) => {
+        const index = order.indexOf(debt.name);
+        return index === -1 ? order.length : index;
+    };
+    const compare = strategy === "custom"
+        ? (a, b) => priority(a.debt) - priority(b.debt) || STRATEGY_ORDER.avalanche(a, b)
+        : STRATEGY_ORDER[strategy];
+
+    const firstMonthMinimums = debts.reduce((sum, debt) => {
+        const rate = rateOn(debt, paymentDate(start, 1, debt.dueDay));
+        return sum + minimumDue(debt, (debt.balance * rate) / 1200);
+    }, 0);
+    const monthlyBudget = round2(firstMonthMinimums + (strategy === "minimum" ? 0 : extraPayment));
+
+    const schedule = [];
+    for (let month = 1; month <= MAX_MONTHS && debts.some((d) => d.balance > 0); month++) {
+        const open = debts.filter((d) => d.balance > 0).map((debt) => {
+            const date = paymentDate(start, month, debt.dueDay);
+            const rate = rateOn(debt, date);
+            const interest = round2((debt.balance * rate) / 1200);
+            debt.balance = round2(debt.balance + interest);
+            debt.interestPaid += interest;
+            return { debt, date, rate, interest, balance: debt.balance, payment: minimumDue(debt, interest) };
+        });
+
+        if (compare) {
+            let left = monthlyBudget - open.reduce((sum, { payment }) => sum + payment, 0);
+            for (const row of [...open].sort(compare)) {
+                if (left <= 0) break;
+                const more = Math.min(left, row.debt.balance - row.payment);
+                row.payment = round2(row.payment + more);
+                left -= more;
+            }
+        }
+
+        for (const row of open) {
+            row.debt.balance = round2(row.debt.balance - row.payment);
+            if (row.debt.balance <= 0) {
+                row.debt.balance = 0;
+                row.debt.payoffMonth = month;
+                row.debt.payoffDate = row.date;
+            }
+        }
+
+        schedule.push({
+            month,
+            date: paymentDate(start, month).slice(0, 7),
+            payments: open.map(({ debt, payment, interest }) => ({ name: debt.name, payment, interest, balance: debt.balance })),
+            totalPayment: round2(open.reduce((sum, { payment }) => sum + payment, 0)),
+            totalInterest: round2(open.reduce((sum, { interest }) => sum + interest, 0)),
+            remainingBalance: round2(debts.reduce((sum, { balance }) => sum + balance, 0)),
+        });
+    }
+
+    const paidOff = debts.every((d) => d.balance === 0);
+    if (!paidOff) warnings.push(`Not paid off within ${MAX_MONTHS / 12} years: the payments don't keep up with the interest`);
+
+    return {
+        strategy,
+        extraPayment: strategy === "minimum" ? 0 : extraPayment,
+        monthlyBudget,
+        paidOff,
+        months: paidOff ? schedule.length : null,
+        payoffDate: paidOff ? debts.reduce((last, { payoffDate }) => (payoffDate > last ? payoffDate : last), "") || null : null,
+        totalInterest: round2(debts.reduce((sum, { interestPaid }) => sum + interestPaid, 0)),
+        totalPaid: round2(schedule.reduce((sum, { totalPayment }) => sum + totalPayment, 0)),
+        debts: debts.map(({ name, startingBalance, interestPaid, payoffMonth, payoffDate }) => ({
+            name,
+            startingBalance,
+            interestPaid: round2(interestPaid),
+            payoffMonth,
+            payoffDate,
+        })),
+        schedule,
+        warnings,
+    };
+};
+
+/**
+ * compareStrategies(liabilities, { extraPayment, order, startDate })
+ * Summaries (no schedule) of the current path (minimums only) and of every
+ * strategy with the extra payment, each with what it saves over the current path.
+ */
+export const compareStrategies = (liabilities, options = {}) => {
+    const { schedule, ...current } = simulatePayoff(liabilities, { ...options, strategy: "minimum" });
+    const strategies = PAYOFF_STRATEGIES.filter((s) => s !== "minimum" && (s !== "custom" || options.order?.length));
+
+    return {
+        current,
+        ...Object.fromEntries(strategies.map((strategy) => {
+            const { schedule, ...plan } = simulatePayoff(liabilities, { ...options, strategy });
+            return [strategy, {
+                ...plan,
+                interestSaved: round2(current.totalInterest - plan.totalInterest),
+                monthsSaved: current.months && plan.months ? current.months - plan.months : null,
+            }];
+        })),
+    };
+};
+
+/**
+ * payoffPlanForExpert(snapshot)
+ * What the Debt Strategist gets: the comparison with half of the monthly
+ * surplus (rounded down to $10) as the extra payment, and the month-by-month
+ * avalanche and snowball schedules (first EXPERT_SCHEDULE_MONTHS months).
+ */
+export const payoffPlanForExpert = ({ liabilities = [], totals }) => {
+    const extraPayment = Math.max(0, Math.floor((totals?.monthlyCashflowApprox ?? 0) / 2 / 10) * 10);
+    const scheduleFor = (strategy) =>
+        simulatePayoff(liabilities, { strategy, extraPayment }).schedule
+            .slice(0, EXPERT_SCHEDULE_MONTHS)
+            .map(({ date, payments, remainingBalance }) => ({
+                date,
+                payments: Object.fromEntries(payments.map(({ name, payment }) => [name, payment])),
+                remainingBalance,
+            }));
+
+    return {
+        extraPayment,
+        comparison: compareStrategies(liabilities, { extraPayment }),
+        schedules: { avalanche: scheduleFor("avalanche"), snowball: scheduleFor("snowball") },
+    };
+};
@@ -0,0 +1,175 @@
+/**
+ * services/duplicateDetection.js
+ * -----------------------------------------------------------------------------
+ * Keeps repeated or overlapping statement uploads from inserting the same
+ * transaction twice.
+ *
+ * Two passes over every incoming row:
+ *  1. Exact: same date, amount and normalized description. These are skipped
+ *     outright.
+ *  2. Fuzzy: same amount, dates a few days apart and a similar description.
+ *     Typical when two statements overlap and the bank reports the post date
+ *     on one and the transaction date on the other. These are held for review.
+ *
+ * Matching is count-aware: two identical coffees on the same day in a file are
+ * only duplicates if the database already has two of them. That is also why
+ * there is no unique constraint to lean on; imports into one account are
+ * serialized instead (lockAccountImports).
+ */
+
+// How far apart two dates can be and still describe the same charge
+export const FUZZY_DATE_WINDOW_DAYS = 3;
+// Minimum description similarity (0-1) for a fuzzy match
+export const FUZZY_SIMILARITY_THRESHOLD = 0.7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Processor prefixes that banks add inconsistently
+const PROCESSOR_PREFIXES = /^(SQ|TST|SP|PP|PAYPAL|GOOGLE|APL|DD|IC)\s*\*\s*/;
+
+/**
+ * normalizeDescription(description)
+ * "SQ *BLUE BOTTLE #1234  SAN FRANCISCO" -> "BLUE BOTTLE SAN FRANCISCO"
+ */
+export const normalizeDescription = (description = "") =>
+    String(description)
+        .toUpperCase()
+        .replace(PROCESSOR_PREFIXES, "")
+        .replace(/#?\d{3,}/g, " ")          // store numbers, reference ids
+        .replace(/[^A-Z0-9 ]+/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+
+const amountKey = (amount) => Number(amount).toFixed(2);
+
+// Source is compared separately (sourcesCompatible), so rows imported before sources existed still match
+const matchKey = ({ transaction_date, amount, description }) =>
+    [transaction_date, amountKey(amount), normalizeDescription(description)].join("|");
+
+const bigrams = (str) => {
+    const grams = [];
+    for (let i = 0; i < str.length - 1; i++) grams.push(str.slice(i, i + 2));
+    return grams;
+};
+
+/**
+ * descriptionSimilarity(a, b)
+ * Dice coefficient over character bigrams of the normalized descriptions (0-1).
+ */
+export const descriptionSimilarity = (a, b) => {
+    const x = normalizeDescription(a).replace(/ /g, "");
+    const y = normalizeDescription(b).replace(/ /g, "");
+    if (!x || !y) return 0;
+    if (x === y) return 1;
+
+    const counts = new Map();
+    for (const gram of bigrams(x)) counts.set(gram, (counts.get(gram) ?? 0) + 1);
+
+    let overlap = 0;
+    for (const gram of bigrams(y)) {
+        const count = counts.get(gram);
+        if (count) {
+            overlap++;
+            counts.set(gram, count - 1);
+        }
+    }
+
+    return (2 * overlap) / (x.length - 1 + y.length - 1);
+};
+
+const sourcesCompatible = (a, b) => !a || !b || a === b;
+
+/**
+ * findDuplicates(records, existing, { source })
+ * records:  [{ line, record }] from mapStatementRows
+ * existing: credit_cards rows ({ id, transaction_date, amount, description, source })
+ *           covering the same date range (see loadExistingTransactions)
+ *
+ * Returns { unique, exact, near } where exact/near entries carry the matched row.
+ */
+export const findDuplicates = (records, existing, { source } = {}) => {
+    const available = existing.map((row) => ({ ...row, used: false }));
+    const byKey = new Map();
+    for (const row of available) {
+        const key = matchKey(row);
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(row);
+    }
+
+    const unique = [];
+    const exact = [];
+    const near = [];
+    const pending = [];
+
+    // Pass 1: exact matches consume existing rows first so fuzzy matching can't steal them
+    for (const entry of records) {
+        const candidates = byKey.get(matchKey(entry.record)) ?? [];
+        const match = candidates.find((row) => !row.used && sourcesCompatible(row.source, source));
+        if (match) {
+            match.used = true;
+            exact.push({ ...entry, match });
+        } else {
+            pending.push(entry);
+        }
+    }
+
+    // Pass 2: best fuzzy candidate per remaining row
+    for (const entry of pending) {
+        const { record } = entry;
+        const date = Date.parse(record.transaction_date);
+        let best = null;
+
+        for (const row of available) {
+            if (row.used || amountKey(row.amount) !== amountKey(record.amount)) continue;
+            if (!sourcesCompatible(row.source, source)) continue;
+            if (Math.abs(Date.parse(row.transaction_date) - date) > FUZZY_DATE_WINDOW_DAYS * DAY_MS) continue;
+
+            const score = descriptionSimilarity(row.description, record.description);
+            if (score >= FUZZY_SIMILARITY_THRESHOLD && (!best || score > best.score)) {
+                best = { row, score };
+            }
+        }
+
+        if (best) {
+            best.row.used = true;
+            near.push({ ...entry, match: best.row, score: Number(best.score.toFixed(3)) });
+        } else {
+            unique.push(entry);
+        }
+    }
+
+    return { unique, exact, near };
+};
+
+// Namespace of the per-account import lock, the second key is the account
+const IMPORT_LOCK_NAMESPACE = 781_204_114;
+
+/**
+ * lockAccountImports(client, accountId)
+ * Holds a transaction-scoped advisory lock on the account's imports, so two
+ * uploads of the same file can't both check for duplicates before either has
+ * inserted. Call it inside the import transaction, before loading existing rows.
+ */
+export const lockAccountImports = (client, accountId) =>
+    client.query(`SELECT pg_advisory_xact_lock($1, hashtext($2));`, [IMPORT_LOCK_NAMESPACE, accountId]);
+
+/**
+ * loadExistingTransactions(db, accountId, records)
+ * Pulls the account's transactions around the date range of the incoming rows.
+ */
+export const loadExistingTransactions = async (db, accountId, records) => {
+    if (!records.length) return [];
+
+    const dates = records.map(({ record }) => Date.parse(record.transaction_date)).filter(Number.isFinite);
+    const from = new Date(Math.min(...dates) - FUZZY_DATE_WINDOW_DAYS * DAY_MS).toISOString().slice(0, 10);
+    const to = new Date(Math.max(...dates) + FUZZY_DATE_WINDOW_DAYS * DAY_MS).toISOString().slice(0, 10);
+
+    const result = await db.query(
+        `SELECT id, TO_CHAR(transaction_date, 'YYYY-MM-DD') AS transaction_date, amount, description, source
+        FROM credit_cards
+        WHERE account_id = $1 AND transaction_date BETWEEN $2 AND $3;`,
+        [accountId, from, to]
+    );
+
+    return result.rows;
+};
@@ -0,0 +1,172 @@
+/**
+ * services/expertRouting.js
+ * -----------------------------------------------------------------------------
+ * Which experts sit on the panel for a question, expressed as data.
+ *
+ * Each rule names an expert, a priority and a condition over the routing
+ * context { classification, totals }:
+ *
+ *   { always: true }
+ *   { path: "classification.question_type", equals: "tax" }
+ *   { path: "classification.emotional_state", in: ["anxious", "defensive"] }
+ *   { path: "totals.totalLiabilities", gt: 0 }            (also gte, lt, lte)
+ *   { all: [ ...conditions ] } / { any: [ ...conditions ] }
+ *
+ * Several rules may select the same expert; it keeps the highest priority and
+ * every reason. The panel is the top MAX_PANEL_SIZE experts by priority.
+ */
+
+import { expertPanel, expertData } from "./agents.js";
+
+export const MAX_PANEL_SIZE = Number(process.env.MAX_PANEL_SIZE) || 4;
+
+export const ROUTING_RULES = [
+    {
+        expert: "financial_analyst",
+        priority: 100,
+        when: { always: true },
+        reason: "Always runs to ground the answer in the numbers",
+    },
+    {
+        expert: "behavioral_therapist",
+        priority: 90,
+        when: { path: "classification.emotional_state", in: ["anxious", "defensive"] },
+        reason: "The question sounds anxious or defensive, triage first",
+    },
+    {
+        expert: "tax_optimizer",
+        priority: 80,
+        when: { path: "classification.question_type", equals: "tax" },
+        reason: "Tax question",
+    },
+    {
+        expert: "goal_architect",
+        priority: 80,
+        when: { path: "classification.question_type", equals: "goal_planning" },
+        reason: "Goal planning question",
+    },
+    {
+        expert: "lifestyle_auditor",
+        priority: 75,
+        when: {
+            any: [
+                { path: "classification.topics.budgeting", equals: true },
+                { path: "classification.question_type", equals: "diagnosis" },
+            ],
+        },
+        reason: "Budgeting or spending question",
+    },
+    {
+        expert: "behavioral_economist",
+        priority: 70,
+        when: { path: "classification.question_type", equals: "recommendation" },
+        reason: "The user is asking for a recommendation",
+    },
+    {
+        expert: "debt_strategist",
+        priority: 60,
+        when: { path: "totals.totalLiabilities", gt: 0 },
+        reason: "The user has outstanding liabilities",
+    },
+];
+
+const COMPARATORS = {
+    equals: (value, expected) => value === expected,
+    in: (value, expected) => expected.includes(value),
+    gt: (value, expected) => Number(value) > expected,
+    gte: (value, expected) => Number(value) >= expected,
+    lt: (value, expected) => Number(value) < expected,
+    lte: (value, expected) => Number(value) <= expected,
+};
+
+const resolvePath = (context, path) => path.split(".").reduce((value, key) => value?.[key], context);
+
+/**
+ * matches(condition, context)
+ * Evaluates one condition from a routing rule.
+ */
+export const matches = (condition, context) => {
+    if (condition.always) return true;
+    if (condition.all) return condition.all.every((c) => matches(c, context));
+    if (condition.any) return condition.any.some((c) => matches(c, context));
+
+    const value = resolvePath(context, condition.path);
+    return Object.entries(COMPARATORS).some(
+        ([op, compare]) => Object.hasOwn(condition, op) && value !== undefined && value !== null && compare(value, condition[op])
+    );
+};
+
+/**
+ * planPanel(classification, snapshot, { maxExperts })
+ * Returns the chosen experts in priority order, why each was picked,
+ * and the ones that matched but didn't fit under the cap.
+ */
+export const planPanel = (classification, snapshot, { maxExperts = MAX_PANEL_SIZE, rules = ROUTING_RULES } = {}) => {
+    const context = { classification, totals: snapshot?.totals ?? {} };
+    const candidates = new Map();
+
+    rules.forEach((rule, order) => {
+        if (!matches(rule.when, context)) return;
+        const existing = candidates.get(rule.expert);
+        if (existing) {
+            existing.priority = Math.max(existing.priority, rule.priority);
+            existing.reasons.push(rule.reason);
+        } else {
+            candidates.set(rule.expert, { expert: rule.expert, priority: rule.priority, order, reasons: [rule.reason] });
+        }
+    });
+
+    // Highest priority first, ties keep the order of the rules
+    const ranked = [...candidates.values()]
+        .sort((a, b) => b.priority - a.priority || a.order - b.order)
+        .map(({ expert, priority, reasons }) => ({ expert, priority, reasons }));
+
+    const selected = ranked.slice(0, maxExperts);
+    return {
+        experts: selected.map((s) => s.expert),
+        selected,
+        dropped: ranked.slice(maxExperts),
+    };
+};
+
+/**
+ * validateRoutingRules(rules)
+ * Called at startup: every routed expert must have a prompt/schema in
+ * expertPanel and an icon/name in expertData, and every condition must use
+ * a known operator. Throws with the full list of problems.
+ */
+export const validateRoutingRules = (rules = ROUTING_RULES) => {
+    const problems = [];
+
+    const checkCondition = (condition, where) => {
+        if (!condition || typeof condition !== "object") {
+            problems.push(`${where}: condition must be an object`);
+        } else if (condition.all || condition.any) {
+            const list = condition.all ?? condition.any;
+            if (!Array.isArray(list) || !list.length) problems.push(`${where}: all/any must be a non-empty array`);
+            else list.forEach((c, i) => checkCondition(c, `${where}.${condition.all ? "all" : "any"}[${i}]`));
+        } else if (!condition.always) {
+            const ops = Object.keys(COMPARATORS).filter((op) => Object.hasOwn(condition, op));
+            if (typeof condition.path !== "string") problems.push(`${where}: path is required`);
+            if (ops.length !== 1) problems.push(`${where}: needs exactly one of ${Object.keys(COMPARATORS).join(", ")}`);
+            if (ops[0] === "in" && !Array.isArray(condition.in)) problems.push(`${where}: "in" must be an array`);
+        }
+    };
+
+    rules.forEach((rule, i) => {
+        const where = `routing rule ${i} (${rule.expert})`;
+        if (!expertPanel[rule.expert]?.output_schema) problems.push(`${where}: not an expert in expertPanel`);
+        if (!expertData[rule.expert]) problems.push(`${where}: missing from expertData (icon/name)`);
+        if (!Number.isFinite(rule.priority)) problems.push(`${where}: priority must be a number`);
+        if (!rule.reason) problems.push(`${where}: reason is required`);
+        checkCondition(rule.when, `${where}.when`);
+    });
+
+    if (!Number.isInteger(MAX_PANEL_SIZE) || MAX_PANEL_SIZE < 1) {
+        problems.push(`MAX_PANEL_SIZE must be a positive whole number`);
+    }
+
+    if (problems.length) {
+        throw new Error(`Invalid expert routing configuration:\n  ${problems.join("\n  ")}`);
+    }
+};
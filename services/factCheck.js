@@ -0,0 +1,230 @@
+/**
+ * services/factCheck.js
+ * -----------------------------------------------------------------------------
+ * Numeric fact-check of the final answer. The editor model writes free text,
+ * so a dollar amount or a percentage it made up would reach the user as if it
+ * came from their data. verifyAnswer() pulls every $ and % figure out of the
+ * answer and reconciles it with what the pipeline actually knows: the
+ * snapshot, the metrics from services/financialMetrics.js, the experts'
+ * structured outputs and the question itself.
+ *
+ * A figure is
+ *   supported     it matches one of those figures: a dollar amount counts
+ *                 against money fields (amounts, values, costs, totals) and
+ *                 their yearly amounts, a percentage against shares that are
+ *                 actually computed (ratios, percent-of-income, rates); ids,
+ *                 counts and days never support anything
+ *   contradicted  it is labelled as a known metric ("savings rate of 45%")
+ *                 but differs from the computed value
+ *   unsupported   it matches nothing
+ * Benchmarks ("the 28% rule", "aim for 20%") describe no one's data and are
+ * not checked.
+ *
+ * Pure functions, no model calls. The pipeline reports the result as a
+ * `verification` event and may ask for one corrected answer (FACT_CHECK_CONFIG).
+ */
+
+import { computeFinancialMetrics, METRIC_DEFINITIONS } from "./financialMetrics.js";
+
+/**
+ * FACT_CHECK_REGENERATE=true lets the pipeline ask the editor once for a
+ * corrected answer when figures are flagged. Off by default: the corrected
+ * answer is streamed a second time, which costs a full editor call.
+ */
+export const FACT_CHECK_CONFIG = {
+    regenerate: process.env.FACT_CHECK_REGENERATE === "true",
+};
+
+// $6,000  $1,234.56  $2.5k  $1.2 million  -$50
+const CURRENCY_PATTERN = /(-)?\$\s?((?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?)(?:\s?(k|thousand|million)\b)?/gi;
+// 12%  12.5 %  40 percent
+const PERCENT_PATTERN = /(-)?(\d+(?:\.\d+)?)\s?(?:%|percent\b)/gi;
+
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, million: 1e6 };
+
+// A dollar figure may be rounded to the nearest percent of itself (or dollar),
+// a percentage to half a point. Below SMALL_AMOUNT a dollar is too coarse:
+// $3.99 may be quoted as $4, but not as $3 or $5.
+const CURRENCY_TOLERANCE = 0.01;
+const PERCENT_TOLERANCE = 0.5;
+const SMALL_AMOUNT = 10;
+
+// How far before a figure its label may be ("your savings rate is only 12%")
+const LABEL_WINDOW = 60;
+
+// Numeric fields that hold a share in percent: percentOfIncome, changePercent,
+// percentUsed, interestRate, housing_ratio ...
+const PERCENT_KEY = /percent|ratio|rate$/i;
+// Numeric fields that hold money: amount, monthlyAmount, value, annualizedCost,
+// totalLiabilities, minimumPayment, limit, carryover, remaining ... (not shares,
+// which may also mention income, like percentOfIncome)
+const MONEY_KEY = /amount|value|cost|total|spending|income|expense|payment|balance|limit|actual|available|carryover|overspend|projected|cashflow|worth|remaining|contribution|pace|shortfall|funded|leftafter|average|savings|^change$|^from$|^to$/i;
+
+// Wording that makes a percentage a rule of thumb rather than a figure from the data
+const BENCHMARK_BEFORE = /\b(recommend\w*|guidelines?|benchmarks?|rule of thumb|experts? (suggest|recommend)\w*|aim for|target of|should (stay|be|remain) (below|under|above)|keep \w+ (below|under)|no more than|at most|at least|ideally|standard)\b[^.!?\n]*$/i;
+const BENCHMARK_AFTER = /^\s*(rule|guideline|benchmark|target|threshold)\b/i;
+
+/**
+ * Labels that tie a figure to one computed value, so a different number is a
+ * contradiction rather than just unsupported. Only unambiguous labels are
+ * listed; "income" alone appears next to too many other amounts.
+ */
+const LABELLED_VALUES = [
+    { kind: "percent", pattern: /savings? rate/i, name: "savings_rate", value: ({ metrics }) => metrics.savings_rate },
+    { kind: "percent", pattern: /debt[- ]to[- ]income|\bDTI\b/i, name: "debt_to_income", value: ({ metrics }) => metrics.debt_to_income },
+    { kind: "percent", pattern: /housing/i, name: "housing_ratio", value: ({ metrics }) => metrics.housing_ratio },
+    { kind: "percent", pattern: /fixed[- ]costs?/i, name: "fixed_cost_ratio", value: ({ metrics }) => metrics.fixed_cost_ratio },
+    { kind: "currency", pattern: /monthly income|income of/i, name: "monthly_income", value: ({ metrics }) => metrics.monthly_income },
+    { kind: "currency", pattern: /liquid reserves|emergency fund|cash reserves/i, name: "liquid_reserves", value: ({ metrics }) => metrics.liquid_reserves },
+    { kind: "currency", pattern: /net worth of|net worth is/i, name: "net_worth", value: ({ snapshot }) => snapshot.totals?.netWorthApprox },
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * extractFigures(text)
+ * Every $ and % figure: [{ text, kind: "currency" | "percent", value, index }], in order.
+ */
+export const extractFigures = (text = "") => {
+    const figures = [];
+
+    for (const match of text.matchAll(CURRENCY_PATTERN)) {
+        const [raw, minus, digits, unit] = match;
+        const value = Number(digits.replaceAll(",", "")) * (unit ? MULTIPLIERS[unit.toLowerCase()] : 1);
+        figures.push({ text: raw.trim(), kind: "currency", value: minus ? -value : value, index: match.index });
+    }
+
+    for (const match of text.matchAll(PERCENT_PATTERN)) {
+        const [raw, minus, digits] = match;
+        figures.push({ text: raw.trim(), kind: "percent", value: minus ? -Number(digits) : Number(digits), index: match.index });
+    }
+
+    return figures.sort((a, b) => a.index - b.index);
+};
+
+// Every amount of money in a value: numbers under a money-like key, and $ figures
+// written in strings ("about $1,200"). Numbered keys ({ 3: ..., 12: ... } trailing
+// averages) take the key of their parent.
+const collectAmounts = (value, into = [], key = "") => {
+    if (typeof value === "number" && Number.isFinite(value)) {
+        if (MONEY_KEY.test(key) && !PERCENT_KEY.test(key)) into.push(value);
+    } else if (typeof value === "string") {
+        for (const figure of extractFigures(value)) {
+            if (figure.kind === "currency") into.push(figure.value);
+        }
+    } else if (Array.isArray(value)) {
+        for (const item of value) collectAmounts(item, into, key);
+    } else if (value && typeof value === "object") {
+        for (const [field, item] of Object.entries(value)) collectAmounts(item, into, /^\d+$/.test(field) ? key : field);
+    }
+    return into;
+};
+
+// Every share in a value: numbers under a percent-like key, and % figures written in strings
+const collectPercents = (value, into = [], key = "") => {
+    if (typeof value === "number" && Number.isFinite(value)) {
+        if (PERCENT_KEY.test(key)) into.push(value);
+    } else if (typeof value === "string") {
+        for (const figure of extractFigures(value)) {
+            if (figure.kind === "percent") into.push(figure.value);
+        }
+    } else if (Array.isArray(value)) {
+        for (const item of value) collectPercents(item, into, key);
+    } else if (value && typeof value === "object") {
+        for (const [field, item] of Object.entries(value)) collectPercents(item, into, field);
+    }
+    return into;
+};
+
+const matchesCurrency = (figure, reference) => {
+    const size = Math.abs(reference);
+    const slack = size < SMALL_AMOUNT ? Math.max(0.5, size * CURRENCY_TOLERANCE) : Math.max(1, size * CURRENCY_TOLERANCE);
+    return Math.abs(Math.abs(figure) - size) <= slack;
+};
+
+// Shares are sometimes stored as fractions (0.4) rather than percentages (40)
+const matchesPercent = (figure, reference) =>
+    Math.abs(figure - reference) <= PERCENT_TOLERANCE || Math.abs(figure / 100 - reference) <= PERCENT_TOLERANCE / 100;
+
+const matches = (figure, reference) =>
+    figure.kind === "currency" ? matchesCurrency(figure.value, reference) : matchesPercent(figure.value, reference);
+
+// The text right before a figure, in the same sentence and after the previous figure
+const textBefore = (text, figure, previousEnd) =>
+    text.slice(Math.max(previousEnd, figure.index - LABEL_WINDOW), figure.index).split(/[.!?\n]\s/).at(-1);
+
+const isBenchmark = (text, figure, before) =>
+    figure.kind === "percent"
+    && (BENCHMARK_BEFORE.test(before) || BENCHMARK_AFTER.test(text.slice(figure.index + figure.text.length)));
+
+// The metric a figure is labelled as, from the text before it
+const labelFor = (figure, before) =>
+    LABELLED_VALUES
+        .filter((label) => label.kind === figure.kind)
+        .map((label) => ({ label, at: before.search(new RegExp(label.pattern.source, "gi")) }))
+        .filter(({ at }) => at >= 0)
+        .sort((a, b) => b.at - a.at)[0]?.label ?? null;
+
+/**
+ * verifyAnswer({ answer, question, snapshot, expertResponses })
+ * { result: "passed" | "flagged", checked, supported, issues }
+ * (`result` rather than `status`: older clients treat any { status } as a progress message)
+ * issues: [{ figure, kind, value, problem: "unsupported" | "contradicted", metric?, expected? }]
+ */
+export const verifyAnswer = ({ answer, question = "", snapshot, expertResponses = [] }) => {
+    const { metrics } = computeFinancialMetrics(snapshot);
+    const sources = { metrics, snapshot };
+
+    const metricsIn = (unit) =>
+        Object.entries(metrics).filter(([name]) => unit.test(METRIC_DEFINITIONS[name]?.unit ?? "")).map(([, value]) => value);
+    const expertData = expertResponses.map((r) => r?.data);
+    const references = [...metricsIn(/^\$/), ...collectAmounts([snapshot, expertData, question])].filter((n) => n != null);
+    // Monthly amounts are often quoted per year
+    const yearly = references.map((n) => n * 12);
+    const percents = [...metricsIn(/^%$/), ...collectPercents([snapshot, expertData, question])].filter((n) => n != null);
+
+    const figures = extractFigures(answer);
+    const issues = [];
+    const unchecked = [];
+    figures.forEach((figure, i) => {
+        const previous = figures[i - 1];
+        const before = textBefore(answer, figure, previous ? previous.index + previous.text.length : 0);
+        if (isBenchmark(answer, figure, before)) {
+            unchecked.push(figure);
+            return;
+        }
+
+        const label = labelFor(figure, before);
+        const expected = label ? label.value(sources) : null;
+
+        if (expected != null) {
+            const agrees = matches(figure, expected) || (figure.kind === "currency" && matches(figure, expected * 12));
+            if (!agrees) {
+                issues.push({
+                    figure: figure.text,
+                    kind: figure.kind,
+                    value: figure.value,
+                    problem: "contradicted",
+                    metric: label.name,
+                    expected: round2(expected),
+                });
+            }
+            return;
+        }
+
+        const supported = figure.kind === "percent"
+            ? percents.some((n) => matchesPercent(figure.value, n))
+            : references.some((n) => matchesCurrency(figure.value, n)) || yearly.some((n) => matchesCurrency(figure.value, n));
+        if (!supported) {
+            issues.push({ figure: figure.text, kind: figure.kind, value: figure.value, problem: "unsupported" });
+        }
+    });
+
+    const checked = figures.length - unchecked.length;
+    return {
+        result: issues.length ? "flagged" : "passed",
+        checked,
+        supported: checked - issues.length,
+        issues,
+    };
+};
@@ -0,0 +1,122 @@
+/**
+ * services/financialMetrics.js
+ * -----------------------------------------------------------------------------
+ * Deterministic financial metrics computed from the snapshot
+ * (services/financialSnapshot.js). The experts get them as ground truth and
+ * cite them instead of doing the arithmetic themselves, so the numbers are the
+ * same on every run and always add up.
+ *
+ * Every metric is documented in METRIC_DEFINITIONS, which is also sent to the
+ * models so they can explain where a number comes from. A metric that can't
+ * be computed (e.g. no income recorded) is null, never a guess.
+ */
+
+import { getFinancialSnapshot } from "./financialSnapshot.js";
+
+// Fixed-cost categories counted as housing: the ones the budget query uses, plus rent
+export const HOUSING_CATEGORIES = ["Mortgage", "Rent", "HOA Fees", "Utilities"];
+
+// Asset categories that can be spent within days without selling anything
+const LIQUID_ASSET_PATTERN = /\b(cash|checking|savings?|money market)\b/i;
+
+export const METRIC_DEFINITIONS = {
+    monthly_income: { unit: "$", formula: "sum of incomes converted to monthly amounts" },
+    monthly_expenses: { unit: "$", formula: "fixed costs + average card spending of the last (up to) 3 complete months" },
+    savings_rate: { unit: "%", formula: "(monthly_income - monthly_expenses) / monthly_income * 100" },
+    liquid_reserves: { unit: "$", formula: "sum of assets whose category is cash, checking, savings or money market" },
+    months_of_runway: { unit: "months", formula: "liquid_reserves / monthly_expenses" },
+    debt_to_income: { unit: "%", formula: "total liability balances / (monthly_income * 12) * 100" },
+    housing_ratio: { unit: "%", formula: `fixed costs in ${HOUSING_CATEGORIES.join(", ")} / monthly_income * 100` },
+    fixed_cost_ratio: { unit: "%", formula: "total fixed costs / monthly_income * 100" },
+    net_worth_velocity: { unit: "$/month", formula: "monthly_income - monthly_expenses (net worth change per month from cash flow)" },
+    health_score: { unit: "0-100", formula: "sum of the health score components, see healthScore.components" },
+};
+
+/**
+ * Health score components. Each earns its full points at `best` or better,
+ * none at `worst` or worse, and scales linearly in between.
+ */
+export const HEALTH_SCORE_COMPONENTS = [
+    { metric: "savings_rate", points: 25, best: 20, worst: 0 },
+    { metric: "months_of_runway", points: 25, best: 6, worst: 0 },
+    { metric: "debt_to_income", points: 20, best: 0, worst: 200 },
+    { metric: "housing_ratio", points: 15, best: 28, worst: 50 },
+    { metric: "fixed_cost_ratio", points: 15, best: 50, worst: 80 },
+];
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// null when the denominator is missing, so a ratio is never invented
+const ratio = (numerator, denominator, scale = 1) =>
+    denominator > 0 ? round1((numerator / denominator) * scale) : null;
+
+const scoreComponent = ({ metric, points, best, worst }, value) => {
+    if (value === null) return 0;
+    const position = (value - worst) / (best - worst);
+    return round1(points * Math.min(1, Math.max(0, position)));
+};
+
+/**
+ * computeHealthScore(metrics)
+ * { score, components: [{ metric, value, points, maxPoints }] }.
+ * Without income there is nothing to score against, so score is null.
+ */
+export const computeHealthScore = (metrics) => {
+    const components = HEALTH_SCORE_COMPONENTS.map((component) => ({
+        metric: component.metric,
+        value: metrics[component.metric],
+        points: scoreComponent(component, metrics[component.metric]),
+        maxPoints: component.points,
+        best: component.best,
+        worst: component.worst,
+    }));
+
+    const score = metrics.monthly_income > 0
+        ? Math.round(components.reduce((sum, { points }) => sum + points, 0))
+        : null;
+
+    return { score, components };
+};
+
+/**
+ * computeFinancialMetrics(snapshot)
+ * Pure function of the snapshot. Returns { metrics, healthScore, definitions }.
+ */
+export const computeFinancialMetrics = (snapshot) => {
+    const { totals, fixedCosts = [], assets = [] } = snapshot;
+
+    const monthlyIncome = totals.totalMonthlyIncome;
+    const monthlyExpenses = round2(totals.totalFixedCosts + totals.averageMonthlySpending);
+    const housing = fixedCosts
+        .filter(({ category }) => HOUSING_CATEGORIES.includes(category))
+        .reduce((sum, { amount }) => sum + amount, 0);
+    const liquidReserves = round2(
+        assets
+            .filter(({ category, name }) => LIQUID_ASSET_PATTERN.test(category ?? name ?? ""))
+            .reduce((sum, { value }) => sum + value, 0)
+    );
+
+    const metrics = {
+        monthly_income: round2(monthlyIncome),
+        monthly_expenses: monthlyExpenses,
+        savings_rate: ratio(monthlyIncome - monthlyExpenses, monthlyIncome, 100),
+        liquid_reserves: liquidReserves,
+        months_of_runway: ratio(liquidReserves, monthlyExpenses),
+        debt_to_income: ratio(totals.totalLiabilities, monthlyIncome * 12, 100),
+        housing_ratio: ratio(housing, monthlyIncome, 100),
+        fixed_cost_ratio: ratio(totals.totalFixedCosts, monthlyIncome, 100),
+        net_worth_velocity: round2(monthlyIncome - monthlyExpenses),
+    };
+
+    const healthScore = computeHealthScore(metrics);
+    metrics.health_score = healthScore.score;
+
+    return { metrics, healthScore, definitions: METRIC_DEFINITIONS };
+};
+
+/**
+ * getFinancialMetrics(accountId)
+ * The metrics for an account, from a fresh snapshot.
+ */
+export const getFinancialMetrics = async (accountId) => computeFinancialMetrics(await getFinancialSnapshot(accountId));
@@ -1,29 +1,22 @@
-import "dotenv/config";
-import pg from "pg";
-
-const { Pool } = pg;
-
-// Postgres connection
-const pool = process.env.DATABASE_URL
-    ? new Pool({ connectionString: process.env.DATABASE_URL })
-    : new Pool({
-        user: "ericsegev",
-        host: "localhost",
-        database: "ezra_ai",
-        password: "",
-        port: 5432,
-    });
+// Shared Postgres pool
+import { pool } from "./db.js";
+import { detectSubscriptions } from "./subscriptions.js";
+import { getSpendingTimeSeries, summarizeTrends, TRAILING_WINDOWS } from "./spendingTimeSeries.js";
+import { summarizeGoals } from "./goals.js";
+import { buildBudgetReport } from "./categoryBudgets.js";
 
 /**
  * Safely convert nullable DB values to numbers.
  */
-const toNum = (v) => (v ?? 0);    
+const toNum = (v) => Number(v ?? 0);    
+// Optional columns stay null instead of becoming 0 (a 0% rate is not an unknown rate)
+const toNumOrNull = (v) => (v === null || v === undefined ? null : Number(v));
 
 /**
  * normalizeMonthlyIncome(amount, frequency)
  * Converts various pay frequencies into a standardized monthly number.
  */
-const normalizeMonthlyIncome = (amount, frequency) => {
+export const normalizeMonthlyIncome = (amount, frequency) => {
     if (!amount || !frequency) return 0;
 
     const frequencyMultipliers = {
@@ -36,61 +29,52 @@ const normalizeMonthlyIncome = (amount, frequency) => {
     return frequencyMultipliers[frequency] ?? 0;
 };
 
+const round2 = (n) => Math.round(n * 100) / 100;
+
 /**
- * getFinancialSnapshot(accountId)
- * Fetches all relevant financial data for a specific user.   
+ * buildCategoryBreakdown({ fixedCosts, months, monthlyIncome })
+ * Monthly cost of every fixed-cost category and every card spending category
+ * (averaged over `months`, the recent complete months of the time series),
+ * each as a percent of monthly income. Largest first.
  */
-export const getFinancialSnapshot = async (accountId=2) => {
-    const [fixedCostsResult, incomesResult, assetsResult, liabilitiesResult, spendingResult] =
-        await Promise.all([
-            pool.query(
-                `SELECT name, amount, category
-                FROM fixed_costs
-                WHERE account_id = $1
-                ORDER BY amount DESC`,
-                [accountId]
-            ),
-            pool.query(
-                `SELECT source, amount, frequency
-                FROM incomes
-                WHERE account_id = $1
-                ORDER BY amount DESC`,
-                [accountId]
-            ),
-            pool.query(
-                `SELECT name, category, value
-                FROM assets
-                WHERE account_id = $1
-                ORDER BY value DESC`,
-                [accountId]
-            ),
-            pool.query(
-                `SELECT name, category, value
-                FROM liabilities
-                WHERE account_id = $1
-                ORDER BY value DESC`,
-                [accountId]
-            ),
-            pool.query(
-                `SELECT
-                    TO_CHAR(transaction_date, 'Month') name, 
-                    category, 
-                    SUM(amount) value
-                FROM credit_cards
-                WHERE account_id = $1 
-                GROUP BY 1,2;`,
-                [accountId]
-            ),
-        ]);
+export const buildCategoryBreakdown = ({ fixedCosts, months, monthlyIncome }) => {
+    const rows = [];
+
+    const fixedByCategory = new Map();
+    for (const { category, amount } of fixedCosts) {
+        const name = category || "Other";
+        fixedByCategory.set(name, (fixedByCategory.get(name) ?? 0) + Number(amount || 0));
+    }
+    for (const [category, monthly] of fixedByCategory) rows.push({ category, kind: "fixed", monthly });
 
-// Map rows -> clean objects
-const fixedCosts = fixedCostsResult.rows.map(({ name, category, amount }) => ({
+    const spendingByCategory = new Map();
+    for (const { categories } of months) {
+        for (const { category, total } of categories) {
+            spendingByCategory.set(category, (spendingByCategory.get(category) ?? 0) + total);
+        }
+    }
+    for (const [category, sum] of spendingByCategory) rows.push({ category, kind: "spending", monthly: sum / months.length });
+
+    return rows
+        .filter(({ monthly }) => monthly > 0)
+        .map(({ category, kind, monthly }) => ({
+            category,
+            kind,
+            monthlyAmount: round2(monthly),
+            annualAmount: round2(monthly * 12),
+            percentOfIncome: monthlyIncome > 0 ? round2((monthly / monthlyIncome) * 100) : null,
+        }))
+        .sort((a, b) => b.monthlyAmount - a.monthlyAmount);
+};
+
+// Row mappers, shared by the snapshot and the loaders that need only part of it
+const toFixedCosts = (rows) => rows.map(({ name, category, amount }) => ({
     name,
     category,
     amount: toNum(amount),
 }));
 
-const incomes = incomesResult.rows.map(({ source, amount, frequency }) => {
+const toIncomes = (rows) => rows.map(({ source, amount, frequency }) => {
     const numAmount = toNum(amount);
     return {
         source,
@@ -100,50 +84,287 @@ const incomes = incomesResult.rows.map(({ source, amount, frequency }) => {
     };
 });
 
-const assets = assetsResult.rows.map(({ name, category, value }) => ({
+const toLiabilities = (rows) => rows.map(({ name, category, value, interest_rate, minimum_payment, due_day, term_months, promo_rate, promo_expires_on }) => ({
     name,
     category,
     value: toNum(value),
+    // Terms for the payoff simulator (services/debtPayoff.js), null when not entered
+    interestRate: toNumOrNull(interest_rate),
+    minimumPayment: toNumOrNull(minimum_payment),
+    dueDay: due_day ?? null,
+    termMonths: term_months ?? null,
+    promoRate: toNumOrNull(promo_rate),
+    promoExpiresOn: promo_expires_on ?? null,
 }));
 
-const liabilities = liabilitiesResult.rows.map(({ name, category, value }) => ({
+const toSpending = (rows) => rows.map(({ name, category, value }) => ({
     name,
     category,
     value: toNum(value),
 }));
 
-const spending = spendingResult.rows.map(({ name, category, value }) => ({
-    name,
-    category,
-    value: toNum(value),
-}));
+/**
+ * summarizeCashflow({ fixedCosts, incomes, spending, spendingSeries })
+ * Monthly income, fixed costs and typical card spending, and what is left over.
+ * Goals are funded from that remainder.
+ */
+const summarizeCashflow = ({ fixedCosts, incomes, spending, spendingSeries }) => {
+    // Aggregation - Use Number() to prevent string concatenation
+    const totalFixedCosts = fixedCosts.reduce((sum, { amount }) => sum + Number(amount || 0), 0);
+    const totalMonthlyIncome = incomes.reduce((sum, { monthlyAmount }) => sum + Number(monthlyAmount || 0), 0);
+    const totalSpending = spending.reduce((sum, { value }) => sum + Number(value || 0), 0);
 
-// Aggregation - Use Number() to prevent string concatenation
-const totalFixedCosts = fixedCosts.reduce((sum, { amount }) => sum + Number(amount || 0), 0);
-const totalMonthlyIncome = incomes.reduce((sum, { monthlyAmount }) => sum + Number(monthlyAmount || 0), 0);
-const totalAssets = assets.reduce((sum, { value }) => sum + Number(value || 0), 0);
-const totalLiabilities = liabilities.reduce((sum, { value }) => sum + Number(value || 0), 0);
-const totalSpending = spending.reduce((sum, { value }) => sum + Number(value || 0), 0);
-
-const output = {
-    fixedCosts,
-    incomes,
-    assets,
-    liabilities,
-    spending,
-    totals: {
+    // A typical month of card spending: average of the last (up to) 3 complete months.
+    // totalSpending covers all history, so it can't be compared with monthly income.
+    const completeMonths = spendingSeries.periods.filter((p) => !p.partial).slice(-3);
+    const averageMonthlySpending = completeMonths.length
+        ? Math.round((completeMonths.reduce((sum, { total }) => sum + total, 0) / completeMonths.length) * 100) / 100
+        : totalSpending;
+
+    return {
         totalFixedCosts,
         totalMonthlyIncome,
-        totalAssets,
-        totalLiabilities,
         totalSpending,
-        netWorthApprox: totalAssets - totalLiabilities,
-        monthlyCashflowApprox: totalMonthlyIncome - totalFixedCosts - totalSpending,
-    },
+        completeMonths,
+        averageMonthlySpending,
+        monthlyCashflowApprox: totalMonthlyIncome - totalFixedCosts - averageMonthlySpending,
+    };
 };
-// console.log("output: ", output)
 
-return (output)
+/**
+ * summarizeSnapshot({ fixedCostRows, incomeRows, assetRows, liabilityRows, spendingRows, subscriptions, spendingSeries, goalRows, assetHistoryRows, budgetRows })
+ * Turns the raw query results into the snapshot the experts see.
+ * Pure function, no database access.
+ */
+export const summarizeSnapshot = ({ fixedCostRows, incomeRows, assetRows, liabilityRows, spendingRows, subscriptions, spendingSeries, goalRows = [], assetHistoryRows = [], budgetRows = [] }) => {
+    // Map rows -> clean objects
+    const fixedCosts = toFixedCosts(fixedCostRows);
+    const incomes = toIncomes(incomeRows);
+
+    const assets = assetRows.map(({ name, category, value }) => ({
+        name,
+        category,
+        value: toNum(value),
+    }));
+
+    const liabilities = toLiabilities(liabilityRows);
+    const spending = toSpending(spendingRows);
+
+    const totalAssets = assets.reduce((sum, { value }) => sum + Number(value || 0), 0);
+    const totalLiabilities = liabilities.reduce((sum, { value }) => sum + Number(value || 0), 0);
+    const { totalFixedCosts, totalMonthlyIncome, totalSpending, completeMonths, averageMonthlySpending, monthlyCashflowApprox } =
+        summarizeCashflow({ fixedCosts, incomes, spending, spendingSeries });
+
+    // Per-category share of income, precomputed so the experts don't do the math
+    const categoryBreakdown = buildCategoryBreakdown({ fixedCosts, months: completeMonths, monthlyIncome: totalMonthlyIncome });
+
+    // The goals the user committed to, with progress and what they need per month (services/goals.js)
+    const { goals, summary: goalFunding } = summarizeGoals({ goalRows, assetHistoryRows, monthlyCashflow: monthlyCashflowApprox });
+
+    // This month's budget vs. actual per category (services/categoryBudgets.js), null without budgets
+    const categoryBudgets = budgetRows.length
+        ? buildBudgetReport({
+            budgets: budgetRows,
+            monthlyTotals: spendingSeries.periods.flatMap(({ period, categories }) =>
+                categories.map(({ category, total }) => ({ period, category, total }))
+            ),
+            month: new Date().toISOString().slice(0, 7),
+        })
+        : null;
+
+    const output = {
+        fixedCosts,
+        incomes,
+        assets,
+        liabilities,
+        spending,
+        // Recurring charges the experts can reason about (only active ones)
+        subscriptions: {
+            ...subscriptions.summary,
+            active: subscriptions.subscriptions
+                .filter((s) => s.isActive)
+                .map(({ merchant, category, cadence, lastAmount, annualizedCost, nextChargeDate, isNew, priceIncrease }) => ({
+                    merchant,
+                    category,
+                    cadence,
+                    lastAmount,
+                    annualizedCost,
+                    nextChargeDate,
+                    isNew,
+                    priceIncrease,
+                })),
+        },
+        // Month-by-month totals with deltas and trailing averages
+        spendingTrends: summarizeTrends(spendingSeries, 6),
+        categoryBreakdown,
+        goals,
+        goalFunding,
+        categoryBudgets,
+        totals: {
+            totalFixedCosts,
+            totalMonthlyIncome,
+            totalAssets,
+            totalLiabilities,
+            totalSpending,
+            averageMonthlySpending,
+            netWorthApprox: totalAssets - totalLiabilities,
+            monthlyCashflowApprox,
+        },
+    };
+    // console.log("output: ", output)
+
+    return (output)
+};
+
+// One query per part of the snapshot, so endpoints that need only part of it can load just that
+const selectFixedCosts = (accountId) =>
+    pool.query(
+        `SELECT name, amount, category
+        FROM fixed_costs
+        WHERE account_id = $1
+        ORDER BY amount DESC`,
+        [accountId]
+    );
+
+const selectIncomes = (accountId) =>
+    pool.query(
+        `SELECT source, amount, frequency
+        FROM incomes
+        WHERE account_id = $1
+        ORDER BY amount DESC`,
+        [accountId]
+    );
+
+const selectAssets = (accountId) =>
+    pool.query(
+        `SELECT name, category, value
+        FROM assets
+        WHERE account_id = $1
+        ORDER BY value DESC`,
+        [accountId]
+    );
+
+const selectLiabilities = (accountId) =>
+    pool.query(
+        `SELECT name, category, value, interest_rate, minimum_payment, due_day, term_months, promo_rate,
+            TO_CHAR(promo_expires_on, 'YYYY-MM-DD') promo_expires_on
+        FROM liabilities
+        WHERE account_id = $1
+        ORDER BY value DESC`,
+        [accountId]
+    );
+
+const selectSpending = (accountId) =>
+    pool.query(
+        `SELECT
+            TO_CHAR(transaction_date, 'YYYY-MM') name, 
+            category, 
+            SUM(amount) value
+        FROM credit_cards
+        WHERE account_id = $1 
+            AND type <> 'Payment' -- card payments aren't spending, returns net against their category
+        GROUP BY 1,2
+        ORDER BY 1,2;`,
+        [accountId]
+    );
+
+// The longest trailing window in complete months, plus the month in progress
+const loadSpendingSeries = (accountId) =>
+    getSpendingTimeSeries(accountId, { granularity: "month", periods: Math.max(...TRAILING_WINDOWS.month) + 1 });
+
+const selectGoals = (accountId) =>
+    pool.query(
+        `SELECT g.id, g.name, g.target_amount, TO_CHAR(g.deadline, 'YYYY-MM-DD') deadline, g.priority, g.asset_id,
+            a.name asset_name, a.value asset_value
+        FROM goals g
+        LEFT JOIN assets a ON a.id = g.asset_id AND a.account_id = g.account_id
+        WHERE g.account_id = $1
+        ORDER BY g.id`,
+        [accountId]
+    );
+
+// Value history of the assets goals are linked to
+const selectAssetHistory = (accountId) =>
+    pool.query(
+        `SELECT asset_id, value, recorded_at
+        FROM asset_values
+        WHERE account_id = $1
+            AND asset_id IN (SELECT asset_id FROM goals WHERE account_id = $1)
+        ORDER BY recorded_at`,
+        [accountId]
+    );
+
+const selectBudgets = (accountId) =>
+    pool.query(
+        `SELECT category, monthly_limit, rollover, created_at
+        FROM category_budgets
+        WHERE account_id = $1
+        ORDER BY category`,
+        [accountId]
+    );
+
+/**
+ * getFinancialSnapshot(accountId)
+ * Fetches all relevant financial data for a specific user.   
+ */
+export const getFinancialSnapshot = async (accountId=2) => {
+    const [fixedCostsResult, incomesResult, assetsResult, liabilitiesResult, spendingResult, subscriptionsResult, spendingSeries, goalsResult, assetHistoryResult, budgetsResult] =
+        await Promise.all([
+            selectFixedCosts(accountId),
+            selectIncomes(accountId),
+            selectAssets(accountId),
+            selectLiabilities(accountId),
+            selectSpending(accountId),
+            detectSubscriptions(accountId),
+            loadSpendingSeries(accountId),
+            selectGoals(accountId),
+            selectAssetHistory(accountId),
+            selectBudgets(accountId),
+        ]);
+
+    return summarizeSnapshot({
+        fixedCostRows: fixedCostsResult.rows,
+        incomeRows: incomesResult.rows,
+        assetRows: assetsResult.rows,
+        liabilityRows: liabilitiesResult.rows,
+        spendingRows: spendingResult.rows,
+        subscriptions: subscriptionsResult,
+        spendingSeries,
+        goalRows: goalsResult.rows,
+        assetHistoryRows: assetHistoryResult.rows,
+        budgetRows: budgetsResult.rows,
+    });
+};
+
+/**
+ * getLiabilities(accountId)
+ * The snapshot's `liabilities`, without loading the rest of it.
+ */
+export const getLiabilities = async (accountId) => toLiabilities((await selectLiabilities(accountId)).rows);
+
+/**
+ * getGoalFunding(accountId)
+ * The snapshot's goals and goalFunding as { goals, summary }, loading only the
+ * goals and the cash flow that funds them.
+ */
+export const getGoalFunding = async (accountId) => {
+    const [fixedCostsResult, incomesResult, spendingResult, spendingSeries, goalsResult, assetHistoryResult] = await Promise.all([
+        selectFixedCosts(accountId),
+        selectIncomes(accountId),
+        selectSpending(accountId),
+        loadSpendingSeries(accountId),
+        selectGoals(accountId),
+        selectAssetHistory(accountId),
+    ]);
+
+    const { monthlyCashflowApprox } = summarizeCashflow({
+        fixedCosts: toFixedCosts(fixedCostsResult.rows),
+        incomes: toIncomes(incomesResult.rows),
+        spending: toSpending(spendingResult.rows),
+        spendingSeries,
+    });
+
+    return summarizeGoals({ goalRows: goalsResult.rows, assetHistoryRows: assetHistoryResult.rows, monthlyCashflow: monthlyCashflowApprox });
 };
 
 // getFinancialSnapshot();
\ No newline at end of file
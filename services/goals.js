@@ -0,0 +1,142 @@
+/**
+ * services/goals.js
+ * -----------------------------------------------------------------------------
+ * Progress of the user's savings goals (goals table, CRUD through /config).
+ *
+ * A goal linked to an asset account measures its progress by that asset's
+ * value; its recent pace comes from the asset's value history (asset_values,
+ * recorded by a trigger on every change). Each goal gets the monthly
+ * contribution needed to reach its target by the deadline, and planGoals()
+ * sets those against monthlyCashflowApprox in priority order, so the Goal
+ * Architect sees which commitments the current cash flow can actually fund.
+ *
+ * Pure functions, the rows come from getFinancialSnapshot().
+ */
+
+import { GOAL_PRIORITIES } from "./schemaRegistry.js";
+
+// Pace = average monthly change of the linked asset over the last 3 months
+const PACE_MONTHS = 3;
+const MS_PER_MONTH = (365.25 / 12) * 24 * 60 * 60 * 1000;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Whole months of contributions left before the deadline (0 once it has passed)
+const monthsUntil = (asOf, deadline) => {
+    const end = new Date(deadline);
+    const months = (end.getUTCFullYear() - asOf.getUTCFullYear()) * 12 + end.getUTCMonth() - asOf.getUTCMonth()
+        - (end.getUTCDate() < asOf.getUTCDate() ? 1 : 0);
+    return Math.max(0, months);
+};
+
+const addMonths = (date, months) =>
+    new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1)).toISOString().slice(0, 7);
+
+/**
+ * recentMonthlyPace(history, current, asOf)
+ * Average monthly change over the last PACE_MONTHS, from [{ value, recorded_at }].
+ * null with less than a month of history.
+ */
+export const recentMonthlyPace = (history, current, asOf) => {
+    const windowStart = asOf.getTime() - PACE_MONTHS * MS_PER_MONTH;
+    const sorted = [...history].sort((a, b) => new Date(a.recorded_at) - new Date(b.recorded_at));
+    if (!sorted.length || current == null) return null;
+
+    // The value at the start of the window, or the first one recorded if the asset is newer
+    const before = sorted.filter((h) => new Date(h.recorded_at).getTime() <= windowStart).at(-1);
+    const baseline = before ?? sorted[0];
+    const months = before ? PACE_MONTHS : (asOf.getTime() - new Date(baseline.recorded_at).getTime()) / MS_PER_MONTH;
+
+    return months < 1 ? null : round2((current - Number(baseline.value)) / months);
+};
+
+/**
+ * computeGoalProgress(goal, { history, asOf })
+ * goal: { id, name, target_amount, deadline, priority, asset_name, asset_value }.
+ * status: achieved | untracked (no linked asset) | overdue | on_track | behind
+ * | unknown (no deadline, or not enough history for a pace).
+ */
+export const computeGoalProgress = (goal, { history = [], asOf = new Date() } = {}) => {
+    const target = Number(goal.target_amount);
+    const current = goal.asset_value == null ? null : Number(goal.asset_value);
+    const remaining = round2(Math.max(0, target - (current ?? 0)));
+    const monthsLeft = goal.deadline ? monthsUntil(asOf, goal.deadline) : null;
+    const pace = recentMonthlyPace(history, current, asOf);
+
+    // Everything left is due now once the deadline is this month or past
+    const required = remaining === 0 ? 0 : monthsLeft === null ? null : round2(remaining / Math.max(1, monthsLeft));
+
+    let status;
+    if (current !== null && current >= target) status = "achieved";
+    else if (current === null) status = "untracked";
+    else if (goal.deadline && new Date(goal.deadline) < asOf) status = "overdue";
+    else if (required === null || pace === null) status = "unknown";
+    else status = pace >= required ? "on_track" : "behind";
+
+    return {
+        id: goal.id,
+        name: goal.name,
+        priority: goal.priority,
+        targetAmount: target,
+        deadline: goal.deadline ?? null,
+        linkedAsset: goal.asset_name ?? null,
+        currentAmount: current,
+        percentComplete: current === null ? null : Math.min(100, round1((current / target) * 100)),
+        remaining,
+        monthsLeft,
+        requiredMonthlyContribution: required,
+        recentMonthlyPace: pace,
+        projectedCompletion: remaining > 0 && pace > 0 ? addMonths(asOf, Math.ceil(remaining / pace)) : null,
+        status,
+    };
+};
+
+/**
+ * planGoals(goals, monthlyCashflow)
+ * Funds the required contributions from the monthly cash flow, highest
+ * priority (then nearest deadline) first. Returns { goals, summary }; each
+ * goal gains fundedMonthly and shortfall.
+ */
+export const planGoals = (goals, monthlyCashflow) => {
+    const rank = (goal) => {
+        const index = GOAL_PRIORITIES.indexOf(goal.priority);
+        return index === -1 ? GOAL_PRIORITIES.length : index;
+    };
+    const ordered = [...goals].sort((a, b) =>
+        rank(a) - rank(b) || (a.deadline ?? "9999").localeCompare(b.deadline ?? "9999"));
+
+    let available = Math.max(0, monthlyCashflow);
+    const planned = ordered.map((goal) => {
+        const required = goal.status === "achieved" ? 0 : goal.requiredMonthlyContribution ?? 0;
+        const fundedMonthly = round2(Math.min(required, available));
+        available -= fundedMonthly;
+        return { ...goal, fundedMonthly, shortfall: round2(required - fundedMonthly) };
+    });
+
+    const totalRequiredMonthly = round2(planned.reduce((sum, g) => sum + (g.fundedMonthly + g.shortfall), 0));
+    return {
+        goals: planned,
+        summary: {
+            totalRequiredMonthly,
+            monthlyCashflowApprox: round2(monthlyCashflow),
+            leftAfterGoals: round2(monthlyCashflow - totalRequiredMonthly),
+            affordable: totalRequiredMonthly <= Math.max(0, monthlyCashflow),
+        },
+    };
+};
+
+/**
+ * summarizeGoals({ goalRows, assetHistoryRows, monthlyCashflow, asOf })
+ * The goals section of the snapshot: { goals, summary }.
+ */
+export const summarizeGoals = ({ goalRows = [], assetHistoryRows = [], monthlyCashflow, asOf = new Date() }) =>
+    planGoals(
+        goalRows.map((goal) =>
+            computeGoalProgress(goal, {
+                history: assetHistoryRows.filter((h) => goal.asset_id != null && h.asset_id === goal.asset_id),
+                asOf,
+            })
+        ),
+        monthlyCashflow
+    );
@@ -0,0 +1,67 @@
+/**
+ * services/llmProvider.js
+ * -----------------------------------------------------------------------------
+ * The one place the AI pipeline gets a language model from.
+ *
+ * A provider implements:
+ *
+ *   name
+ *   completeJSON({ model, messages, schema: { name, schema }, temperature, maxTokens }, { signal, maxRetries, onUsage })
+ *       -> Promise<object>   the parsed JSON (throws SyntaxError on malformed output)
+ *   streamText({ model, messages, temperature }, { signal, onUsage })
+ *       -> AsyncIterable<string>   text deltas
+ *
+ * messages are chat messages: [{ role: "system" | "user" | "assistant", content }].
+ * onUsage({ model, inputTokens, outputTokens }) is called once per completed
+ * call with its token counts (see services/analysisRuns.js).
+ *
+ * LLM_PROVIDER picks the implementation:
+ *   openai (default)  OpenAI, or any OpenAI-compatible server via LLM_BASE_URL
+ *   mock              deterministic fixtures, no network (see mockProvider.js)
+ */
+
+import "dotenv/config";
+import { createOpenAIProvider } from "./openaiProvider.js";
+import { createMockProvider, loadFixtures } from "./mockProvider.js";
+
+export const PROVIDERS = ["openai", "mock"];
+
+/**
+ * createProvider(env)
+ * Builds a provider from environment variables.
+ */
+export const createProvider = (env = process.env) => {
+    const name = env.LLM_PROVIDER || "openai";
+
+    if (name === "mock") {
+        return createMockProvider({ fixtures: env.LLM_MOCK_FIXTURES ? loadFixtures(env.LLM_MOCK_FIXTURES) : {} });
+    }
+    if (name === "openai") {
+        return createOpenAIProvider({
+            apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+            baseURL: env.LLM_BASE_URL || undefined,
+        });
+    }
+    throw new Error(`Unknown LLM_PROVIDER "${name}", expected one of: ${PROVIDERS.join(", ")}`);
+};
+
+let provider = null;
+
+/**
+ * getProvider()
+ * The shared provider, created on first use so the server can start (and the
+ * non-AI routes work) without any model credentials.
+ */
+export const getProvider = () => {
+    provider ??= createProvider();
+    return provider;
+};
+
+/**
+ * setProvider(next)
+ * Swaps the shared provider, e.g. for a mock with test-specific fixtures.
+ * Passing null goes back to the environment's provider on next use.
+ */
+export const setProvider = (next) => {
+    provider = next;
+};
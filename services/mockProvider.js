@@ -0,0 +1,100 @@
+/**
+ * services/mockProvider.js
+ * -----------------------------------------------------------------------------
+ * Deterministic LLM provider for CI and local development (LLM_PROVIDER=mock).
+ * Same interface as openaiProvider.js, never touches the network.
+ *
+ * Fixtures (LLM_MOCK_FIXTURES points at a JSON file):
+ * {
+ *   "json": {
+ *     "question_classification": { "question_type": "diagnosis", ... },
+ *     "debt_strategist_analysis": { "$error": "upstream failed", "status": 503 }
+ *   },
+ *   "stream": ["Here is ", "your answer."]
+ * }
+ *
+ * JSON responses are looked up by schema name. Without a fixture the response
+ * is generated from the schema itself (first enum value, "mock", 0, one array
+ * item ...), so every expert works out of the box. A fixture with "$error"
+ * throws instead, to exercise failure paths.
+ *
+ * Token usage is estimated at four characters per token.
+ */
+
+import { readFileSync } from "node:fs";
+
+const DEFAULT_STREAM = ["This is a mock answer ", "generated from fixtures, ", "no model was called."];
+
+export const loadFixtures = (path) => JSON.parse(readFileSync(path, "utf8"));
+
+const estimateTokens = (value) => Math.ceil((typeof value === "string" ? value : JSON.stringify(value)).length / 4);
+
+/**
+ * exampleFromSchema(schema)
+ * The simplest value that satisfies a JSON schema.
+ */
+export const exampleFromSchema = (schema = {}) => {
+    if (schema.enum) return schema.enum[0];
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+
+    switch (type) {
+        case "object":
+            return Object.fromEntries(
+                Object.entries(schema.properties ?? {}).map(([key, value]) => [key, exampleFromSchema(value)])
+            );
+        case "array":
+            return schema.items ? [exampleFromSchema(schema.items)] : [];
+        case "number":
+        case "integer":
+            return 0;
+        case "boolean":
+            return false;
+        case "null":
+            return null;
+        default:
+            return "mock";
+    }
+};
+
+/**
+ * createMockProvider({ fixtures })
+ * Every call is recorded in provider.calls for assertions.
+ */
+export const createMockProvider = ({ fixtures = {} } = {}) => {
+    const calls = [];
+
+    const failIfRequested = (fixture) => {
+        if (fixture && typeof fixture === "object" && "$error" in fixture) {
+            throw Object.assign(new Error(fixture.$error), { status: fixture.status });
+        }
+    };
+
+    return {
+        name: "mock",
+        calls,
+
+        completeJSON: async ({ model, messages, schema }, { signal, onUsage } = {}) => {
+            signal?.throwIfAborted();
+            calls.push({ method: "completeJSON", model, schema: schema.name, messages });
+
+            const fixture = fixtures.json?.[schema.name];
+            failIfRequested(fixture);
+            // Copy so callers can't mutate the fixtures between calls
+            const result = structuredClone(fixture ?? exampleFromSchema(schema.schema));
+            onUsage?.({ model, inputTokens: estimateTokens(messages), outputTokens: estimateTokens(result) });
+            return result;
+        },
+
+        streamText: async function* ({ model, messages }, { signal, onUsage } = {}) {
+            calls.push({ method: "streamText", model, messages });
+            failIfRequested(fixtures.stream);
+
+            const chunks = typeof fixtures.stream === "string" ? [fixtures.stream] : fixtures.stream ?? DEFAULT_STREAM;
+            for (const chunk of chunks) {
+                signal?.throwIfAborted();
+                yield chunk;
+            }
+            onUsage?.({ model, inputTokens: estimateTokens(messages), outputTokens: estimateTokens(chunks.join("")) });
+        },
+    };
+};
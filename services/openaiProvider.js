@@ -0,0 +1,59 @@
+/**
+ * services/openaiProvider.js
+ * -----------------------------------------------------------------------------
+ * LLM provider backed by the OpenAI SDK (interface in llmProvider.js).
+ *
+ * Uses Chat Completions for both JSON and streaming so the same code works
+ * against OpenAI-compatible servers (vLLM, Ollama, LM Studio ...) through
+ * baseURL. Self-hosted servers usually don't check the key, so one isn't
+ * required when a baseURL is given.
+ */
+
+import OpenAI from "openai";
+
+const toUsage = (model, usage) => ({
+    model,
+    inputTokens: usage?.prompt_tokens ?? 0,
+    outputTokens: usage?.completion_tokens ?? 0,
+});
+
+export const createOpenAIProvider = ({ apiKey, baseURL } = {}) => {
+    const client = new OpenAI({ apiKey: apiKey || (baseURL ? "not-needed" : undefined), baseURL });
+
+    return {
+        name: baseURL ? `openai-compatible (${baseURL})` : "openai",
+
+        completeJSON: async ({ model, messages, schema, temperature, maxTokens }, { signal, maxRetries, onUsage } = {}) => {
+            const response = await client.chat.completions.create(
+                {
+                    model,
+                    messages,
+                    temperature,
+                    max_tokens: maxTokens,
+                    response_format: {
+                        type: "json_schema",
+                        json_schema: { name: schema.name, strict: true, schema: schema.schema },
+                    },
+                },
+                { signal, maxRetries }
+            );
+
+            onUsage?.(toUsage(model, response.usage));
+            return JSON.parse(response.choices?.[0]?.message?.content ?? "");
+        },
+
+        streamText: async function* ({ model, messages, temperature }, { signal, onUsage } = {}) {
+            // include_usage adds a last chunk with no choices and the token counts
+            const stream = await client.chat.completions.create(
+                { model, messages, temperature, stream: true, stream_options: { include_usage: true } },
+                { signal }
+            );
+
+            for await (const chunk of stream) {
+                const delta = chunk.choices?.[0]?.delta?.content;
+                if (delta) yield delta;
+                if (chunk.usage) onUsage?.(toUsage(model, chunk.usage));
+            }
+        },
+    };
+};
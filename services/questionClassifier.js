@@ -0,0 +1,215 @@
+/**
+ * services/questionClassifier.js
+ * -----------------------------------------------------------------------------
+ * Decides what kind of question the user asked, which drives expert routing.
+ *
+ * A classifier is any object with:
+ *   { name, classify(question, snapshot, { signal, onUsage }) -> Promise<classification> }
+ *
+ * and a classification always has this shape (see validateClassification):
+ *   {
+ *     question_type:   one of QUESTION_TYPES,
+ *     emotional_state: one of EMOTIONAL_STATES,
+ *     reasoning:       short explanation,
+ *     required_data:   snapshot sections the answer needs,
+ *     topics:          keyword topic hints (see detectTopicHints),
+ *     source:          "model" | "heuristic"
+ *   }
+ *
+ * Two implementations:
+ *   - createModelClassifier   asks the router model (json_schema, strict)
+ *   - heuristicClassifier     keyword rules, no network
+ *
+ * withFallback(primary, fallback) runs the primary and falls back when it
+ * throws or returns something that doesn't validate.
+ */
+
+import { getProvider } from "./llmProvider.js";
+
+// The taxonomy. The model prompt and JSON schema are both generated from these,
+// so the enum and the descriptions can't drift apart.
+export const QUESTION_TYPES = {
+    lookup: "Can be answered with 1-2 numbers from the available data.",
+    calculation: "Requires math but no judgment calls.",
+    diagnosis: "Needs financial expertise to interpret what is going on and why.",
+    recommendation: "Requires advice or a strategy to choose between options.",
+    goal_planning: "Needs a long term view of finances to determine the steps toward a target.",
+    tax: "Is mainly about taxes: withholding, deductions, tax-advantaged accounts.",
+    complex: "Multi-faceted and can't be categorized as one of the previous types.",
+};
+
+export const EMOTIONAL_STATES = {
+    anxious: "Worried, stressed or scared about their situation.",
+    motivated: "Ready to act and looking for a plan.",
+    defensive: "Justifying past choices or expecting to be judged.",
+    curious: "Neutral, wants to understand.",
+};
+
+const QUESTION_TYPE_NAMES = Object.keys(QUESTION_TYPES);
+const EMOTIONAL_STATE_NAMES = Object.keys(EMOTIONAL_STATES);
+
+/**
+ * validateClassification(obj, source)
+ * Throws when the object doesn't fit the taxonomy, returns a clean copy otherwise.
+ */
+export const validateClassification = (obj, source) => {
+    if (!obj || typeof obj !== "object") throw new Error("Classification is not an object");
+    if (!QUESTION_TYPE_NAMES.includes(obj.question_type)) {
+        throw new Error(`Unknown question_type "${obj.question_type}"`);
+    }
+    if (!EMOTIONAL_STATE_NAMES.includes(obj.emotional_state)) {
+        throw new Error(`Unknown emotional_state "${obj.emotional_state}"`);
+    }
+
+    return {
+        question_type: obj.question_type,
+        emotional_state: obj.emotional_state,
+        reasoning: typeof obj.reasoning === "string" ? obj.reasoning : "",
+        required_data: Array.isArray(obj.required_data) ? obj.required_data.filter((d) => typeof d === "string") : [],
+        source,
+    };
+};
+
+// -----------------------------------------------------------------------------
+// Heuristic classifier
+// -----------------------------------------------------------------------------
+
+// Topic hints, same idea as detectTopicHints in controllers/samepl.js
+export const detectTopicHints = (question) => {
+    const q = question.toLowerCase();
+    return {
+        taxes: /tax|irs|w-2|1099|deduction|refund|withholding/.test(q),
+        investing: /invest|etf|stock|bond|allocation|roth|401k|ira/.test(q),
+        debt: /debt|credit card|apr|loan|interest rate|balance|collections?/.test(q),
+        budgeting: /budget|spending|spend|cash flow|expense|categor|subscription/.test(q),
+        emergency: /eviction|foreclosure|shutoff|can[’']?t pay|overdraft/.test(q),
+    };
+};
+
+// First match wins, so the more specific types come first
+const QUESTION_TYPE_RULES = [
+    { type: "tax", test: (q, hints) => hints.taxes },
+    { type: "goal_planning", test: (q) => /retire|goal|save (up )?for|down payment|college|wedding|by (19|20)\d\d|in \d+ years|long[- ]term/.test(q) },
+    { type: "recommendation", test: (q) => /should i|what should|best way|recommend|advice|better to|worth it|which (one|option)/.test(q) },
+    { type: "diagnosis", test: (q) => /\bwhy\b|where (is|does|did) (all )?my money|what('s| is) wrong|keep running out|how am i doing/.test(q) },
+    { type: "calculation", test: (q) => /how long|calculate|what if|afford|pay ?off|\d+(\.\d+)?\s?%|per month if/.test(q) },
+    { type: "lookup", test: (q) => /how much (did|do|have) i|what('s| is| are| was) my|total|net worth|my balance/.test(q) },
+];
+
+const EMOTIONAL_STATE_RULES = [
+    { state: "anxious", test: (q, hints) => hints.emergency || /worr|anxious|scared|afraid|stress|panic|overwhelm|can'?t sleep|freak/.test(q) },
+    { state: "defensive", test: (q) => /not my fault|don'?t judge|i had to|i needed (it|to)|it'?s not like|everyone (else )?(does|has)|justify/.test(q) },
+    { state: "motivated", test: (q) => /i want to|ready to|finally|get serious|start (saving|investing|paying)|help me plan|my goal/.test(q) },
+];
+
+/**
+ * heuristicClassifier
+ * Keyword rules over the question text. Deterministic and offline, used when
+ * no model is configured and as the fallback when the model call fails.
+ */
+export const heuristicClassifier = {
+    name: "heuristic",
+    classify: async (question = "") => {
+        const q = String(question).toLowerCase();
+        const hints = detectTopicHints(q);
+
+        const typeRule = QUESTION_TYPE_RULES.find((rule) => rule.test(q, hints));
+        const stateRule = EMOTIONAL_STATE_RULES.find((rule) => rule.test(q, hints));
+        const questionType = typeRule?.type ?? "complex";
+        const emotionalState = stateRule?.state ?? "curious";
+
+        const requiredData = [];
+        if (hints.budgeting) requiredData.push("spending", "spendingTrends", "subscriptions");
+        if (hints.debt) requiredData.push("liabilities");
+        if (hints.investing) requiredData.push("assets");
+        if (hints.taxes) requiredData.push("incomes");
+
+        const classification = validateClassification(
+            {
+                question_type: questionType,
+                emotional_state: emotionalState,
+                reasoning: `Keyword rules: ${typeRule ? `matched ${questionType}` : "no type keywords, treated as complex"}; ${stateRule ? `${emotionalState} cues` : "no emotional cues"}.`,
+                required_data: requiredData,
+            },
+            "heuristic"
+        );
+        return { ...classification, topics: hints };
+    },
+};
+
+// -----------------------------------------------------------------------------
+// Model classifier
+// -----------------------------------------------------------------------------
+
+const describe = (map) =>
+    Object.entries(map)
+        .map(([key, description]) => `- ${key}: ${description}`)
+        .join("\n");
+
+const CLASSIFICATION_SCHEMA = {
+    type: "object",
+    properties: {
+        question_type: { type: "string", enum: QUESTION_TYPE_NAMES },
+        emotional_state: { type: "string", enum: EMOTIONAL_STATE_NAMES },
+        reasoning: { type: "string" },
+        required_data: { type: "array", items: { type: "string" } },
+    },
+    required: ["question_type", "emotional_state", "reasoning", "required_data"],
+    additionalProperties: false,
+};
+
+/**
+ * createModelClassifier({ model, provider })
+ * provider defaults to the shared one from services/llmProvider.js.
+ */
+export const createModelClassifier = ({ model, provider }) => ({
+    name: "model",
+    classify: async (question, snapshot, { signal, onUsage } = {}) => {
+        const parsed = await (provider ?? getProvider()).completeJSON({
+            model,
+            temperature: 0,
+            messages: [
+                {
+                    role: "system",
+                    content: `Classify the user's financial question.
+
+Question types:
+${describe(QUESTION_TYPES)}
+
+Emotional states:
+${describe(EMOTIONAL_STATES)}
+
+Give a one-sentence reasoning, and list in required_data the snapshot sections needed to answer.`,
+                },
+                {
+                    role: "user",
+                    content: `Question: "${question}"\n\nAvailable data: ${JSON.stringify(snapshot?.totals ?? {})}`,
+                },
+            ],
+            schema: { name: "question_classification", schema: CLASSIFICATION_SCHEMA },
+            maxTokens: 300,
+        }, { signal, onUsage });
+
+        // Topics come from keywords either way, routing rules rely on them
+        return { ...validateClassification(parsed, "model"), topics: detectTopicHints(String(question)) };
+    },
+});
+
+/**
+ * withFallback(primary, fallback)
+ * Any failure of the primary (network, refusal, malformed JSON, unknown enum)
+ * is logged and answered by the fallback instead of failing the request.
+ */
+export const withFallback = (primary, fallback = heuristicClassifier) => ({
+    name: `${primary.name}+${fallback.name}`,
+    classify: async (question, snapshot, options = {}) => {
+        try {
+            return await primary.classify(question, snapshot, options);
+        } catch (err) {
+            // Nobody is waiting for an answer anymore
+            if (options.signal?.aborted) throw err;
+            console.warn(`Classifier "${primary.name}" failed, using "${fallback.name}":`, err.message);
+            return { ...(await fallback.classify(question, snapshot, options)), fallbackReason: err.message };
+        }
+    },
+});
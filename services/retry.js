@@ -0,0 +1,86 @@
+/**
+ * services/retry.js
+ * -----------------------------------------------------------------------------
+ * Timeouts, bounded retries and cancellation for model calls.
+ *
+ *   withRetry((signal) => client.chat.completions.create(body, { signal }), {
+ *       label: "expert:debt_strategist",
+ *       timeoutMs: 45000,
+ *       retries: 2,
+ *       signal,            // aborted when the SSE client disconnects
+ *   });
+ *
+ * Every attempt gets its own signal that fires on the per-attempt timeout or
+ * when the caller's signal aborts. A caller abort is never retried.
+ */
+
+// Status codes worth another attempt: timeouts, conflicts, rate limits, server errors
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504]);
+
+export class TimeoutError extends Error {
+    constructor(label, ms) {
+        super(`${label} timed out after ${ms}ms`);
+        this.name = "TimeoutError";
+    }
+}
+
+/**
+ * isRetryable(err)
+ * Network failures and timeouts (no HTTP status) and the statuses above.
+ */
+export const isRetryable = (err) => {
+    if (err instanceof TimeoutError) return true;
+    if (typeof err?.status === "number") return RETRYABLE_STATUS.has(err.status);
+    return err instanceof SyntaxError || err?.name === "APIConnectionError" || err?.name === "APIConnectionTimeoutError";
+};
+
+/**
+ * sleep(ms, signal)
+ * Resolves after ms, rejects as soon as the signal aborts.
+ */
+export const sleep = (ms, signal) =>
+    new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+
+/**
+ * withRetry(fn, { label, timeoutMs, retries, baseDelayMs, signal, onRetry })
+ * Exponential backoff with jitter: baseDelayMs, 2x, 4x ... (+ up to 25%).
+ */
+export const withRetry = async (
+    fn,
+    { label = "operation", timeoutMs = 30000, retries = 2, baseDelayMs = 500, signal, onRetry } = {}
+) => {
+    for (let attempt = 0; ; attempt++) {
+        signal?.throwIfAborted();
+
+        const timeout = new AbortController();
+        const timer = setTimeout(() => timeout.abort(new TimeoutError(label, timeoutMs)), timeoutMs);
+        const attemptSignal = signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal;
+
+        try {
+            return await fn(attemptSignal);
+        } catch (err) {
+            // The caller gave up (client disconnected): stop right here
+            if (signal?.aborted) throw signal.reason ?? err;
+
+            const failure = timeout.signal.aborted ? timeout.signal.reason : err;
+            if (attempt >= retries || !isRetryable(failure)) throw failure;
+
+            const delay = baseDelayMs * 2 ** attempt * (1 + Math.random() * 0.25);
+            onRetry?.({ attempt: attempt + 1, delay, error: failure });
+            await sleep(delay, signal);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+};
@@ -0,0 +1,269 @@
+/**
+ * Schema registry for the configuration tables.
+ * -----------------------------------------------------------------------------
+ * Every table the generic /config CRUD can touch is declared here, together with
+ * the columns a client is allowed to write. Anything not listed is rejected, so
+ * table and column names coming from the request never reach SQL unchecked.
+ *
+ * Column spec:
+ *   type:      'string' | 'number' | 'integer' | 'date' | 'boolean'
+ *   required:  must be present on create
+ *   nullable:  false for NOT NULL columns with a default: may be left out, but
+ *              not set to null or ''
+ *   enum:      allowed values
+ *   maxLength: for strings (matches the VARCHAR size)
+ *   min, max:  for numbers (integers are capped at the INTEGER range by default)
+ *   references: route key of the table an id column points at; the row must
+ *              belong to the same account (checked by the controller)
+ *
+ * account_id is not a client column, it is always set from the authenticated user.
+ *
+ * A table may also have prepare(record, { partial, current }), which returns the
+ * record with the server-side columns that go along with a client write added.
+ * On a partial update `current` is the stored row the record is applied to.
+ */
+
+import { classifyTransaction, TRANSACTION_TYPES } from './transactionTypes.js';
+
+export const INCOME_FREQUENCIES = ['Weekly', 'Every 2 Weeks', '15th And 30th', 'Monthly'];
+export const GOAL_PRIORITIES = ['High', 'Medium', 'Low'];
+
+//Largest value of a NUMERIC(12, 2) money column
+const MAX_AMOUNT = 9_999_999_999.99;
+//Largest value of an INTEGER / SERIAL column
+const MAX_INTEGER = 2_147_483_647;
+
+//A category typed in by hand is the user's choice: rules and merchant memory leave it alone
+//(services/categorization.js). On create it is also the row's own label, like a bank's.
+//The type and the amount's sign are normalized together, like imported rows, so a
+//hand-entered return counts against spending the same way (services/transactionTypes.js).
+const prepareCardRecord = (record, { partial, current }) => {
+    const prepared = { ...record };
+
+    if (Object.hasOwn(record, 'category')) {
+        prepared.category_source = record.category === null ? null : 'user';
+        if (!partial) prepared.original_category = record.category;
+    }
+
+    if (!partial || Object.hasOwn(record, 'type') || Object.hasOwn(record, 'amount')) {
+        const row = { ...current, ...record };
+        Object.assign(prepared, classifyTransaction({ type: row.type, amount: Number(row.amount), description: row.description }));
+    }
+
+    return prepared;
+};
+
+export const tableDefinitions = {
+    demographics: {
+        name: 'demographics',
+        columns: {
+            first_name: { type: 'string', maxLength: 100 },
+            last_name: { type: 'string', maxLength: 100 },
+            gender: { type: 'string', maxLength: 100 },
+            industry: { type: 'string', maxLength: 100 }
+        }
+    },
+    incomes: {
+        name: 'incomes',
+        columns: {
+            source: { type: 'string', required: true, maxLength: 100 },
+            frequency: { type: 'string', required: true, enum: INCOME_FREQUENCIES },
+            amount: { type: 'number', required: true, min: 0, max: MAX_AMOUNT }
+        }
+    },
+    assets: {
+        name: 'assets',
+        columns: {
+            name: { type: 'string', required: true, maxLength: 100 },
+            category: { type: 'string', maxLength: 100 },
+            value: { type: 'number', required: true, min: 0, max: MAX_AMOUNT }
+        }
+    },
+    liabilities: {
+        name: 'liabilities',
+        columns: {
+            name: { type: 'string', required: true, maxLength: 100 },
+            category: { type: 'string', maxLength: 100 },
+            value: { type: 'number', required: true, min: 0, max: MAX_AMOUNT },
+            //Terms used by the payoff simulator (services/debtPayoff.js), rates are APR in percent
+            interest_rate: { type: 'number', min: 0, max: 100 },
+            minimum_payment: { type: 'number', min: 0, max: MAX_AMOUNT },
+            due_day: { type: 'integer', min: 1, max: 31 },
+            term_months: { type: 'integer', min: 1 },
+            promo_rate: { type: 'number', min: 0, max: 100 },
+            promo_expires_on: { type: 'date' }
+        }
+    },
+    fixedCosts: {
+        name: 'fixed_costs',
+        columns: {
+            name: { type: 'string', required: true, maxLength: 100 },
+            category: { type: 'string', maxLength: 100 },
+            amount: { type: 'number', required: true, min: 0, max: MAX_AMOUNT }
+        }
+    },
+    goals: {
+        name: 'goals',
+        columns: {
+            name: { type: 'string', required: true, maxLength: 100 },
+            target_amount: { type: 'number', required: true, min: 0.01, max: MAX_AMOUNT },
+            deadline: { type: 'date' },
+            priority: { type: 'string', nullable: false, enum: GOAL_PRIORITIES },
+            //Progress is read from this asset's value history (services/goals.js)
+            asset_id: { type: 'integer', min: 1, references: 'assets' }
+        }
+    },
+    categoryBudgets: {
+        name: 'category_budgets',
+        columns: {
+            //Matched case-insensitively against credit_cards.category
+            category: { type: 'string', required: true, maxLength: 100 },
+            monthly_limit: { type: 'number', required: true, min: 0, max: MAX_AMOUNT },
+            rollover: { type: 'boolean', nullable: false }
+        }
+    },
+    creditCards: {
+        name: 'credit_cards',
+        columns: {
+            transaction_date: { type: 'date', required: true },
+            post_date: { type: 'date' },
+            description: { type: 'string', required: true, maxLength: 400 },
+            category: { type: 'string', maxLength: 100 },
+            type: { type: 'string', enum: TRANSACTION_TYPES },
+            amount: { type: 'number', required: true },
+            memo: { type: 'string', maxLength: 200 }
+        },
+        prepare: prepareCardRecord
+    }
+}
+
+/**
+ * Thrown for any request that does not match the registry.
+ * `errors` is the list of { field, message } sent back to the client.
+ */
+export class ValidationError extends Error {
+    constructor(errors) {
+        super('Validation failed');
+        this.name = 'ValidationError';
+        this.status = 400;
+        this.errors = errors;
+    }
+}
+
+/**
+ * getTable(key)
+ * Looks up a table definition by its route key (e.g. 'fixedCosts').
+ */
+export const getTable = (key) => {
+    if (!Object.hasOwn(tableDefinitions, key)) {
+        throw new ValidationError([{ field: 'table', message: `Unknown table "${key}"` }]);
+    }
+    return tableDefinitions[key];
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * coerceValue(spec, value)
+ * Converts a raw client value into what the column expects.
+ * Returns { value } on success or { error } with a readable message.
+ */
+const coerceValue = (spec, value) => {
+    if (value === null || value === undefined || value === '') {
+        return { value: null };
+    }
+
+    switch (spec.type) {
+        case 'number':
+        case 'integer': {
+            //Bank exports and form fields send numbers like "1,234.50"
+            const num = typeof value === 'number' ? value : Number(String(value).replace(/[,$\s]/g, ''));
+            if (!Number.isFinite(num)) return { error: 'must be a number' };
+            if (spec.type === 'integer' && !Number.isInteger(num)) return { error: 'must be a whole number' };
+            const max = spec.max ?? (spec.type === 'integer' ? MAX_INTEGER : undefined);
+            if (spec.min !== undefined && num < spec.min) return { error: `must be at least ${spec.min}` };
+            if (max !== undefined && num > max) return { error: `must be at most ${max}` };
+            return { value: num };
+        }
+        case 'date': {
+            //YYYY-MM-DD that survives a round trip, so 2025-02-31 doesn't roll over to March
+            const str = String(value);
+            const date = DATE_PATTERN.test(str) ? new Date(`${str}T00:00:00Z`) : null;
+            if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== str) {
+                return { error: 'must be a valid date (YYYY-MM-DD)' };
+            }
+            return { value: str };
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return { value };
+            if (value === 'true' || value === 'false') return { value: value === 'true' };
+            return { error: 'must be true or false' };
+        }
+        default: {
+            const str = String(value).trim();
+            if (spec.enum && !spec.enum.includes(str)) return { error: `must be one of: ${spec.enum.join(', ')}` };
+            if (spec.maxLength && str.length > spec.maxLength) return { error: `must be at most ${spec.maxLength} characters` };
+            return { value: str };
+        }
+    }
+};
+
+/**
+ * validateRecord(tableDef, input, { partial })
+ * Validates a { column: value } object against the table definition.
+ * - partial=false (create): required columns must be present
+ * - partial=true  (update): only the given columns are checked, but required ones can't be cleared
+ * Returns the cleaned record or throws a ValidationError listing every problem.
+ */
+export const validateRecord = (tableDef, input, { partial = false } = {}) => {
+    const errors = [];
+    const record = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new ValidationError([{ field: 'body', message: 'must be an object of column values' }]);
+    }
+
+    for (const field of Object.keys(input)) {
+        if (!Object.hasOwn(tableDef.columns, field)) {
+            errors.push({ field, message: `Unknown field for ${tableDef.name}` });
+        }
+    }
+
+    for (const [field, spec] of Object.entries(tableDef.columns)) {
+        const present = Object.hasOwn(input, field);
+        if (!present) {
+            if (!partial && spec.required) errors.push({ field, message: 'is required' });
+            continue;
+        }
+
+        const { value, error } = coerceValue(spec, input[field]);
+        if (error) {
+            errors.push({ field, message: error });
+        } else if (value === null && spec.required) {
+            errors.push({ field, message: 'is required' });
+        } else if (value === null && spec.nullable === false) {
+            errors.push({ field, message: 'cannot be empty' });
+        } else {
+            record[field] = value;
+        }
+    }
+
+    if (partial && !errors.length && !Object.keys(record).length) {
+        errors.push({ field: 'body', message: 'No fields to update' });
+    }
+
+    if (errors.length) throw new ValidationError(errors);
+    return record;
+};
+
+/**
+ * validateId(id)
+ * Row ids are SERIAL primary keys.
+ */
+export const validateId = (id) => {
+    const num = Number(id);
+    if (!Number.isInteger(num) || num <= 0 || num > MAX_INTEGER) {
+        throw new ValidationError([{ field: 'id', message: 'must be a positive integer' }]);
+    }
+    return num;
+};
@@ -0,0 +1,166 @@
+/**
+ * services/spendingTimeSeries.js
+ * -----------------------------------------------------------------------------
+ * Spending over time, keyed by calendar period ("2025-01" for months, the
+ * Monday "2025-01-06" for weeks) so January 2024 and January 2025 never merge.
+ *
+ * Every period carries its total, per-category totals, the change against the
+ * previous period and trailing averages. Gaps with no spending are filled with
+ * zeros so deltas and averages compare consecutive periods.
+ *
+ * Spending follows the sign convention in transactionTypes.js: payments are
+ * excluded and returns net against their category.
+ */
+
+import { pool } from "./db.js";
+
+export const GRANULARITIES = ["month", "week"];
+
+// Trailing average windows per granularity (3/6/12 months, roughly 1/3/6 months of weeks)
+export const TRAILING_WINDOWS = {
+    month: [3, 6, 12],
+    week: [4, 13, 26],
+};
+
+const DEFAULT_LOOKBACK = { month: 24, week: 26 };
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const periodKey = (start, granularity) => (granularity === "month" ? start.slice(0, 7) : start);
+
+/**
+ * nextPeriodStart(start, granularity)
+ * start is an ISO date at the beginning of a period.
+ */
+const nextPeriodStart = (start, granularity) => {
+    const date = new Date(`${start}T00:00:00Z`);
+    if (granularity === "month") date.setUTCMonth(date.getUTCMonth() + 1);
+    else date.setUTCDate(date.getUTCDate() + 7);
+    return date.toISOString().slice(0, 10);
+};
+
+const change = (current, previous) => {
+    if (previous === undefined) return { change: null, changePercent: null };
+    return {
+        change: round2(current - previous),
+        changePercent: previous === 0 ? null : round2(((current - previous) / Math.abs(previous)) * 100),
+    };
+};
+
+// Average of the `window` values ending at index i, null until there is enough history
+const trailingAverage = (values, i, window) =>
+    i + 1 < window ? null : round2(values.slice(i + 1 - window, i + 1).reduce((sum, v) => sum + v, 0) / window);
+
+const trailing = (values, i, windows) =>
+    Object.fromEntries(windows.map((window) => [window, trailingAverage(values, i, window)]));
+
+/**
+ * buildTimeSeries(rows, { granularity, asOf })
+ * rows: [{ period_start: 'YYYY-MM-DD', category, total }] from the query below.
+ * Pure function, no database access.
+ */
+export const buildTimeSeries = (rows, { granularity = "month", asOf = new Date() } = {}) => {
+    const windows = TRAILING_WINDOWS[granularity];
+    if (!rows.length) return { granularity, periods: [], categories: [] };
+
+    // Index the rows by period and category
+    const byPeriod = new Map();
+    const categoryNames = new Set();
+    for (const { period_start, category, total } of rows) {
+        const name = category ?? "Uncategorized";
+        categoryNames.add(name);
+        if (!byPeriod.has(period_start)) byPeriod.set(period_start, new Map());
+        const bucket = byPeriod.get(period_start);
+        bucket.set(name, (bucket.get(name) ?? 0) + Number(total));
+    }
+
+    // Walk every period from the first to the last so empty ones show up as zero
+    const starts = [...byPeriod.keys()].sort();
+    const allStarts = [];
+    for (let start = starts[0]; start <= starts[starts.length - 1]; start = nextPeriodStart(start, granularity)) {
+        allStarts.push(start);
+    }
+
+    const asOfISO = new Date(asOf).toISOString().slice(0, 10);
+    const totals = allStarts.map((start) => [...(byPeriod.get(start)?.values() ?? [])].reduce((sum, v) => sum + v, 0));
+    const categorySeries = new Map(
+        [...categoryNames].map((name) => [name, allStarts.map((start) => byPeriod.get(start)?.get(name) ?? 0)])
+    );
+
+    const periods = allStarts.map((start, i) => {
+        // The period we're in hasn't finished, its delta isn't comparable yet
+        const partial = nextPeriodStart(start, granularity) > asOfISO;
+        return {
+            period: periodKey(start, granularity),
+            start,
+            partial,
+            total: round2(totals[i]),
+            ...change(totals[i], totals[i - 1]),
+            // Complete periods only: a partial one gets the averages of the periods before it
+            trailingAverages: trailing(totals, partial ? i - 1 : i, windows),
+            categories: [...categorySeries]
+                .filter(([, series]) => series[i] !== 0)
+                .map(([category, series]) => ({ category, total: round2(series[i]), ...change(series[i], series[i - 1]) }))
+                .sort((a, b) => b.total - a.total),
+        };
+    });
+
+    // Per-category summary as of the latest complete period
+    const lastComplete = periods.findLastIndex((p) => !p.partial);
+    const categories = lastComplete === -1
+        ? []
+        : [...categorySeries]
+            .map(([category, series]) => ({
+                category,
+                latest: round2(series[lastComplete]),
+                ...change(series[lastComplete], series[lastComplete - 1]),
+                trailingAverages: trailing(series, lastComplete, windows),
+            }))
+            .sort((a, b) => b.latest - a.latest);
+
+    return { granularity, periods, categories };
+};
+
+/**
+ * getSpendingTimeSeries(accountId, { granularity, periods })
+ * Loads the last `periods` months/weeks of card spending and builds the series.
+ * `periods` counts the one in progress, so 13 months give 12 complete ones.
+ */
+export const getSpendingTimeSeries = async (accountId, { granularity = "month", periods, asOf = new Date() } = {}) => {
+    if (!GRANULARITIES.includes(granularity)) {
+        throw new Error(`Unknown granularity "${granularity}"`);
+    }
+    const lookback = periods ?? DEFAULT_LOOKBACK[granularity];
+
+    const result = await pool.query(
+        `SELECT
+            TO_CHAR(DATE_TRUNC($2, transaction_date), 'YYYY-MM-DD') AS period_start,
+            category,
+            SUM(amount) AS total
+        FROM credit_cards
+        WHERE account_id = $1
+            AND type <> 'Payment'
+            AND transaction_date >= DATE_TRUNC($2, $3::date) - ($4 || ' ' || $2)::interval
+        GROUP BY 1, 2
+        ORDER BY 1;`,
+        [accountId, granularity, new Date(asOf).toISOString().slice(0, 10), lookback - 1]
+    );
+
+    return buildTimeSeries(result.rows, { granularity, asOf });
+};
+
+/**
+ * summarizeTrends(series, count)
+ * Compact view of the last `count` periods for the experts' snapshot.
+ */
+export const summarizeTrends = ({ periods, categories }, count = 6) => ({
+    recentMonths: periods.slice(-count).map(({ period, partial, total, change, changePercent, trailingAverages }) => ({
+        period,
+        partial,
+        total,
+        change,
+        changePercent,
+        trailingAverages,
+    })),
+    categories: categories.slice(0, 10),
+});
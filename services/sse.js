@@ -0,0 +1,221 @@
+/**
+ * services/sse.js
+ * -----------------------------------------------------------------------------
+ * Server-Sent Events protocol shared by the streaming endpoints.
+ *
+ * Every frame is named and numbered:
+ *
+ *   id: <runId>:<seq>
+ *   event: run | status | expert_result | delta | verification | saved | done | error | cancelled
+ *   data: { ... }
+ *
+ * `verification` follows the answer's deltas with the fact-check of its
+ * figures (services/factCheck.js). When it says `regenerating: true`, a
+ * corrected answer follows and its deltas replace the ones before.
+ *
+ * The payloads keep the keys older clients sniffed for ({ status }, { delta },
+ * { done: true }, { error }). Exactly one terminal event (done, error or
+ * cancelled) ends a stream.
+ * An error whose conversation was deleted before the answer could be saved
+ * carries `code: "conversation_gone"`.
+ *
+ * The pipeline never writes to a response directly. It emits into an event
+ * log kept in memory for its run, and responses subscribe to that log. A
+ * client that loses the connection reconnects with Last-Event-ID and is sent
+ * whatever it missed, then follows the live events. The work is cancelled
+ * (log.signal aborts) by log.cancel(), or once nobody has been listening for
+ * SSE_RESUME_GRACE_MS unless the log is told to keep going without listeners
+ * (background jobs). Logs are in-process, so resuming needs the same server
+ * instance.
+ */
+
+import { ValidationError } from "./schemaRegistry.js";
+
+export const EVENT_TYPES = ["run", "status", "expert_result", "delta", "verification", "saved", "done", "error", "cancelled"];
+const TERMINAL_EVENTS = new Set(["done", "error", "cancelled"]);
+
+const HEARTBEAT_MS = 15000;
+// How long a run keeps going with nobody listening
+export const RESUME_GRACE_MS = Number(process.env.SSE_RESUME_GRACE_MS) || 30000;
+// How long a finished run's events stay available for a late reconnect
+const RETENTION_MS = 5 * 60 * 1000;
+
+const logs = new Map();
+
+/**
+ * createEventLog({ key, accountId, cancelWhenAbandoned })
+ * Returns { key, accountId, signal, closed, entries, emit(event, data), subscribe(afterSeq, listener), cancel() }.
+ * subscribe() replays the events after afterSeq, then forwards live ones;
+ * it returns an unsubscribe function. cancel() ends the stream with a
+ * `cancelled` event and aborts the signal.
+ */
+export const createEventLog = ({ key: rawKey, accountId, cancelWhenAbandoned = true }) => {
+    const key = String(rawKey);
+    const controller = new AbortController();
+    const events = [];
+    const subscribers = new Set();
+    let closed = false;
+    let abandonTimer = null;
+
+    const close = () => {
+        closed = true;
+        subscribers.clear();
+        clearTimeout(abandonTimer);
+        setTimeout(() => logs.delete(key), RETENTION_MS).unref();
+    };
+
+    // Nobody listening: cancel the work, there is no one left to stream to
+    controller.signal.addEventListener("abort", () => {
+        if (!closed) close();
+    });
+
+    const log = {
+        key,
+        accountId,
+        signal: controller.signal,
+        get closed() {
+            return closed;
+        },
+        get entries() {
+            return [...events];
+        },
+
+        emit: (event, data) => {
+            if (closed) return;
+            if (!EVENT_TYPES.includes(event)) throw new Error(`Unknown SSE event "${event}"`);
+
+            const entry = { seq: events.length + 1, id: `${key}:${events.length + 1}`, event, data };
+            events.push(entry);
+            for (const listener of subscribers) listener(entry);
+
+            if (TERMINAL_EVENTS.has(event)) close();
+        },
+
+        subscribe: (afterSeq, listener) => {
+            for (const entry of events) {
+                if (entry.seq > afterSeq) listener(entry);
+            }
+            if (closed) return () => {};
+
+            subscribers.add(listener);
+            clearTimeout(abandonTimer);
+
+            return () => {
+                subscribers.delete(listener);
+                if (cancelWhenAbandoned && !subscribers.size && !closed) {
+                    abandonTimer = setTimeout(() => controller.abort(), RESUME_GRACE_MS);
+                    abandonTimer.unref();
+                }
+            };
+        },
+
+        cancel: () => {
+            log.emit("cancelled", { cancelled: true });
+            controller.abort();
+        },
+    };
+
+    logs.set(key, log);
+    return log;
+};
+
+/**
+ * findEventLog(key, accountId)
+ * A buffered stream of the account, or null once it expired (or never existed).
+ */
+export const findEventLog = (key, accountId) => {
+    const log = logs.get(String(key));
+    return log?.accountId === accountId ? log : null;
+};
+
+/**
+ * parseEventId(value)
+ * "<key>:<seq>" (a Last-Event-ID) -> { key, seq }, or null.
+ */
+export const parseEventId = (value) => {
+    const match = /^([^:]+):(\d+)$/.exec(String(value ?? "").trim());
+    return match ? { key: match[1], seq: Number(match[2]) } : null;
+};
+
+/**
+ * lastEventId(req)
+ * The Last-Event-ID a reconnecting client sent (header, or ?lastEventId= for
+ * clients that can't set headers), parsed; null on a first connection.
+ * key is the run the stream should belong to, when the route already names it.
+ */
+export const lastEventId = (req, key) => {
+    const raw = req.get("Last-Event-ID") ?? req.query?.lastEventId;
+    if (!raw) return null;
+
+    const parsed = parseEventId(raw);
+    if (!parsed) {
+        throw new ValidationError([{ field: "Last-Event-ID", message: "must look like <runId>:<seq>" }]);
+    }
+    if (key != null && parsed.key !== String(key)) {
+        throw new ValidationError([{ field: "Last-Event-ID", message: "belongs to another run" }]);
+    }
+    return parsed;
+};
+
+const writeEvent = (res, { id, event, data }) => {
+    res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * openEventStream(res)
+ * Sends the SSE headers and keeps the connection alive through proxies.
+ * Returns a function that stops the heartbeat and ends the response.
+ */
+const openEventStream = (res) => {
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache, no-transform");
+    res.setHeader("Connection", "keep-alive");
+    // Prevent buffering by reverse proxies (nginx, etc.)
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders?.();
+
+    const heartbeat = setInterval(() => res.write(`: keep-alive\n\n`), HEARTBEAT_MS);
+
+    return () => {
+        clearInterval(heartbeat);
+        try {
+            res.end();
+        } catch {}
+    };
+};
+
+/**
+ * pipeEventLog(req, res, log, afterSeq)
+ * Streams the log to one client, from afterSeq on, until its terminal event
+ * or until the client goes away. A client already past the end of a finished
+ * log (one rebuilt from the database numbers its events afresh) is sent the
+ * terminal event again: a stream that just closes makes EventSource reconnect
+ * right away, over and over.
+ */
+export const pipeEventLog = (req, res, log, afterSeq = 0) => {
+    const end = openEventStream(res);
+    let unsubscribe = null;
+    let finished = false;
+    let sent = false;
+
+    const finish = () => {
+        if (finished) return;
+        finished = true;
+        unsubscribe?.();
+        end();
+    };
+
+    unsubscribe = log.subscribe(afterSeq, (entry) => {
+        sent = true;
+        writeEvent(res, entry);
+        if (TERMINAL_EVENTS.has(entry.event)) finish();
+    });
+    // Already complete when we subscribed, nothing live to wait for
+    if (log.closed) {
+        const last = log.entries.at(-1);
+        if (!sent && last && TERMINAL_EVENTS.has(last.event)) writeEvent(res, last);
+        finish();
+    }
+
+    res.on("close", finish);
+};
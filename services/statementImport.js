@@ -0,0 +1,335 @@
+/**
+ * services/statementImport.js
+ * -----------------------------------------------------------------------------
+ * Turns an uploaded bank/credit card statement (CSV, XLSX or OFX) into
+ * validated credit_cards records.
+ *
+ *   parseStatement(file)        -> { format, headers, rows }   rows are { header: value }
+ *   mapStatementRows(rows, map) -> { records, errors }          records match the schema registry
+ *
+ * A mapping says which statement column feeds which credit_cards column:
+ * {
+ *   columns: { transaction_date: "Transaction Date", description: "Description", amount: "Amount", ... },
+ *   dateFormat: "MM/DD/YYYY"
+ * }
+ * Statements that split money out/in into two columns can map `debit` and `credit`
+ * instead of `amount`.
+ *
+ * amountSign tells us how the issuer signs charges:
+ *   "spend_positive" (Amex: charges are positive, credits negative) - the default
+ *   "spend_negative" (Chase, OFX: charges are negative, credits positive)
+ * Amounts are flipped into our convention (positive = spent) and classified by
+ * type, see services/transactionTypes.js.
+ */
+
+import { Readable } from "stream";
+import csvParser from "csv-parser";
+import xlsx from "xlsx";
+import { tableDefinitions, validateRecord, ValidationError } from "./schemaRegistry.js";
+import { classifyTransaction } from "./transactionTypes.js";
+
+export const DATE_FORMATS = ["MM/DD/YYYY", "DD/MM/YYYY", "YYYY-MM-DD", "YYYYMMDD"];
+export const AMOUNT_SIGNS = ["spend_positive", "spend_negative"];
+
+// Columns a mapping may point at: every credit_cards column plus the debit/credit split
+const MAPPABLE_COLUMNS = [...Object.keys(tableDefinitions.creditCards.columns), "debit", "credit"];
+
+/**
+ * Mappings for common institutions, usable without saving a profile first.
+ */
+export const BUILT_IN_PROFILES = {
+    chase: {
+        name: "Chase",
+        institution: "Chase",
+        mapping: {
+            columns: {
+                transaction_date: "Transaction Date",
+                post_date: "Post Date",
+                description: "Description",
+                category: "Category",
+                type: "Type",
+                amount: "Amount",
+                memo: "Memo",
+            },
+            dateFormat: "MM/DD/YYYY",
+            amountSign: "spend_negative",
+        },
+    },
+    amex: {
+        name: "American Express",
+        institution: "American Express",
+        mapping: {
+            columns: {
+                transaction_date: "Date",
+                description: "Description",
+                category: "Category",
+                amount: "Amount",
+                memo: "Extended Details",
+            },
+            dateFormat: "MM/DD/YYYY",
+            amountSign: "spend_positive",
+        },
+    },
+    capital_one: {
+        name: "Capital One",
+        institution: "Capital One",
+        mapping: {
+            columns: {
+                transaction_date: "Transaction Date",
+                post_date: "Posted Date",
+                description: "Description",
+                category: "Category",
+                debit: "Debit",
+                credit: "Credit",
+            },
+            dateFormat: "YYYY-MM-DD",
+        },
+    },
+};
+
+// OFX has a fixed vocabulary, so it never needs a user mapping
+const OFX_MAPPING = {
+    columns: {
+        transaction_date: "DTPOSTED",
+        description: "NAME",
+        type: "TRNTYPE",
+        amount: "TRNAMT",
+        memo: "MEMO",
+    },
+    dateFormat: "YYYYMMDD",
+    amountSign: "spend_negative",
+};
+
+// -----------------------------------------------------------------------------
+// Parsing
+// -----------------------------------------------------------------------------
+
+/**
+ * detectFormat(file)
+ * Uses the extension first and falls back to sniffing the content.
+ */
+export const detectFormat = ({ originalname = "", buffer }) => {
+    const ext = originalname.toLowerCase().split(".").pop();
+    if (["csv", "txt"].includes(ext)) return "csv";
+    if (["xlsx", "xls"].includes(ext)) return "xlsx";
+    if (["ofx", "qfx"].includes(ext)) return "ofx";
+
+    const head = buffer.subarray(0, 512).toString("utf8");
+    if (/OFXHEADER|<OFX>/i.test(head)) return "ofx";
+    // XLSX files are zip archives
+    if (buffer[0] === 0x50 && buffer[1] === 0x4b) return "xlsx";
+    return "csv";
+};
+
+const parseCSV = (buffer) =>
+    new Promise((resolve, reject) => {
+        const rows = [];
+        let headers = [];
+        Readable.from(buffer)
+            .pipe(csvParser({ mapHeaders: ({ header }) => header.trim() }))
+            .on("headers", (h) => (headers = h))
+            .on("data", (row) => rows.push(row))
+            .on("end", () => resolve({ headers, rows }))
+            .on("error", reject);
+    });
+
+const parseExcel = (buffer) => {
+    const workbook = xlsx.read(buffer, { type: "buffer", cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    // raw:false gives us the displayed text, dates are normalized to ISO below
+    const rows = xlsx.utils.sheet_to_json(sheet, { raw: false, dateNF: "yyyy-mm-dd", defval: "" });
+    const headers = rows.length ? Object.keys(rows[0]) : [];
+    return { headers, rows };
+};
+
+/**
+ * parseOFX(text)
+ * OFX 1.x is SGML where closing tags are optional, so we read <STMTTRN> blocks
+ * and pull `<TAG>value` pairs out of each one rather than using an XML parser.
+ */
+const parseOFX = (text) => {
+    const rows = [];
+    const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) ?? [];
+
+    for (const block of blocks) {
+        const row = {};
+        for (const [, tag, value] of block.matchAll(/<([A-Z0-9.]+)>([^<\r\n]*)/gi)) {
+            if (value.trim()) row[tag.toUpperCase()] = value.trim();
+        }
+        rows.push(row);
+    }
+
+    const headers = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    return { headers, rows };
+};
+
+/**
+ * parseStatement(file)
+ * file is a multer memory-storage file ({ originalname, buffer }).
+ */
+export const parseStatement = async (file) => {
+    const format = detectFormat(file);
+
+    let parsed;
+    if (format === "xlsx") parsed = parseExcel(file.buffer);
+    else if (format === "ofx") parsed = parseOFX(file.buffer.toString("utf8"));
+    else parsed = await parseCSV(file.buffer);
+
+    return { format, ...parsed };
+};
+
+// -----------------------------------------------------------------------------
+// Mapping
+// -----------------------------------------------------------------------------
+
+/**
+ * defaultMappingFor(format)
+ * OFX files carry their own mapping; other formats need a profile.
+ */
+export const defaultMappingFor = (format) => (format === "ofx" ? OFX_MAPPING : null);
+
+/**
+ * validateMapping(mapping)
+ * Makes sure a saved or ad-hoc mapping can actually produce a credit_cards row.
+ */
+export const validateMapping = (mapping) => {
+    const errors = [];
+
+    if (!mapping || typeof mapping !== "object" || typeof mapping.columns !== "object") {
+        throw new ValidationError([{ field: "mapping.columns", message: "is required" }]);
+    }
+
+    for (const [column, header] of Object.entries(mapping.columns)) {
+        if (!MAPPABLE_COLUMNS.includes(column)) {
+            errors.push({ field: `mapping.columns.${column}`, message: "Unknown credit_cards column" });
+        } else if (typeof header !== "string" || !header.trim()) {
+            errors.push({ field: `mapping.columns.${column}`, message: "must be a column header" });
+        }
+    }
+
+    const { columns } = mapping;
+    if (!columns.transaction_date) errors.push({ field: "mapping.columns.transaction_date", message: "is required" });
+    if (!columns.description) errors.push({ field: "mapping.columns.description", message: "is required" });
+    if (!columns.amount && !columns.debit && !columns.credit) {
+        errors.push({ field: "mapping.columns.amount", message: "map either amount or debit/credit" });
+    }
+    if (mapping.dateFormat && !DATE_FORMATS.includes(mapping.dateFormat)) {
+        errors.push({ field: "mapping.dateFormat", message: `must be one of: ${DATE_FORMATS.join(", ")}` });
+    }
+
+    if (mapping.amountSign && !AMOUNT_SIGNS.includes(mapping.amountSign)) {
+        errors.push({ field: "mapping.amountSign", message: `must be one of: ${AMOUNT_SIGNS.join(", ")}` });
+    }
+
+    if (errors.length) throw new ValidationError(errors);
+    return {
+        columns: { ...columns },
+        dateFormat: mapping.dateFormat || "MM/DD/YYYY",
+        amountSign: mapping.amountSign || "spend_positive",
+    };
+};
+
+/**
+ * parseDate(value, format)
+ * Returns an ISO YYYY-MM-DD string, or null when the value doesn't fit the format.
+ */
+export const parseDate = (value, format) => {
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    const str = String(value ?? "").trim();
+    if (!str) return null;
+
+    let year, month, day;
+    // Spreadsheets often hand back ISO dates regardless of the statement format
+    const iso = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+
+    if (iso) {
+        [, year, month, day] = iso;
+    } else if (format === "YYYYMMDD") {
+        const m = str.match(/^(\d{4})(\d{2})(\d{2})/);
+        if (!m) return null;
+        [, year, month, day] = m;
+    } else {
+        const m = str.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+        if (!m) return null;
+        [month, day, year] = format === "DD/MM/YYYY" ? [m[2], m[1], m[3]] : [m[1], m[2], m[3]];
+        if (year.length === 2) year = `20${year}`;
+    }
+
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+    return date.toISOString().slice(0, 10);
+};
+
+const parseAmount = (value) => {
+    const str = String(value ?? "").trim();
+    if (!str) return null;
+    // "(12.50)" is how some banks write negatives
+    const negative = /^\(.*\)$/.test(str) || str.startsWith("-");
+    const num = Number(str.replace(/[()$,\s-]/g, ""));
+    return Number.isFinite(num) ? (negative ? -num : num) : NaN;
+};
+
+/**
+ * mapRow(row, mapping)
+ * Builds the raw credit_cards input for one statement row.
+ */
+const mapRow = (row, { columns, dateFormat, amountSign }) => {
+    const input = {};
+
+    for (const [column, header] of Object.entries(columns)) {
+        if (column === "debit" || column === "credit") continue;
+        const value = row[header];
+        if (value === undefined || value === "") continue;
+        input[column] = value;
+    }
+
+    if (columns.transaction_date) {
+        input.transaction_date = parseDate(row[columns.transaction_date], dateFormat) ?? row[columns.transaction_date];
+    }
+    if (columns.post_date && row[columns.post_date]) {
+        input.post_date = parseDate(row[columns.post_date], dateFormat) ?? row[columns.post_date];
+    }
+
+    let amount;
+    if (columns.amount) {
+        amount = parseAmount(row[columns.amount]);
+        if (amount && amountSign === "spend_negative") amount = -amount;
+    } else {
+        // Split columns are unambiguous: debits are spent, credits come back
+        const debit = parseAmount(row[columns.debit]);
+        const credit = parseAmount(row[columns.credit]);
+        amount = debit ? Math.abs(debit) : credit ? -Math.abs(credit) : null;
+    }
+
+    if (amount !== null && Number.isNaN(amount)) {
+        // Leave the raw text so validation reports it
+        input.amount = row[columns.amount];
+    } else if (amount !== null) {
+        Object.assign(input, classifyTransaction({ type: input.type, amount, description: input.description }));
+    }
+
+    return input;
+};
+
+/**
+ * mapStatementRows(rows, mapping)
+ * Maps and validates every row. Bad rows don't stop the import, they are
+ * reported with their line number (header is line 1) and the reasons.
+ */
+export const mapStatementRows = (rows, mapping) => {
+    const tableDef = tableDefinitions.creditCards;
+    const records = [];
+    const errors = [];
+
+    rows.forEach((row, i) => {
+        const line = i + 2;
+        try {
+            records.push({ line, record: validateRecord(tableDef, mapRow(row, mapping)) });
+        } catch (err) {
+            if (!(err instanceof ValidationError)) throw err;
+            errors.push({ line, row, errors: err.errors });
+        }
+    });
+
+    return { records, errors };
+};
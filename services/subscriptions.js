@@ -0,0 +1,172 @@
+/**
+ * services/subscriptions.js
+ * -----------------------------------------------------------------------------
+ * Finds recurring charges in credit_cards history: merchants billed on a
+ * regular cadence (weekly ... annual) for a roughly stable amount.
+ *
+ * For each one we estimate the next charge date and the annualized cost, and
+ * flag price increases and subscriptions that only started recently. The
+ * result feeds /analysis/subscriptions/:userAcctId and the financial snapshot.
+ */
+
+import { pool } from "./db.js";
+import { normalizeDescription } from "./duplicateDetection.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Typical billing intervals in days, with how far off a single interval may be
+export const CADENCES = [
+    { name: "weekly", days: 7, tolerance: 2, perYear: 52 },
+    { name: "biweekly", days: 14, tolerance: 3, perYear: 26 },
+    { name: "monthly", days: 30.44, tolerance: 5, perYear: 12 },
+    { name: "quarterly", days: 91.31, tolerance: 10, perYear: 4 },
+    { name: "annual", days: 365.25, tolerance: 20, perYear: 1 },
+];
+
+// How much history to scan
+const LOOKBACK_MONTHS = 18;
+// Share of intervals that must fit the cadence
+const MIN_CADENCE_FIT = 0.75;
+// Charges further than this from the median amount aren't the same plan
+const MAX_AMOUNT_DEVIATION = 0.35;
+// A price change smaller than this is noise (tax, FX)
+const PRICE_INCREASE_THRESHOLD = 0.02;
+// A subscription whose first charge is this recent counts as new
+const NEW_SUBSCRIPTION_DAYS = 90;
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const toISODate = (ms) => new Date(ms).toISOString().slice(0, 10);
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * matchCadence(intervals)
+ * Returns the cadence most intervals agree with, or null.
+ */
+const matchCadence = (intervals) => {
+    const typical = median(intervals);
+    const cadence = CADENCES.find((c) => Math.abs(typical - c.days) <= c.tolerance);
+    if (!cadence) return null;
+
+    const fitting = intervals.filter((days) => Math.abs(days - cadence.days) <= cadence.tolerance);
+    return fitting.length / intervals.length >= MIN_CADENCE_FIT ? cadence : null;
+};
+
+/**
+ * findRecurringCharges(transactions, { asOf })
+ * transactions: [{ transaction_date: 'YYYY-MM-DD', description, amount, category }]
+ * Pure function, no database access.
+ */
+export const findRecurringCharges = (transactions, { asOf = new Date() } = {}) => {
+    const asOfMs = new Date(asOf).getTime();
+    const byMerchant = new Map();
+
+    for (const tx of transactions) {
+        const amount = Number(tx.amount);
+        if (!(amount > 0)) continue;
+        const merchant = normalizeDescription(tx.description);
+        if (!merchant) continue;
+
+        if (!byMerchant.has(merchant)) byMerchant.set(merchant, []);
+        byMerchant.get(merchant).push({ ...tx, amount, time: Date.parse(tx.transaction_date) });
+    }
+
+    const subscriptions = [];
+
+    for (const [merchant, charges] of byMerchant) {
+        // Annual plans only need two charges, everything else needs three
+        if (charges.length < 2) continue;
+
+        // Drop one-off purchases at the same merchant that are far off the usual price
+        const typicalAmount = median(charges.map((c) => c.amount));
+        const plan = charges
+            .filter((c) => Math.abs(c.amount - typicalAmount) / typicalAmount <= MAX_AMOUNT_DEVIATION)
+            .sort((a, b) => a.time - b.time);
+
+        const intervals = [];
+        for (let i = 1; i < plan.length; i++) {
+            intervals.push((plan[i].time - plan[i - 1].time) / DAY_MS);
+        }
+        if (!intervals.length) continue;
+
+        const cadence = matchCadence(intervals);
+        if (!cadence || (cadence.name !== "annual" && plan.length < 3)) continue;
+
+        const first = plan[0];
+        const last = plan[plan.length - 1];
+
+        // Walk back to the last charge billed at a different price
+        let k = plan.length - 1;
+        while (k > 0 && Math.abs(plan[k - 1].amount - last.amount) / last.amount <= PRICE_INCREASE_THRESHOLD) k--;
+        const before = k > 0 ? plan[k - 1] : null;
+        const priceIncrease = before && last.amount > before.amount
+            ? {
+                from: round2(before.amount),
+                to: round2(last.amount),
+                percent: round2(((last.amount - before.amount) / before.amount) * 100),
+                changedOn: plan[k].transaction_date,
+            }
+            : null;
+
+        const nextChargeMs = last.time + cadence.days * DAY_MS;
+
+        subscriptions.push({
+            merchant,
+            description: last.description,
+            category: last.category ?? null,
+            cadence: cadence.name,
+            chargeCount: plan.length,
+            firstCharge: first.transaction_date,
+            lastCharge: last.transaction_date,
+            lastAmount: round2(last.amount),
+            averageAmount: round2(plan.reduce((sum, c) => sum + c.amount, 0) / plan.length),
+            nextChargeDate: toISODate(nextChargeMs),
+            annualizedCost: round2(last.amount * cadence.perYear),
+            monthlyCost: round2((last.amount * cadence.perYear) / 12),
+            priceIncrease,
+            isNew: asOfMs - first.time <= NEW_SUBSCRIPTION_DAYS * DAY_MS,
+            // Missed more than half a cycle past the expected date -> probably cancelled
+            isActive: asOfMs - nextChargeMs <= (cadence.days / 2) * DAY_MS,
+        });
+    }
+
+    return subscriptions.sort((a, b) => b.annualizedCost - a.annualizedCost);
+};
+
+/**
+ * summarizeSubscriptions(subscriptions)
+ * Totals over the active subscriptions, plus the lists worth calling out.
+ */
+export const summarizeSubscriptions = (subscriptions) => {
+    const active = subscriptions.filter((s) => s.isActive);
+    return {
+        count: active.length,
+        monthlyCost: round2(active.reduce((sum, s) => sum + s.monthlyCost, 0)),
+        annualCost: round2(active.reduce((sum, s) => sum + s.annualizedCost, 0)),
+        priceIncreases: active.filter((s) => s.priceIncrease).map(({ merchant, priceIncrease }) => ({ merchant, ...priceIncrease })),
+        newSubscriptions: active.filter((s) => s.isNew).map(({ merchant, cadence, lastAmount }) => ({ merchant, cadence, lastAmount })),
+    };
+};
+
+/**
+ * detectSubscriptions(accountId)
+ * Loads the account's recent card sales and runs the detector.
+ */
+export const detectSubscriptions = async (accountId, { asOf = new Date() } = {}) => {
+    const result = await pool.query(
+        `SELECT TO_CHAR(transaction_date, 'YYYY-MM-DD') AS transaction_date, description, amount, category
+        FROM credit_cards
+        WHERE account_id = $1
+            AND type = 'Sale'
+            AND transaction_date >= ($2::date - ($3 || ' months')::interval)
+        ORDER BY transaction_date;`,
+        [accountId, toISODate(new Date(asOf).getTime()), LOOKBACK_MONTHS]
+    );
+
+    const subscriptions = findRecurringCharges(result.rows, { asOf });
+    return { subscriptions, summary: summarizeSubscriptions(subscriptions) };
+};
@@ -0,0 +1,50 @@
+/**
+ * services/transactionTypes.js
+ * -----------------------------------------------------------------------------
+ * Sign convention for credit_cards.amount:
+ *   positive = money spent (Sale)
+ *   negative = money back  (Return, Payment)
+ * Adjustments keep whatever sign the issuer gave them (fees up, courtesy credits down).
+ *
+ * Payments move money from checking to the card; they are not spending and
+ * are excluded from every spending total. Returns are netted against their category.
+ */
+
+export const TRANSACTION_TYPES = ['Sale', 'Return', 'Payment', 'Adjustment'];
+
+// Types that count toward spending (everything except card payments)
+export const SPENDING_TYPES = ['Sale', 'Return', 'Adjustment'];
+
+const PAYMENT_DESCRIPTION = /\b(payment|autopay|auto pay|thank you|pymt|pmt)\b/i;
+
+/**
+ * normalizeType(rawType, amount, description)
+ * Maps issuer vocabulary (Chase "Sale", OFX "DEBIT"/"CREDIT", Amex has none)
+ * onto TRANSACTION_TYPES. `amount` must already follow the sign convention above.
+ */
+export const normalizeType = (rawType, amount, description = '') => {
+    const type = String(rawType ?? '').trim().toLowerCase();
+
+    if (/return|refund/.test(type)) return 'Return';
+    if (/payment|pmt/.test(type)) return 'Payment';
+    if (/adjust|fee|srvchg|int(erest)?$/.test(type)) return 'Adjustment';
+    if (/sale|purchase|debit|pos|atm|check|cash/.test(type)) return 'Sale';
+
+    // No usable type (or a generic CREDIT): fall back on the sign and the description
+    if (amount < 0) return PAYMENT_DESCRIPTION.test(description) ? 'Payment' : 'Return';
+    return 'Sale';
+};
+
+/**
+ * classifyTransaction({ type, amount, description })
+ * Returns { type, amount } with the type normalized and the sign forced to
+ * agree with it (a "Return" is always negative, a "Sale" always positive).
+ */
+export const classifyTransaction = ({ type, amount, description }) => {
+    const normalized = normalizeType(type, amount, description);
+    const magnitude = Math.abs(amount);
+
+    if (normalized === 'Sale') return { type: normalized, amount: magnitude };
+    if (normalized === 'Return' || normalized === 'Payment') return { type: normalized, amount: -magnitude };
+    return { type: normalized, amount };
+};
@@ -0,0 +1,230 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { skipReason, startTestApp } from "./helpers/testApp.js";
+
+// First of the month, `monthsAgo` months back, as YYYY-MM-DD
+const monthStart = (monthsAgo, day = 1) => {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - monthsAgo, day)).toISOString().slice(0, 10);
+};
+
+describe("/analysis", { skip: skipReason }, () => {
+    let ctx;
+    let alice;
+    let bob;
+    let path;
+
+    before(async () => {
+        ctx = await startTestApp();
+        alice = await ctx.signup("alice");
+        bob = await ctx.signup("bob");
+        path = (type) => `/analysis/${type}/${alice.user.accountId}`;
+
+        const add = (table, values) => ctx.request("POST", `/config/${table}`, { token: alice.token, body: { values } });
+        await add("incomes", { source: "Job", amount: 6000, frequency: "Monthly" });
+        await add("fixedCosts", { name: "Mortgage", category: "Mortgage", amount: 2100 });
+        await add("fixedCosts", { name: "Car", category: "Auto", amount: 400 });
+
+        for (const monthsAgo of [1, 2, 3, 4]) {
+            await add("creditCards", { transaction_date: monthStart(monthsAgo, 5), description: "NETFLIX.COM", category: "Entertainment", amount: 15.49 });
+            await add("creditCards", { transaction_date: monthStart(monthsAgo, 12), description: "WHOLE FOODS", category: "Groceries", amount: 100 * monthsAgo });
+        }
+        // Payments are never spending
+        await add("creditCards", { transaction_date: monthStart(1, 20), description: "AUTOPAY", type: "Payment", amount: -500 });
+    });
+
+    after(() => ctx?.close());
+
+    it("requires a token and the caller's own account", async () => {
+        assert.equal((await ctx.request("GET", path("budget"))).status, 401);
+
+        const res = await ctx.request("GET", `/analysis/budget/${alice.user.accountId}`, { token: bob.token });
+        assert.equal(res.status, 403);
+    });
+
+    it("rejects an unknown analysis type", async () => {
+        const res = await ctx.request("GET", path("nope"), { token: alice.token });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, "type");
+    });
+
+    it("runs the budget query", async () => {
+        const res = await ctx.request("GET", path("budget"), { token: alice.token });
+        assert.equal(res.status, 200);
+        const [row] = res.body;
+        assert.equal(Number(row.monthly_income), 6000);
+        assert.equal(Number(row.housing_expenses), 2100);
+        assert.equal(Number(row.other_expenses), 400);
+        assert.equal(Number(row.spending), 15.49 * 4 + 1000);
+    });
+
+    it("runs the top costs query", async () => {
+        const res = await ctx.request("GET", path("topcosts"), { token: alice.token });
+        assert.deepEqual(res.body.map((r) => r.name), ["Mortgage", "Car"]);
+    });
+
+    it("explains the budget in words", async () => {
+        const res = await ctx.request("GET", path("budgetlang"), { token: alice.token });
+        assert.equal(res.status, 200);
+        // 2100 / 6000 is over the 30% housing guideline
+        assert.match(res.body.housing, /too much on housing/);
+        assert.ok(res.body.fixedCosts);
+    });
+
+    it("detects subscriptions", async () => {
+        const res = await ctx.request("GET", path("subscriptions"), { token: alice.token });
+        assert.equal(res.status, 200);
+        const netflix = res.body.subscriptions.find((s) => s.merchant.includes("NETFLIX"));
+        assert.equal(netflix?.cadence, "monthly");
+        assert.equal(netflix.chargeCount, 4);
+    });
+
+    it("computes the financial metrics", async () => {
+        const res = await ctx.request("GET", path("metrics"), { token: alice.token });
+        assert.equal(res.status, 200);
+        const { metrics, healthScore, definitions } = res.body;
+
+        // Fixed costs 2500 + the average of the last 3 complete months of card spending
+        assert.equal(metrics.monthly_expenses, 2500 + 215.49);
+        assert.equal(metrics.savings_rate, 54.7);
+        assert.equal(metrics.housing_ratio, 35);
+        assert.equal(metrics.fixed_cost_ratio, 41.7);
+        assert.equal(metrics.months_of_runway, 0);
+        assert.equal(metrics.health_score, healthScore.score);
+        assert.equal(metrics.health_score, 70);
+        assert.ok(definitions.savings_rate.formula);
+    });
+
+    it("builds the monthly time series", async () => {
+        const res = await ctx.request("GET", `${path("timeseries")}?periods=6`, { token: alice.token });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.granularity, "month");
+
+        const last = res.body.periods.find((p) => p.period === monthStart(1).slice(0, 7));
+        assert.equal(last.total, 115.49);
+        assert.equal(last.change, -100);
+    });
+
+    it("gives the experts a 12-month average once there are 12 complete months", async () => {
+        const carol = await ctx.signup("carol");
+        for (let monthsAgo = 0; monthsAgo <= 12; monthsAgo++) {
+            const amount = monthsAgo === 0 ? 5000 : monthsAgo * 10;
+            await ctx.request("POST", "/config/creditCards", {
+                token: carol.token,
+                body: { values: { transaction_date: monthStart(monthsAgo), description: "GROCER", category: "Groceries", amount } },
+            });
+        }
+
+        const { getFinancialSnapshot } = await import("../services/financialSnapshot.js");
+        const { spendingTrends } = await getFinancialSnapshot(carol.user.accountId);
+        const [current, lastComplete] = [...spendingTrends.recentMonths].reverse();
+
+        // Months 1..12 ago average to 65, the month in progress is left out
+        assert.equal(lastComplete.trailingAverages["12"], 65);
+        assert.equal(current.partial, true);
+        assert.equal(current.trailingAverages["12"], 65);
+        assert.equal(spendingTrends.categories[0].trailingAverages["12"], 65);
+    });
+
+    it("validates the time series parameters", async () => {
+        const bad = await ctx.request("GET", `${path("timeseries")}?granularity=day`, { token: alice.token });
+        assert.equal(bad.status, 400);
+        assert.equal(bad.body.errors[0].field, "granularity");
+
+        const tooMany = await ctx.request("GET", `${path("timeseries")}?periods=500`, { token: alice.token });
+        assert.equal(tooMany.status, 400);
+    });
+
+    it("simulates paying off the liabilities", async () => {
+        const add = (values) => ctx.request("POST", "/config/liabilities", { token: alice.token, body: { values } });
+        assert.equal((await add({ name: "Visa", value: 3000, interest_rate: 24, minimum_payment: 100, due_day: 15 })).status, 200);
+        assert.equal((await add({ name: "Loan", value: 1000, interest_rate: "6", minimum_payment: 50, promo_rate: 0, promo_expires_on: "2020-01-01" })).status, 200);
+
+        const badDay = await add({ name: "Card", value: 10, due_day: 40 });
+        assert.equal(badDay.status, 400);
+        assert.equal(badDay.body.errors[0].field, "due_day");
+
+        const res = await ctx.request("GET", `${path("payoff")}?strategy=snowball&extra=200`, { token: alice.token });
+        assert.equal(res.status, 200);
+        const { plan, comparison } = res.body;
+        assert.equal(plan.strategy, "snowball");
+        assert.equal(plan.monthlyBudget, 350);
+        assert.deepEqual(plan.schedule[0].payments.map((p) => [p.name, p.payment]), [["Visa", 100], ["Loan", 250]]);
+        assert.ok(comparison.avalanche.totalInterest < comparison.snowball.totalInterest);
+        assert.ok(comparison.current.totalInterest > comparison.snowball.totalInterest);
+
+        const { getFinancialSnapshot, getLiabilities } = await import("../services/financialSnapshot.js");
+        assert.deepEqual(await getLiabilities(alice.user.accountId), (await getFinancialSnapshot(alice.user.accountId)).liabilities);
+
+        const custom = await ctx.request("GET", `${path("payoff")}?strategy=custom`, { token: alice.token });
+        assert.equal(custom.body.errors[0].field, "order");
+        const negative = await ctx.request("GET", `${path("payoff")}?extra=-5`, { token: alice.token });
+        assert.equal(negative.body.errors[0].field, "extra");
+    });
+
+    it("reports budget vs. actual per category for any month", async () => {
+        const add = (values) => ctx.request("POST", "/config/categoryBudgets", { token: alice.token, body: { values } });
+        const groceries = await add({ category: "Groceries", monthly_limit: 250, rollover: true });
+        assert.equal(groceries.status, 200);
+        await add({ category: "Entertainment", monthly_limit: 10 });
+
+        // One limit per category, whatever the capitalization
+        assert.equal((await add({ category: "groceries", monthly_limit: 100 })).status, 409);
+
+        // Created two months ago: 200 was spent then, so 50 rolls over into last month
+        await ctx.pool.query(`UPDATE category_budgets SET created_at = $2 WHERE id = $1;`, [groceries.body.data, monthStart(2, 3)]);
+
+        const res = await ctx.request("GET", `${path("budgets")}?month=${monthStart(1).slice(0, 7)}`, { token: alice.token });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.complete, true);
+        const [entertainment, grocery] = res.body.categories;
+        assert.deepEqual([grocery.carryover, grocery.available, grocery.actual, grocery.status], [50, 300, 100, "on_track"]);
+        assert.deepEqual([entertainment.actual, entertainment.projectedOverspend, entertainment.status], [15.49, 5.49, "over"]);
+
+        const current = await ctx.request("GET", path("budgets"), { token: alice.token });
+        assert.equal(current.body.month, new Date().toISOString().slice(0, 7));
+
+        const bad = await ctx.request("GET", `${path("budgets")}?month=2025-13`, { token: alice.token });
+        assert.equal(bad.status, 400);
+        assert.equal(bad.body.errors[0].field, "month");
+    });
+
+    it("tracks goals against their linked asset's value history", async () => {
+        const add = (table, values, token = alice.token) => ctx.request("POST", `/config/${table}`, { token, body: { values } });
+        const assetId = (await add("assets", { name: "High yield", category: "Savings", value: 1000 })).body.data;
+        await ctx.request("PATCH", `/config/assets/${assetId}`, { token: alice.token, body: { value: 2000 } });
+
+        // Every change is recorded by the trigger; pretend the first one is 3 months old
+        const { rows: history } = await ctx.pool.query(`SELECT value FROM asset_values WHERE asset_id = $1 ORDER BY id;`, [assetId]);
+        assert.deepEqual(history.map((h) => Number(h.value)), [1000, 2000]);
+        await ctx.pool.query(`UPDATE asset_values SET recorded_at = NOW() - INTERVAL '4 months' WHERE asset_id = $1 AND value = 1000;`, [assetId]);
+
+        const deadline = monthStart(-13);
+        const created = await add("goals", { name: "Emergency fund", target_amount: 8000, deadline, priority: "High", asset_id: assetId });
+        assert.equal(created.status, 200);
+        await add("goals", { name: "Boat", target_amount: 50000, priority: "Low" });
+
+        const bobAsset = (await add("assets", { name: "Bob's savings", value: 99999 }, bob.token)).body.data;
+        const foreign = await add("goals", { name: "Steal", target_amount: 1, asset_id: bobAsset });
+        assert.equal(foreign.status, 400);
+        assert.equal(foreign.body.errors[0].field, "asset_id");
+        const repointed = await ctx.request("PATCH", `/config/goals/${created.body.data}`, { token: alice.token, body: { asset_id: bobAsset } });
+        assert.equal(repointed.status, 400);
+
+        const res = await ctx.request("GET", path("goals"), { token: alice.token });
+        assert.equal(res.status, 200);
+        const [fund, boat] = res.body.goals;
+        assert.equal(fund.linkedAsset, "High yield");
+        assert.equal(fund.percentComplete, 25);
+        assert.equal(fund.requiredMonthlyContribution, Math.round((6000 / fund.monthsLeft) * 100) / 100);
+        assert.equal(fund.recentMonthlyPace, Math.round((1000 / 3) * 100) / 100);
+        assert.equal(fund.status, "behind");
+        assert.equal(boat.status, "untracked");
+        assert.equal(res.body.summary.monthlyCashflowApprox, 6000 - 2500 - 215.49);
+
+        // Loaded on its own, but the same as the experts' snapshot
+        const { getFinancialSnapshot } = await import("../services/financialSnapshot.js");
+        const { goals, goalFunding } = await getFinancialSnapshot(alice.user.accountId);
+        assert.deepEqual(res.body, JSON.parse(JSON.stringify({ goals, summary: goalFunding })));
+    });
+});
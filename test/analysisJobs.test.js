@@ -0,0 +1,190 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { setTimeout as sleep } from "node:timers/promises";
+import { skipReason, startTestApp } from "./helpers/testApp.js";
+import { parseSSE } from "./helpers/sse.js";
+import { setProvider } from "../services/llmProvider.js";
+import { createMockProvider, loadFixtures } from "../services/mockProvider.js";
+
+const fixtures = loadFixtures(fileURLToPath(new URL("./fixtures/llm.json", import.meta.url)));
+
+describe("/analysis-jobs", { skip: skipReason }, () => {
+    let ctx;
+    let alice;
+    let bob;
+
+    before(async () => {
+        ctx = await startTestApp();
+        alice = await ctx.signup("alice");
+        bob = await ctx.signup("bob");
+        await ctx.request("POST", "/config/incomes", {
+            token: alice.token,
+            body: { values: { source: "Job", amount: 6000, frequency: "Monthly" } },
+        });
+    });
+
+    afterEach(() => setProvider(null));
+    after(() => ctx?.close());
+
+    const start = (question = "What is my income?") =>
+        ctx.request("POST", "/analysis-jobs", { token: alice.token, body: { question } });
+
+    // Polls until the job leaves "running"
+    const waitFor = async (id, token = alice.token) => {
+        for (let i = 0; i < 100; i++) {
+            const { body } = await ctx.request("GET", `/analysis-jobs/${id}`, { token });
+            if (body.status !== "running") return body;
+            await sleep(20);
+        }
+        throw new Error(`job ${id} never finished`);
+    };
+
+    it("runs the pipeline in the background and can be polled", async () => {
+        setProvider(createMockProvider({ fixtures }));
+        const res = await start();
+
+        assert.equal(res.status, 202);
+        const { id, stream, poll } = res.body.data;
+        assert.equal(stream, `/analysis-jobs/${id}/stream`);
+        assert.equal(poll, `/analysis-jobs/${id}`);
+
+        const job = await waitFor(id);
+        assert.equal(job.status, "completed");
+        assert.equal(job.answer, fixtures.stream.join(""));
+        assert.deepEqual(job.experts.map((e) => [e.expert, e.status]), [["financial_analyst", "completed"]]);
+        assert.ok(job.conversationId && job.messageId);
+    });
+
+    it("streams to EventSource clients with the token in the query string", async () => {
+        setProvider(createMockProvider({ fixtures }));
+        const { id } = (await start()).body.data;
+
+        const res = await ctx.request("GET", `/analysis-jobs/${id}/stream?access_token=${alice.token}`);
+        assert.equal(res.status, 200);
+        const frames = parseSSE(res.text);
+        assert.equal(frames[0].event, "run");
+        assert.equal(frames.filter((f) => f.event === "delta").map((f) => f.data.delta).join(""), fixtures.stream.join(""));
+        assert.equal(frames.at(-1).event, "done");
+
+        // EventSource reconnects with Last-Event-ID and only gets what it missed
+        const resumed = await ctx.request("GET", `/analysis-jobs/${id}/stream?access_token=${alice.token}`, {
+            headers: { "Last-Event-ID": frames.at(-3).id },
+        });
+        assert.deepEqual(parseSSE(resumed.text).map((f) => f.id), frames.slice(-2).map((f) => f.id));
+    });
+
+    it("cancels a running job", async () => {
+        // The final answer waits until the test lets it go
+        let release;
+        const gate = new Promise((resolve) => (release = resolve));
+        const mock = createMockProvider({ fixtures });
+        setProvider({
+            ...mock,
+            streamText: async function* () {
+                yield "Half an ";
+                await gate;
+                yield "answer.";
+            },
+        });
+
+        const { id } = (await start()).body.data;
+        let job;
+        do {
+            await sleep(20);
+            job = (await ctx.request("GET", `/analysis-jobs/${id}`, { token: alice.token })).body;
+        } while (!job.answer);
+        assert.equal(job.answer, "Half an ");
+
+        const cancelled = await ctx.request("DELETE", `/analysis-jobs/${id}`, { token: alice.token });
+        assert.equal(cancelled.status, 200);
+        release();
+
+        assert.equal((await waitFor(id)).status, "cancelled");
+        const frames = parseSSE((await ctx.request("GET", `/analysis-jobs/${id}/stream`, { token: alice.token })).text);
+        assert.equal(frames.at(-1).event, "cancelled");
+        assert.ok(!frames.some((f) => f.event === "done"));
+
+        const again = await ctx.request("DELETE", `/analysis-jobs/${id}`, { token: alice.token });
+        assert.equal(again.status, 409);
+    });
+
+    it("reports jobs lost to a restart as interrupted", async () => {
+        const { rows } = await ctx.pool.query(
+            `INSERT INTO analysis_runs (account_id, question) VALUES ($1, 'Lost?') RETURNING id;`,
+            [alice.user.accountId]
+        );
+        const id = rows[0].id;
+
+        assert.equal((await ctx.request("GET", `/analysis-jobs/${id}`, { token: alice.token })).body.status, "interrupted");
+        const frames = parseSSE((await ctx.request("GET", `/analysis-jobs/${id}/stream`, { token: alice.token })).text);
+        assert.deepEqual(frames.map((f) => f.event), ["run", "error"]);
+        assert.equal((await ctx.request("GET", `/analysis-jobs/${id}`, { token: alice.token })).body.status, "interrupted");
+
+        assert.equal((await ctx.request("DELETE", `/analysis-jobs/${id}`, { token: alice.token })).status, 200);
+        assert.equal((await ctx.request("GET", `/analysis-jobs/${id}`, { token: alice.token })).body.status, "cancelled");
+    });
+
+    it("ends a resumed stream with the terminal event once the log was rebuilt from the database", async () => {
+        const { rows } = await ctx.pool.query(
+            `INSERT INTO analysis_runs (account_id, question, status, final_text, completed_at)
+            VALUES ($1, 'Old?', 'completed', 'An old answer.', NOW()) RETURNING id;`,
+            [alice.user.accountId]
+        );
+        const id = rows[0].id;
+
+        // The live stream had far more events than the rebuilt one
+        const frames = parseSSE((await ctx.request("GET", `/analysis-jobs/${id}/stream`, {
+            token: alice.token,
+            headers: { "Last-Event-ID": `${id}:40` },
+        })).text);
+        assert.deepEqual(frames.map((f) => f.event), ["done"]);
+    });
+
+    it("limits how many jobs an account can run at once", async () => {
+        let release;
+        const gate = new Promise((resolve) => (release = resolve));
+        const mock = createMockProvider({ fixtures });
+        setProvider({
+            ...mock,
+            streamText: async function* () {
+                await gate;
+                yield "Done.";
+            },
+        });
+
+        const results = await Promise.all([1, 2, 3, 4].map(() => start()));
+        assert.deepEqual(results.map((r) => r.status).sort(), [202, 202, 202, 429]);
+        assert.equal(results.find((r) => r.status === 429).body.success, false);
+
+        // Other accounts have their own limit
+        const other = await ctx.request("POST", "/analysis-jobs", { token: bob.token, body: { question: "What is my income?" } });
+        assert.equal(other.status, 202);
+
+        release();
+        for (const { body } of results.filter((r) => r.status === 202)) await waitFor(body.data.id);
+        await waitFor(other.body.data.id, bob.token);
+
+        const next = await start();
+        assert.equal(next.status, 202);
+        await waitFor(next.body.data.id);
+    });
+
+    it("keeps jobs private and validates input", async () => {
+        setProvider(createMockProvider({ fixtures }));
+        const { id } = (await start()).body.data;
+        await waitFor(id);
+
+        assert.equal((await ctx.request("GET", `/analysis-jobs/${id}`, { token: bob.token })).status, 404);
+        assert.equal((await ctx.request("GET", `/analysis-jobs/${id}/stream?access_token=${bob.token}`)).status, 404);
+        assert.equal((await ctx.request("DELETE", `/analysis-jobs/${id}`, { token: bob.token })).status, 404);
+        assert.equal((await ctx.request("GET", `/analysis-jobs/${id}/stream`)).status, 401);
+        assert.equal((await ctx.request("GET", `/analysis-jobs/${id}/stream?access_token=nope`)).status, 401);
+        // Query tokens are only accepted by the stream endpoints
+        assert.equal((await ctx.request("GET", `/analysis-jobs/${id}?access_token=${alice.token}`)).status, 401);
+
+        const missing = await ctx.request("POST", "/analysis-jobs", { token: alice.token, body: {} });
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.errors[0].field, "question");
+    });
+});
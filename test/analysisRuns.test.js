@@ -0,0 +1,116 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { skipReason, startTestApp } from "./helpers/testApp.js";
+import { parseSSE } from "./helpers/sse.js";
+import { setProvider } from "../services/llmProvider.js";
+import { createMockProvider, loadFixtures } from "../services/mockProvider.js";
+import { summarizeUsage } from "../services/analysisRuns.js";
+
+const fixtures = loadFixtures(fileURLToPath(new URL("./fixtures/llm.json", import.meta.url)));
+
+describe("summarizeUsage", () => {
+    it("totals tokens overall and per model", () => {
+        const usage = summarizeUsage([
+            { stage: "classifier", model: "small", inputTokens: 10, outputTokens: 2 },
+            { stage: "final", model: "large", inputTokens: 100, outputTokens: 50 },
+            { stage: "expert:financial_analyst", model: "small", inputTokens: 20, outputTokens: 8 },
+        ]);
+        assert.deepEqual(usage.total, { inputTokens: 130, outputTokens: 60 });
+        assert.deepEqual(usage.byModel.small, { inputTokens: 30, outputTokens: 10 });
+    });
+});
+
+describe("/analysis-runs", { skip: skipReason }, () => {
+    let ctx;
+    let alice;
+    let bob;
+    let provider;
+    let runId;
+
+    const useProvider = (json = {}) => {
+        provider = createMockProvider({ fixtures: { json: { ...fixtures.json, ...json }, stream: ["Your cash flow ", "is positive."] } });
+        setProvider(provider);
+    };
+
+    before(async () => {
+        ctx = await startTestApp();
+        alice = await ctx.signup("alice");
+        bob = await ctx.signup("bob");
+        const add = (table, values) => ctx.request("POST", `/config/${table}`, { token: alice.token, body: { values } });
+        await add("incomes", { source: "Job", amount: 6000, frequency: "Monthly" });
+        await add("liabilities", { name: "Car loan", category: "Auto", value: 8000 });
+    });
+
+    afterEach(() => setProvider(null));
+    after(() => ctx?.close());
+
+    it("stores every artifact of a run", async () => {
+        useProvider({ debt_strategist_analysis: { $error: "upstream failure", status: 500 } });
+        const res = await ctx.request("POST", "/openai", { token: alice.token, body: { question: "What is my income?" } });
+        runId = parseSSE(res.text).map((e) => e.data).find((e) => "runId" in e)?.runId;
+        assert.ok(runId);
+
+        const { status, body: run } = await ctx.request("GET", `/analysis-runs/${runId}`, { token: alice.token });
+        assert.equal(status, 200);
+        assert.equal(run.status, "completed");
+        assert.equal(run.question, "What is my income?");
+        assert.ok(run.classification.question_type);
+        assert.deepEqual(run.experts, ["financial_analyst", "debt_strategist"]);
+        assert.equal(run.expert_outputs.financial_analyst.status, "completed");
+        assert.ok(run.expert_outputs.financial_analyst.output.key_metrics);
+        assert.deepEqual(run.expert_outputs.debt_strategist, { status: "failed", error: "upstream failure" });
+        assert.equal(run.final_text, "Your cash flow is positive.");
+        assert.ok(run.models.editor && run.models.expert && run.models.router);
+        assert.ok(run.conversation_id && run.message_id);
+
+        for (const label of ["getFinancialSnapshot", "classifyQuestion", "routeToExperts", "runExpertsStatusOnly", "streamFinalAnalysis"]) {
+            assert.equal(typeof run.step_latencies[label], "number", label);
+        }
+
+        const stages = run.token_usage.calls.map((c) => c.stage);
+        assert.ok(stages.includes("classifier") && stages.includes("expert:financial_analyst") && stages.includes("final"));
+        assert.ok(run.token_usage.total.inputTokens > 0);
+    });
+
+    it("replays the final synthesis without calling the experts", async () => {
+        useProvider();
+        const res = await ctx.request("POST", `/analysis-runs/${runId}/replay`, { token: alice.token });
+        const events = parseSSE(res.text).map((e) => e.data);
+
+        assert.equal(events.filter((e) => "delta" in e).map((e) => e.delta).join(""), "Your cash flow is positive.");
+        assert.deepEqual(events.at(-1), { done: true });
+        assert.deepEqual(provider.calls.map((c) => c.method), ["streamText"]);
+
+        // Only the successful expert is handed to the final agent
+        const [system] = provider.calls[0].messages;
+        assert.match(system.content, /financial_analyst/);
+        assert.doesNotMatch(system.content, /debt_strategist/);
+
+        const replayId = events.find((e) => "runId" in e).runId;
+        const replayed = await ctx.request("GET", `/analysis-runs/${replayId}`, { token: alice.token });
+        assert.equal(replayed.body.replay_of, runId);
+        assert.equal(replayed.body.status, "completed");
+    });
+
+    it("keeps runs private to their account", async () => {
+        assert.equal((await ctx.request("GET", `/analysis-runs/${runId}`, { token: bob.token })).status, 404);
+        assert.equal((await ctx.request("POST", `/analysis-runs/${runId}/replay`, { token: bob.token })).status, 404);
+        assert.equal((await ctx.request("GET", `/analysis-runs/${runId}`)).status, 401);
+    });
+
+    it("records failed runs and refuses to replay them", async () => {
+        useProvider({
+            financial_analyst_analysis: { $error: "upstream failure", status: 500 },
+            debt_strategist_analysis: { $error: "upstream failure", status: 500 },
+        });
+        await ctx.request("POST", "/openai", { token: alice.token, body: { question: "What is my income?" } });
+
+        const { rows } = await ctx.pool.query(`SELECT id, status, error FROM analysis_runs ORDER BY id DESC LIMIT 1;`);
+        assert.equal(rows[0].status, "failed");
+        assert.match(rows[0].error, /None of the experts/);
+
+        const res = await ctx.request("POST", `/analysis-runs/${rows[0].id}/replay`, { token: alice.token });
+        assert.equal(res.status, 409);
+    });
+});
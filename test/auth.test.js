@@ -0,0 +1,92 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { skipReason, startTestApp } from "./helpers/testApp.js";
+
+describe("/auth", { skip: skipReason }, () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp();
+    });
+
+    after(() => ctx?.close());
+
+    it("signs up and returns a token for the new account", async () => {
+        const res = await ctx.request("POST", "/auth/signup", { body: { username: " Carol ", password: "correct-horse" } });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.user.username, "carol");
+        assert.ok(res.body.token);
+        assert.ok(res.body.user.accountId);
+    });
+
+    it("rejects a short password or a missing username", async () => {
+        const short = await ctx.request("POST", "/auth/signup", { body: { username: "dave", password: "short" } });
+        assert.equal(short.status, 400);
+
+        const missing = await ctx.request("POST", "/auth/signup", { body: { password: "correct-horse" } });
+        assert.equal(missing.status, 400);
+
+        const long = await ctx.request("POST", "/auth/signup", { body: { username: "x".repeat(101), password: "correct-horse" } });
+        assert.equal(long.status, 400);
+    });
+
+    it("rejects credentials that are not strings", async () => {
+        const numeric = await ctx.request("POST", "/auth/signup", { body: { username: "erin", password: 123456789 } });
+        assert.equal(numeric.status, 400);
+
+        const object = await ctx.request("POST", "/auth/signup", { body: { username: { name: "erin" }, password: "correct-horse" } });
+        assert.equal(object.status, 400);
+    });
+
+    it("returns 409 for a taken username, also when two signups race", async () => {
+        const body = { username: "frank", password: "correct-horse" };
+        const statuses = (await Promise.all([
+            ctx.request("POST", "/auth/signup", { body }),
+            ctx.request("POST", "/auth/signup", { body }),
+        ])).map((res) => res.status).sort();
+        assert.deepEqual(statuses, [201, 409]);
+
+        const again = await ctx.request("POST", "/auth/signup", { body });
+        assert.equal(again.status, 409);
+    });
+
+    it("logs in with the signup credentials and returns a working token", async () => {
+        await ctx.signup("grace");
+        const res = await ctx.request("POST", "/auth/login", { body: { username: " Grace ", password: "correct-horse" } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.user.username, "grace");
+
+        const me = await ctx.request("GET", "/auth/me", { token: res.body.token });
+        assert.equal(me.status, 200);
+        assert.equal(me.body.user.username, "grace");
+        assert.equal(me.body.user.accountId, res.body.user.accountId);
+    });
+
+    it("gives the same 401 for a wrong password and an unknown user", async () => {
+        await ctx.signup("heidi");
+        const wrong = await ctx.request("POST", "/auth/login", { body: { username: "heidi", password: "wrong-horse" } });
+        const unknown = await ctx.request("POST", "/auth/login", { body: { username: "nobody", password: "correct-horse" } });
+        assert.equal(wrong.status, 401);
+        assert.deepEqual(unknown.body, wrong.body);
+        assert.equal(unknown.status, 401);
+    });
+
+    it("rejects a malformed login body with 400", async () => {
+        for (const body of [{}, { username: "heidi" }, { username: "heidi", password: 12345678 }, ["heidi", "correct-horse"]]) {
+            const res = await ctx.request("POST", "/auth/login", { body });
+            assert.equal(res.status, 400, JSON.stringify(body));
+        }
+
+        const notJson = await ctx.request("POST", "/auth/login", {
+            form: "{\"username\": ",
+            headers: { "Content-Type": "application/json" },
+        });
+        assert.equal(notJson.status, 400);
+        assert.deepEqual(notJson.body.errors, [{ field: "body", message: "must be valid JSON" }]);
+    });
+
+    it("requires a valid token for /auth/me", async () => {
+        assert.equal((await ctx.request("GET", "/auth/me")).status, 401);
+        assert.equal((await ctx.request("GET", "/auth/me", { token: "not-a-token" })).status, 401);
+    });
+});
@@ -0,0 +1,190 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { skipReason, startTestApp } from "./helpers/testApp.js";
+import { compileRules, unsafeRegexReason, validateRule } from "../services/categorization.js";
+
+describe("regex rule safety", () => {
+    it("rejects patterns that backtrack catastrophically", () => {
+        for (const pattern of ["^(a+)+$", "(a*)*b", "(a|ab)*c", "((x+))+", "(?:\\d+\\s)+$", "(.*a){20}", "(a)\\1"]) {
+            assert.ok(unsafeRegexReason(pattern), pattern);
+        }
+    });
+
+    it("accepts the patterns merchant rules need", () => {
+        for (const pattern of ["^AMZN\\s*MKTP", "STARBUCKS|DUNKIN", "UBER\\s+(EATS|TRIP)", "\\(a+\\)+", "[(]+x", "(foo)?bar", "SHELL \\d{4,}"]) {
+            assert.equal(unsafeRegexReason(pattern), null, pattern);
+        }
+    });
+
+    it("refuses an unsafe or overlong regex rule", () => {
+        assert.throws(() => validateRule({ match_type: "regex", pattern: "^(a+)+$", category: "X" }), { name: "ValidationError" });
+        assert.throws(() => validateRule({ match_type: "regex", pattern: "a".repeat(101), category: "X" }), { name: "ValidationError" });
+        // A contains rule is plain text, any characters are fine
+        assert.equal(validateRule({ pattern: "(a+)+", category: "X" }).pattern, "(a+)+");
+    });
+
+    it("skips unsafe regex rules saved earlier instead of running them", () => {
+        const rules = compileRules([
+            { id: 1, position: 1, match_type: "regex", pattern: "^(a+)+$", min_amount: null, max_amount: null, category: "Bad" },
+            { id: 2, position: 2, match_type: "regex", pattern: "^a+", min_amount: null, max_amount: null, category: "Good" },
+        ]);
+        assert.deepEqual(rules.map((r) => r.id), [2]);
+        assert.equal(rules[0].matches({ description: `${"a".repeat(40)}!`, amount: 5 }), true);
+    });
+});
+
+const STATEMENT = `Transaction Date,Post Date,Description,Category,Type,Amount,Memo
+03/01/2025,03/02/2025,BLUE BOTTLE COFFEE,Dining,Sale,-4.50,
+03/02/2025,03/03/2025,SHELL OIL 5551234,Gas,Sale,-40.00,
+03/03/2025,03/04/2025,BEST BUY #123,Electronics,Sale,-899.00,
+03/04/2025,03/05/2025,CORNER DELI,Dining,Sale,-12.00,
+03/11/2025,03/12/2025,CORNER DELI,Dining,Sale,-9.00,
+03/05/2025,03/06/2025,PAYMENT THANK YOU,,Payment,500.00,
+`;
+
+describe("/categories", { skip: skipReason }, () => {
+    let ctx;
+    let alice;
+
+    const rule = (body, token = alice.token) => ctx.request("POST", "/categories/rules", { token, body });
+    const transactions = async () => {
+        const { rows } = await ctx.pool.query(
+            `SELECT id, description, category, category_source FROM credit_cards WHERE account_id = $1 ORDER BY transaction_date;`,
+            [alice.user.accountId]
+        );
+        return rows;
+    };
+
+    before(async () => {
+        ctx = await startTestApp();
+        alice = await ctx.signup("alice");
+    });
+
+    after(() => ctx?.close());
+
+    it("keeps rules in position order and inserts at a given position", async () => {
+        assert.equal((await rule({ pattern: "coffee", category: "Coffee" })).status, 201);
+        assert.equal((await rule({ match_type: "regex", pattern: "^SHELL\\b", category: "Gas Stations" })).status, 201);
+        assert.equal((await rule({ min_amount: 500, category: "Big ticket", position: 1 })).status, 201);
+
+        const res = await ctx.request("GET", "/categories/rules", { token: alice.token });
+        assert.deepEqual(res.body.map((r) => [r.position, r.category]), [[1, "Big ticket"], [2, "Coffee"], [3, "Gas Stations"]]);
+    });
+
+    it("categorizes imported rows by rule, falling back to the bank's label", async () => {
+        const form = new FormData();
+        form.append("file", new Blob([STATEMENT]), "march.csv");
+        form.append("profile", "chase");
+        assert.equal((await ctx.request("POST", "/import", { token: alice.token, form })).status, 200);
+
+        assert.deepEqual((await transactions()).map((t) => [t.description, t.category, t.category_source]), [
+            ["BLUE BOTTLE COFFEE", "Coffee", "rule"],
+            ["SHELL OIL 5551234", "Gas Stations", "rule"],
+            ["BEST BUY #123", "Big ticket", "rule"],
+            ["CORNER DELI", "Dining", "bank"],
+            ["PAYMENT THANK YOU", null, "bank"],
+            ["CORNER DELI", "Dining", "bank"],
+        ]);
+    });
+
+    it("remembers a user's category for the merchant and keeps it when rules are re-applied", async () => {
+        const deli = (await transactions()).find((t) => t.description === "CORNER DELI");
+        const res = await ctx.request("PUT", `/transactions/${deli.id}/category`, { token: alice.token, body: { category: " Lunch " } });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data, { id: deli.id, category: "Lunch", alsoUpdated: 1 });
+
+        // Merchant memory beats a rule, and the user's own choice is never touched
+        await rule({ pattern: "deli", category: "Restaurants", position: 1 });
+        const applied = await ctx.request("POST", "/categories/apply", { token: alice.token });
+        assert.deepEqual([applied.status, applied.body.updated], [200, 0]);
+
+        const delis = (await transactions()).filter((t) => t.description === "CORNER DELI");
+        assert.deepEqual(delis.map((t) => [t.category, t.category_source]), [["Lunch", "user"], ["Lunch", "merchant"]]);
+    });
+
+    it("reorders and deletes rules, and re-applying follows the new set", async () => {
+        const rules = (await ctx.request("GET", "/categories/rules", { token: alice.token })).body;
+        const ids = rules.map((r) => r.id).reverse();
+
+        const reordered = await ctx.request("PUT", "/categories/rules/order", { token: alice.token, body: { ids } });
+        assert.deepEqual([reordered.status, reordered.body.data], [200, rules.length]);
+        const listed = (await ctx.request("GET", "/categories/rules", { token: alice.token })).body;
+        assert.deepEqual(listed.map((r) => r.id), ids);
+
+        const coffee = rules.find((r) => r.category === "Coffee");
+        assert.equal((await ctx.request("DELETE", `/categories/rules/${coffee.id}`, { token: alice.token })).status, 200);
+        assert.equal((await ctx.request("DELETE", `/categories/rules/${coffee.id}`, { token: alice.token })).status, 404);
+
+        const applied = await ctx.request("POST", "/categories/apply", { token: alice.token });
+        assert.equal(applied.body.updated, 1);
+        const [bottle] = await transactions();
+        assert.deepEqual([bottle.category, bottle.category_source], ["Dining", "bank"]);
+    });
+
+    it("drops a rule's category again when the bank gave none, and keeps hand-entered ones", async () => {
+        const form = new FormData();
+        form.append("file", new Blob(["Transaction Date,Post Date,Description,Category,Type,Amount,Memo\n04/01/2025,04/02/2025,ZEN TEA HOUSE,,Sale,-6.00,\n"]), "april.csv");
+        form.append("profile", "chase");
+        const teaRule = await rule({ pattern: "tea", category: "Tea" });
+        await ctx.request("POST", "/import", { token: alice.token, form });
+
+        const manual = await ctx.request("POST", "/config/creditCards", {
+            token: alice.token,
+            body: { values: { transaction_date: "2025-04-03", description: "TEA MARKET", category: "Gifts", type: "Sale", amount: 30 } },
+        });
+        assert.equal(manual.status, 200);
+
+        const row = async (description) => {
+            const { rows } = await ctx.pool.query(
+                `SELECT category, category_source, original_category FROM credit_cards WHERE account_id = $1 AND description = $2;`,
+                [alice.user.accountId, description]
+            );
+            return rows[0];
+        };
+        assert.deepEqual(await row("ZEN TEA HOUSE"), { category: "Tea", category_source: "rule", original_category: null });
+
+        await ctx.request("DELETE", `/categories/rules/${teaRule.body.data}`, { token: alice.token });
+        await ctx.request("POST", "/categories/apply", { token: alice.token });
+        assert.deepEqual(await row("ZEN TEA HOUSE"), { category: null, category_source: null, original_category: null });
+        assert.deepEqual(await row("TEA MARKET"), { category: "Gifts", category_source: "user", original_category: "Gifts" });
+    });
+
+    it("rejects malformed rule, order and category requests", async () => {
+        const rules = (await ctx.request("GET", "/categories/rules", { token: alice.token })).body;
+        const [first] = await transactions();
+
+        for (const [method, path, body, field] of [
+            ["POST", "/categories/rules", { pattern: "x" }, "category"],
+            ["POST", "/categories/rules", { category: "X" }, "pattern"],
+            ["POST", "/categories/rules", { match_type: "glob", pattern: "x", category: "X" }, "match_type"],
+            ["POST", "/categories/rules", { match_type: "regex", pattern: "(", category: "X" }, "pattern"],
+            ["POST", "/categories/rules", { min_amount: 50, max_amount: 10, category: "X" }, "min_amount"],
+            ["PUT", "/categories/rules/order", { ids: "1,2" }, "ids"],
+            ["PUT", "/categories/rules/order", { ids: rules.slice(1).map((r) => r.id) }, "ids"],
+            ["PUT", "/categories/rules/order", { ids: [...rules.map((r) => r.id), rules[0].id] }, "ids"],
+            ["PUT", `/transactions/${first.id}/category`, { category: "" }, "category"],
+            ["PUT", `/transactions/${first.id}/category`, { category: 42 }, "category"],
+        ]) {
+            const res = await ctx.request(method, path, { token: alice.token, body });
+            assert.equal(res.status, 400, `${method} ${path} ${JSON.stringify(body)}`);
+            assert.equal(res.body.errors[0].field, field);
+        }
+
+        assert.equal((await ctx.request("DELETE", "/categories/rules/abc", { token: alice.token })).status, 400);
+
+        const bob = await ctx.signup("bob");
+        const foreign = await ctx.request("PUT", `/transactions/${first.id}/category`, { token: bob.token, body: { category: "Mine" } });
+        assert.equal(foreign.status, 404);
+        const foreignRule = await ctx.request("DELETE", `/categories/rules/${rules[0].id}`, { token: bob.token });
+        assert.equal(foreignRule.status, 404);
+    });
+
+    it("returns 400 for a regex that could block the server", async () => {
+        const res = await ctx.request("POST", "/categories/rules", {
+            token: alice.token,
+            body: { match_type: "regex", pattern: "^(a+)+$", category: "Groceries" },
+        });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, "pattern");
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildBudgetReport } from "../services/categoryBudgets.js";
+
+const monthlyTotals = [
+    { period: "2026-08", category: "Groceries", total: "450" },
+    { period: "2026-09", category: "Groceries", total: "300" },
+    { period: "2026-10", category: "groceries", total: "200" },
+    { period: "2026-10", category: "Dining", total: "180" },
+    { period: "2026-10", category: "Travel", total: "90" },
+    { period: "2026-10", category: null, total: "12" },
+];
+
+// Ten days into a 31-day month
+const asOf = new Date("2026-10-10T12:00:00Z");
+
+describe("buildBudgetReport", () => {
+    it("projects the month in progress at the pace so far", () => {
+        const report = buildBudgetReport({
+            budgets: [{ category: "Dining", monthly_limit: "400", rollover: false }],
+            monthlyTotals,
+            month: "2026-10",
+            asOf,
+        });
+
+        assert.deepEqual([report.daysElapsed, report.daysInMonth, report.complete], [10, 31, false]);
+        assert.deepEqual(report.categories[0], {
+            category: "Dining",
+            limit: 400,
+            rollover: false,
+            carryover: 0,
+            available: 400,
+            actual: 180,
+            remaining: 220,
+            percentUsed: 45,
+            projected: 558,
+            projectedOverspend: 158,
+            status: "at_risk",
+        });
+        // Matched case-insensitively, the rest is listed as unbudgeted
+        assert.deepEqual(report.unbudgeted, [
+            { category: "Groceries", actual: 200 },
+            { category: "Travel", actual: 90 },
+            { category: "Uncategorized", actual: 12 },
+        ]);
+    });
+
+    it("carries what is left (or overspent) over from earlier months", () => {
+        const budgets = [{ category: "Groceries", monthly_limit: 400, rollover: true, created_at: new Date("2026-08-03T00:00:00Z") }];
+        const report = buildBudgetReport({ budgets, monthlyTotals, month: "2026-10", asOf });
+
+        // August -50, September +100
+        assert.equal(report.categories[0].carryover, 50);
+        assert.equal(report.categories[0].available, 450);
+
+        // Only months since the budget was created count
+        const newer = buildBudgetReport({ budgets: [{ ...budgets[0], created_at: new Date("2026-09-20T00:00:00Z") }], monthlyTotals, month: "2026-10", asOf });
+        assert.equal(newer.categories[0].carryover, 100);
+    });
+
+    it("reports past months as complete and flags overspending", () => {
+        const report = buildBudgetReport({
+            budgets: [{ category: "Groceries", monthly_limit: 400, rollover: false }],
+            monthlyTotals,
+            month: "2026-08",
+            asOf,
+        });
+
+        assert.equal(report.complete, true);
+        assert.equal(report.categories[0].projected, 450);
+        assert.equal(report.categories[0].status, "over");
+        assert.deepEqual(report.totals, { limit: 400, available: 400, actual: 450, projected: 450, projectedOverspend: 50 });
+    });
+});
@@ -0,0 +1,288 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { skipReason, startTestApp } from "./helpers/testApp.js";
+
+describe("/config", { skip: skipReason }, () => {
+    let ctx;
+    let alice;
+    let bob;
+
+    before(async () => {
+        ctx = await startTestApp();
+        alice = await ctx.signup("alice");
+        bob = await ctx.signup("bob");
+    });
+
+    after(() => ctx?.close());
+
+    it("requires a token", async () => {
+        const res = await ctx.request("GET", `/config/${alice.user.accountId}`);
+        assert.equal(res.status, 401);
+    });
+
+    it("refuses another account's data", async () => {
+        const res = await ctx.request("GET", `/config/${bob.user.accountId}`, { token: alice.token });
+        assert.equal(res.status, 403);
+    });
+
+    it("returns empty sections for a new account", async () => {
+        const res = await ctx.request("GET", `/config/${alice.user.accountId}`, { token: alice.token });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, { demographics: [], incomes: [], assets: [], liabilities: [], fixedCosts: [], goals: [], categoryBudgets: [] });
+    });
+
+    it("creates, updates and deletes a record", async () => {
+        const created = await ctx.request("POST", "/config/incomes", {
+            token: alice.token,
+            body: { values: { source: "Job", amount: "$2,400", frequency: "Every 2 Weeks" } },
+        });
+        assert.equal(created.status, 200);
+        assert.equal(created.body.success, true);
+        const id = created.body.data;
+
+        const listed = await ctx.request("GET", `/config/${alice.user.accountId}`, { token: alice.token });
+        assert.equal(listed.body.incomes.length, 1);
+        assert.equal(Number(listed.body.incomes[0].amount), 2400);
+
+        const updated = await ctx.request("PATCH", `/config/incomes/${id}`, { token: alice.token, body: { amount: 2600 } });
+        assert.equal(updated.status, 200);
+        assert.deepEqual(updated.body.updated, ["amount"]);
+
+        const deleted = await ctx.request("DELETE", `/config/incomes/${id}`, { token: alice.token });
+        assert.equal(deleted.status, 200);
+
+        const again = await ctx.request("DELETE", `/config/incomes/${id}`, { token: alice.token });
+        assert.equal(again.status, 404);
+    });
+
+    it("accepts the legacy positional format", async () => {
+        const res = await ctx.request("POST", "/config/fixedCosts", {
+            token: alice.token,
+            body: { values: ["ignored-account", "Mortgage", "Mortgage", "1800"] },
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.rowsInserted, 1);
+    });
+
+    it("never writes to another account", async () => {
+        const created = await ctx.request("POST", "/config/assets", {
+            token: alice.token,
+            body: { values: { name: "Savings", category: "Cash", value: 1000 } },
+        });
+
+        const patched = await ctx.request("PATCH", `/config/assets/${created.body.data}`, { token: bob.token, body: { value: 1 } });
+        assert.equal(patched.status, 404);
+
+        const deleted = await ctx.request("DELETE", `/config/assets/${created.body.data}`, { token: bob.token });
+        assert.equal(deleted.status, 404);
+    });
+
+    it("rejects an unknown table", async () => {
+        const res = await ctx.request("POST", "/config/users", { token: alice.token, body: { values: { name: "x" } } });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, "table");
+    });
+
+    it("rejects a request without values", async () => {
+        const res = await ctx.request("POST", "/config/incomes", { token: alice.token, body: {} });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, "values");
+    });
+
+    it("reports every invalid field", async () => {
+        const res = await ctx.request("POST", "/config/incomes", {
+            token: alice.token,
+            body: { values: { source: "Job", amount: "lots", frequency: "Yearly" } },
+        });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.errors.map((e) => e.field).sort(), ["amount", "frequency"]);
+    });
+
+    it("rejects a malformed id", async () => {
+        const res = await ctx.request("PATCH", "/config/incomes/abc", { token: alice.token, body: { amount: 1 } });
+        assert.equal(res.status, 400);
+
+        const outOfRange = await ctx.request("PATCH", "/config/incomes/99999999999", { token: alice.token, body: { amount: 1 } });
+        assert.equal(outOfRange.status, 400);
+    });
+
+    it("stores amounts with cents", async () => {
+        const created = await ctx.request("POST", "/config/fixedCosts", {
+            token: alice.token,
+            body: { values: { name: "Gym", category: "Health", amount: "4,500.75" } },
+        });
+        assert.equal(created.status, 200);
+
+        const updated = await ctx.request("PATCH", `/config/fixedCosts/${created.body.data}`, { token: alice.token, body: { amount: 1234.5 } });
+        assert.equal(updated.status, 200);
+
+        const listed = await ctx.request("GET", `/config/${alice.user.accountId}`, { token: alice.token });
+        assert.equal(Number(listed.body.fixedCosts.find((f) => f.id === created.body.data).amount), 1234.5);
+    });
+
+    it("rejects values the column can't hold", async () => {
+        const created = await ctx.request("POST", "/config/liabilities", {
+            token: alice.token,
+            body: { values: { name: "Card", value: 2000 } },
+        });
+        const id = created.body.data;
+
+        for (const [field, value] of [
+            ["promo_expires_on", "2025-02-31"],
+            ["promo_expires_on", "next tuesday"],
+            ["promo_expires_on", "2025-2-1"],
+            ["value", 1e12],
+            ["value", "-5"],
+            ["term_months", 3_000_000_000],
+            ["due_day", 2.5],
+            ["name", "x".repeat(101)],
+        ]) {
+            const res = await ctx.request("PATCH", `/config/liabilities/${id}`, { token: alice.token, body: { [field]: value } });
+            assert.equal(res.status, 400, `${field}: ${value}`);
+            assert.equal(res.body.errors[0].field, field);
+        }
+
+        const valid = await ctx.request("PATCH", `/config/liabilities/${id}`, { token: alice.token, body: { promo_expires_on: "2024-02-29" } });
+        assert.equal(valid.status, 200);
+    });
+
+    it("keeps a goal's priority when it is left out, but refuses to clear it", async () => {
+        const created = await ctx.request("POST", "/config/goals", {
+            token: alice.token,
+            body: { values: { name: "Vacation", target_amount: 3000, priority: null } },
+        });
+        assert.equal(created.status, 400);
+        assert.deepEqual(created.body.errors, [{ field: "priority", message: "cannot be empty" }]);
+
+        const defaulted = await ctx.request("POST", "/config/goals", {
+            token: alice.token,
+            body: { values: { name: "Vacation", target_amount: 3000 } },
+        });
+        assert.equal(defaulted.status, 200);
+
+        for (const priority of [null, ""]) {
+            const res = await ctx.request("PATCH", `/config/goals/${defaulted.body.data}`, { token: alice.token, body: { priority } });
+            assert.equal(res.status, 400, JSON.stringify(priority));
+            assert.equal(res.body.errors[0].field, "priority");
+        }
+
+        const listed = await ctx.request("GET", `/config/${alice.user.accountId}`, { token: alice.token });
+        assert.equal(listed.body.goals[0].priority, "Medium");
+    });
+
+    it("refuses to clear a budget's rollover flag", async () => {
+        const created = await ctx.request("POST", "/config/categoryBudgets", {
+            token: alice.token,
+            body: { values: { category: "Dining", monthly_limit: 300, rollover: "" } },
+        });
+        assert.equal(created.status, 400);
+        assert.deepEqual(created.body.errors, [{ field: "rollover", message: "cannot be empty" }]);
+
+        const defaulted = await ctx.request("POST", "/config/categoryBudgets", {
+            token: alice.token,
+            body: { values: { category: "Dining", monthly_limit: 300 } },
+        });
+        assert.equal(defaulted.status, 200);
+
+        for (const rollover of [null, ""]) {
+            const res = await ctx.request("PATCH", `/config/categoryBudgets/${defaulted.body.data}`, { token: alice.token, body: { rollover } });
+            assert.equal(res.status, 400, JSON.stringify(rollover));
+            assert.equal(res.body.errors[0].field, "rollover");
+        }
+
+        const listed = await ctx.request("GET", `/config/${alice.user.accountId}`, { token: alice.token });
+        assert.equal(listed.body.categoryBudgets[0].rollover, false);
+    });
+
+    it("rejects invalid values on PATCH for every kind of column", async () => {
+        const create = async (table, values) =>
+            (await ctx.request("POST", `/config/${table}`, { token: alice.token, body: { values } })).body.data;
+        const incomeId = await create("incomes", { source: "Job", amount: 1000, frequency: "Monthly" });
+        const goalId = await create("goals", { name: "Car", target_amount: 9000 });
+        const budgetId = await create("categoryBudgets", { category: "Travel", monthly_limit: 200 });
+
+        for (const [path, body, field] of [
+            [`/config/incomes/${incomeId}`, { frequency: "Yearly" }, "frequency"],
+            [`/config/incomes/${incomeId}`, { amount: "a lot" }, "amount"],
+            [`/config/incomes/${incomeId}`, { source: null }, "source"],
+            [`/config/incomes/${incomeId}`, { account_id: "someone-else" }, "account_id"],
+            [`/config/incomes/${incomeId}`, {}, "body"],
+            [`/config/goals/${goalId}`, { priority: "Urgent" }, "priority"],
+            [`/config/goals/${goalId}`, { target_amount: 0 }, "target_amount"],
+            [`/config/goals/${goalId}`, { deadline: "2026-13-01" }, "deadline"],
+            [`/config/goals/${goalId}`, { asset_id: "first" }, "asset_id"],
+            [`/config/categoryBudgets/${budgetId}`, { rollover: "maybe" }, "rollover"],
+        ]) {
+            const res = await ctx.request("PATCH", path, { token: alice.token, body });
+            assert.equal(res.status, 400, `${path} ${JSON.stringify(body)}`);
+            assert.equal(res.body.errors[0].field, field);
+        }
+    });
+
+    it("rejects a body that is not an object or not JSON", async () => {
+        const res = await ctx.request("PATCH", "/config/incomes/1", { token: alice.token, body: [1, 2] });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, "body");
+
+        const notJson = await ctx.request("POST", "/config/incomes", {
+            token: alice.token,
+            form: "{\"values\": {",
+            headers: { "Content-Type": "application/json" },
+        });
+        assert.equal(notJson.status, 400);
+        assert.equal(notJson.body.errors[0].field, "body");
+    });
+
+    it("normalizes a card transaction's type and sign like an import", async () => {
+        const card = async (id) => {
+            const { rows } = await ctx.pool.query(`SELECT type, amount::float AS amount FROM credit_cards WHERE id = $1;`, [id]);
+            return rows[0];
+        };
+        const create = async (values) => {
+            const res = await ctx.request("POST", "/config/creditCards", {
+                token: alice.token,
+                body: { values: { transaction_date: "2025-03-01", ...values } },
+            });
+            assert.equal(res.status, 200);
+            return res.body.data;
+        };
+
+        const refund = await create({ description: "SHOE STORE", type: "Return", amount: 80 });
+        assert.deepEqual(await card(refund), { type: "Return", amount: -80 });
+        assert.deepEqual(await card(await create({ description: "PAYMENT THANK YOU", amount: -500 })), { type: "Payment", amount: -500 });
+        const coffee = await create({ description: "BLUE BOTTLE", amount: -4.5, type: "Sale" });
+        assert.deepEqual(await card(coffee), { type: "Sale", amount: 4.5 });
+
+        // A new amount keeps the stored type's sign, a new type flips it
+        await ctx.request("PATCH", `/config/creditCards/${refund}`, { token: alice.token, body: { amount: 60 } });
+        assert.deepEqual(await card(refund), { type: "Return", amount: -60 });
+        const patched = await ctx.request("PATCH", `/config/creditCards/${coffee}`, { token: alice.token, body: { type: "Return" } });
+        assert.deepEqual(patched.body.updated, ["type"]);
+        assert.deepEqual(await card(coffee), { type: "Return", amount: -4.5 });
+
+        const otherAccount = await ctx.request("PATCH", `/config/creditCards/${coffee}`, { token: bob.token, body: { amount: 1 } });
+        assert.equal(otherAccount.status, 404);
+        assert.deepEqual(await card(coffee), { type: "Return", amount: -4.5 });
+    });
+
+    it("still accepts the deprecated single-field PUT", async () => {
+        const created = await ctx.request("POST", "/config/assets", {
+            token: alice.token,
+            body: { values: { name: "Brokerage", value: 5000 } },
+        });
+
+        const updated = await ctx.request("PUT", `/config/assets/value/${created.body.data}`, { token: alice.token, body: [6000] });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.headers.get("deprecation"), "true");
+        assert.deepEqual(updated.body.updated, ["value"]);
+
+        const invalid = await ctx.request("PUT", `/config/assets/value/${created.body.data}`, { token: alice.token, body: ["lots"] });
+        assert.equal(invalid.status, 400);
+
+        const unknownField = await ctx.request("PUT", `/config/assets/account_id/${created.body.data}`, { token: alice.token, body: ["x"] });
+        assert.equal(unknownField.status, 400);
+
+        const otherAccount = await ctx.request("PUT", `/config/assets/value/${created.body.data}`, { token: bob.token, body: [1] });
+        assert.equal(otherAccount.status, 404);
+    });
+});
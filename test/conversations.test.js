@@ -0,0 +1,131 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { skipReason, startTestApp } from "./helpers/testApp.js";
+import { parseSSE } from "./helpers/sse.js";
+import { setProvider } from "../services/llmProvider.js";
+import { createMockProvider } from "../services/mockProvider.js";
+import { condenseFindings, titleFromQuestion } from "../services/conversations.js";
+
+describe("condenseFindings", () => {
+    it("keeps the first items of long lists and cuts long text", () => {
+        const [condensed] = condenseFindings([
+            { expertId: "debt_strategist", data: { strategies: [1, 2, 3, 4, 5], note: "x".repeat(400) } },
+            null,
+        ]);
+        assert.equal(condensed.expert, "debt_strategist");
+        assert.deepEqual(condensed.findings.strategies, [1, 2, 3]);
+        assert.equal(condensed.findings.note.length, 303);
+    });
+
+    it("titles a conversation after its first question", () => {
+        assert.equal(titleFromQuestion("  How   much do I spend? "), "How much do I spend?");
+        assert.equal(titleFromQuestion("a".repeat(100)).length, 80);
+    });
+});
+
+describe("/conversations", { skip: skipReason }, () => {
+    let ctx;
+    let alice;
+    let bob;
+    let provider;
+
+    before(async () => {
+        ctx = await startTestApp();
+        alice = await ctx.signup("alice");
+        bob = await ctx.signup("bob");
+    });
+
+    afterEach(() => setProvider(null));
+    after(() => ctx?.close());
+
+    const ask = async (body, token = alice.token) => {
+        provider = createMockProvider({ fixtures: { stream: ["Pay ", "the card first."] } });
+        setProvider(provider);
+        const res = await ctx.request("POST", "/openai", { token, body });
+        const frames = parseSSE(res.text);
+        return { res, events: frames.map((e) => e.data), saved: frames.find((f) => f.event === "saved")?.data };
+    };
+
+    it("starts a conversation and continues it with the earlier turns", async () => {
+        const first = await ask({ question: "Which debt should I pay first?" });
+        const { saved } = first;
+        assert.ok(saved?.conversationId && saved.messageId && saved.runId);
+        assert.deepEqual(first.events.at(-1), { done: true });
+        assert.equal(first.events.filter((e) => e.done).length, 1);
+
+        const followUp = await ask({ question: "What if I paid $500 more instead?", conversationId: saved.conversationId });
+        assert.equal(followUp.saved.conversationId, saved.conversationId);
+
+        // The final agent sees the first question and its answer before the new one
+        const { messages } = provider.calls.find((c) => c.method === "streamText");
+        const [previous, answer, current] = messages.slice(1);
+        assert.equal(JSON.parse(previous.content).question, "Which debt should I pay first?");
+        assert.ok(Array.isArray(JSON.parse(previous.content).expertFindings));
+        assert.deepEqual(answer, { role: "assistant", content: "Pay the card first." });
+        assert.equal(JSON.parse(current.content).question, "What if I paid $500 more instead?");
+
+        const thread = await ctx.request("GET", `/conversations/${saved.conversationId}`, { token: alice.token });
+        assert.equal(thread.body.title, "Which debt should I pay first?");
+        assert.deepEqual(thread.body.messages.map((m) => m.answer), ["Pay the card first.", "Pay the card first."]);
+    });
+
+    it("lists, renames and deletes conversations", async () => {
+        const listed = await ctx.request("GET", "/conversations", { token: alice.token });
+        assert.equal(listed.status, 200);
+        const [conversation] = listed.body;
+        assert.equal(conversation.message_count, 2);
+
+        const renamed = await ctx.request("PATCH", `/conversations/${conversation.id}`, { token: alice.token, body: { title: "Debt plan" } });
+        assert.equal(renamed.body.data.title, "Debt plan");
+
+        const blank = await ctx.request("PATCH", `/conversations/${conversation.id}`, { token: alice.token, body: { title: " " } });
+        assert.equal(blank.status, 400);
+
+        assert.equal((await ctx.request("DELETE", `/conversations/${conversation.id}`, { token: alice.token })).status, 200);
+        assert.equal((await ctx.request("GET", `/conversations/${conversation.id}`, { token: alice.token })).status, 404);
+        const { rows } = await ctx.pool.query(`SELECT COUNT(*)::int AS n FROM messages WHERE conversation_id = $1;`, [conversation.id]);
+        assert.equal(rows[0].n, 0);
+    });
+
+    it("keeps conversations private to their account", async () => {
+        const { saved: { conversationId } } = await ask({ question: "How much do I spend?" });
+
+        assert.equal((await ctx.request("GET", `/conversations/${conversationId}`, { token: bob.token })).status, 404);
+        assert.equal((await ctx.request("PATCH", `/conversations/${conversationId}`, { token: bob.token, body: { title: "x" } })).status, 404);
+        assert.equal((await ctx.request("DELETE", `/conversations/${conversationId}`, { token: bob.token })).status, 404);
+
+        const hijack = await ctx.request("POST", "/openai", { token: bob.token, body: { question: "And now?", conversationId } });
+        assert.equal(hijack.status, 404);
+    });
+
+    it("ends with a conversation_gone error when the conversation is deleted mid-answer", async () => {
+        const { saved: { conversationId } } = await ask({ question: "How much do I spend?" });
+
+        provider = createMockProvider({ fixtures: { stream: ["Less ", "than last month."] } });
+        const { streamText } = provider;
+        provider.streamText = async function* (...args) {
+            await ctx.request("DELETE", `/conversations/${conversationId}`, { token: alice.token });
+            yield* streamText(...args);
+        };
+        setProvider(provider);
+
+        const res = await ctx.request("POST", "/openai", { token: alice.token, body: { question: "And food?", conversationId } });
+        const frames = parseSSE(res.text);
+        assert.equal(frames.find((f) => f.event === "saved"), undefined);
+        assert.deepEqual(frames.at(-1), {
+            ...frames.at(-1),
+            event: "error",
+            data: { error: "This conversation was deleted, so the answer wasn't saved.", code: "conversation_gone" },
+        });
+
+        const runId = frames[0].data.runId;
+        const { rows } = await ctx.pool.query(`SELECT status, conversation_id, final_text FROM analysis_runs WHERE id = $1;`, [runId]);
+        assert.deepEqual(rows[0], { status: "failed", conversation_id: null, final_text: "Less than last month." });
+    });
+
+    it("rejects a malformed conversationId before streaming", async () => {
+        const res = await ctx.request("POST", "/openai", { token: alice.token, body: { question: "Hi", conversationId: "abc" } });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, "conversationId");
+    });
+});
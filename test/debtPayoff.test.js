@@ -0,0 +1,83 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { compareStrategies, payoffPlanForExpert, simulatePayoff } from "../services/debtPayoff.js";
+
+const startDate = "2026-10-18";
+
+// A high-rate card with a large balance and a small low-rate loan, so avalanche and snowball disagree
+const liabilities = [
+    { name: "Visa", value: 3000, interestRate: 24, minimumPayment: 100, dueDay: 15 },
+    { name: "Loan", value: 1000, interestRate: 6, minimumPayment: 50, dueDay: 31 },
+];
+
+describe("simulatePayoff", () => {
+    it("accrues interest and pays minimums on the current path", () => {
+        const plan = simulatePayoff(liabilities, { strategy: "minimum", startDate });
+        const [first] = plan.schedule;
+
+        assert.equal(first.date, "2026-11");
+        assert.deepEqual(first.payments, [
+            { name: "Visa", payment: 100, interest: 60, balance: 2960 },
+            { name: "Loan", payment: 50, interest: 5, balance: 955 },
+        ]);
+        assert.equal(plan.monthlyBudget, 150);
+        assert.ok(plan.paidOff);
+
+        // The due day is clamped to the end of short months
+        const small = simulatePayoff([{ name: "Loan", value: 40, minimumPayment: 50, dueDay: 31 }], { startDate });
+        assert.equal(small.payoffDate, "2026-11-30");
+    });
+
+    it("sends the extra to the highest rate (avalanche) or the smallest balance (snowball)", () => {
+        const avalanche = simulatePayoff(liabilities, { strategy: "avalanche", extraPayment: 200, startDate });
+        const snowball = simulatePayoff(liabilities, { strategy: "snowball", extraPayment: 200, startDate });
+
+        assert.equal(avalanche.schedule[0].payments[0].payment, 300);
+        assert.equal(snowball.schedule[0].payments[1].payment, 250);
+        assert.ok(avalanche.totalInterest < snowball.totalInterest);
+        assert.ok(snowball.debts[1].payoffMonth < avalanche.debts[1].payoffMonth);
+        // A paid-off debt's minimum rolls over, so the budget never shrinks while debt remains
+        assert.ok(avalanche.schedule.slice(0, -1).every((m) => m.totalPayment === 350));
+    });
+
+    it("follows a custom order", () => {
+        const plan = simulatePayoff(liabilities, { strategy: "custom", order: ["Loan"], extraPayment: 200, startDate });
+        assert.equal(plan.schedule[0].payments[1].payment, 250);
+    });
+
+    it("charges the promo rate until it expires", () => {
+        const [debt] = [{ name: "Store card", value: 1200, interestRate: 30, promoRate: 0, promoExpiresOn: "2027-01-31", minimumPayment: 50 }];
+        const { schedule } = simulatePayoff([debt], { strategy: "minimum", startDate });
+        assert.deepEqual(schedule.slice(0, 4).map((m) => m.totalInterest), [0, 0, 0, 26.25]);
+    });
+
+    it("lists its assumptions and stops when payments never cover the interest", () => {
+        const plan = simulatePayoff([
+            { name: "Car", value: 3600, termMonths: 36 },
+            { name: "Payday", value: 1000, interestRate: 99, minimumPayment: 10 },
+        ], { strategy: "minimum", startDate });
+
+        assert.equal(plan.schedule[0].payments[0].payment, 100);
+        assert.match(plan.warnings[0], /Car has no interest rate/);
+        assert.match(plan.warnings[1], /\$100 a month over its 36-month term/);
+        assert.equal(plan.paidOff, false);
+        assert.equal(plan.months, null);
+        assert.match(plan.warnings.at(-1), /Not paid off/);
+    });
+});
+
+describe("compareStrategies", () => {
+    it("reports what each strategy saves over the current path", () => {
+        const comparison = compareStrategies(liabilities, { extraPayment: 200, startDate });
+        assert.deepEqual(Object.keys(comparison), ["current", "avalanche", "snowball"]);
+        assert.equal(comparison.avalanche.interestSaved, Math.round((comparison.current.totalInterest - comparison.avalanche.totalInterest) * 100) / 100);
+        assert.ok(comparison.avalanche.monthsSaved > 0);
+        assert.equal(comparison.avalanche.schedule, undefined);
+    });
+
+    it("gives the Debt Strategist half of the surplus as the extra payment", () => {
+        const plan = payoffPlanForExpert({ liabilities, totals: { monthlyCashflowApprox: 1234 } });
+        assert.equal(plan.extraPayment, 610);
+        assert.deepEqual(Object.keys(plan.schedules.avalanche[0].payments), ["Visa", "Loan"]);
+    });
+});
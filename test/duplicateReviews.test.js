@@ -0,0 +1,83 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { skipReason, startTestApp } from "./helpers/testApp.js";
+
+const upload = (name, content) => {
+    const form = new FormData();
+    form.append("file", new Blob([content]), name);
+    form.append("profile", "chase");
+    return form;
+};
+
+describe("/import/duplicates", { skip: skipReason }, () => {
+    let ctx;
+    let carol;
+    let reviews;
+
+    const FIRST = `Transaction Date,Post Date,Description,Category,Type,Amount,Memo
+03/01/2025,03/02/2025,BLUE BOTTLE COFFEE,Dining,Sale,-4.50,
+03/04/2025,03/05/2025,SHELL OIL,Gas,Sale,-40.00,
+`;
+    // The same two charges reported on their post dates by an overlapping statement
+    const OVERLAP = `Transaction Date,Post Date,Description,Category,Type,Amount,Memo
+03/02/2025,03/02/2025,SQ *BLUE BOTTLE COFFEE #1234,Dining,Sale,-4.50,
+03/05/2025,03/05/2025,SHELL OIL 5551234,Gas,Sale,-40.00,
+`;
+
+    before(async () => {
+        ctx = await startTestApp();
+        carol = await ctx.signup("carol");
+        await ctx.request("POST", "/import", { token: carol.token, form: upload("march.csv", FIRST) });
+        const second = await ctx.request("POST", "/import", { token: carol.token, form: upload("march-2.csv", OVERLAP) });
+        assert.equal(second.body.rowsNeedingReview, 2);
+    });
+
+    after(() => ctx?.close());
+
+    it("lists look-alikes with the transaction they resemble", async () => {
+        const res = await ctx.request("GET", "/import/duplicates", { token: carol.token });
+        assert.equal(res.status, 200);
+        reviews = res.body;
+        assert.deepEqual(
+            reviews.map((r) => [r.record.description, r.candidate.description, r.candidate.transaction_date]),
+            [["SQ *BLUE BOTTLE COFFEE #1234", "BLUE BOTTLE COFFEE", "2025-03-01"], ["SHELL OIL 5551234", "SHELL OIL", "2025-03-04"]]
+        );
+        assert.ok(reviews.every((r) => r.score >= 0.7 && r.score <= 1));
+
+        const other = await ctx.signup("dave");
+        assert.deepEqual((await ctx.request("GET", "/import/duplicates", { token: other.token })).body, []);
+    });
+
+    it("inserts a kept row, drops a discarded one and takes them off the list", async () => {
+        const [coffee, gas] = reviews;
+        const kept = await ctx.request("POST", `/import/duplicates/${coffee.id}/resolve`, { token: carol.token, body: { action: "keep" } });
+        assert.equal(kept.status, 200);
+        assert.ok(kept.body.data.transactionId);
+
+        const discarded = await ctx.request("POST", `/import/duplicates/${gas.id}/resolve`, { token: carol.token, body: { action: "discard" } });
+        assert.equal(discarded.status, 200);
+        assert.equal(discarded.body.data.transactionId, null);
+
+        const { rows } = await ctx.pool.query(
+            `SELECT description FROM credit_cards WHERE account_id = $1 ORDER BY transaction_date, id;`,
+            [carol.user.accountId]
+        );
+        assert.deepEqual(rows.map((r) => r.description), ["BLUE BOTTLE COFFEE", "SQ *BLUE BOTTLE COFFEE #1234", "SHELL OIL"]);
+        assert.deepEqual((await ctx.request("GET", "/import/duplicates", { token: carol.token })).body, []);
+
+        const again = await ctx.request("POST", `/import/duplicates/${coffee.id}/resolve`, { token: carol.token, body: { action: "keep" } });
+        assert.equal(again.status, 404);
+    });
+
+    it("rejects an unknown action or id", async () => {
+        const badAction = await ctx.request("POST", "/import/duplicates/1/resolve", { token: carol.token, body: { action: "merge" } });
+        assert.equal(badAction.status, 400);
+        assert.equal(badAction.body.errors[0].field, "action");
+
+        const noBody = await ctx.request("POST", "/import/duplicates/1/resolve", { token: carol.token });
+        assert.equal(noBody.status, 400);
+
+        const badId = await ctx.request("POST", "/import/duplicates/first/resolve", { token: carol.token, body: { action: "keep" } });
+        assert.equal(badId.status, 400);
+    });
+});
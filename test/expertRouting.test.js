@@ -0,0 +1,69 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { planPanel, validateRoutingRules } from "../services/expertRouting.js";
+
+const classification = (overrides = {}) => ({
+    question_type: "complex",
+    emotional_state: "curious",
+    topics: { budgeting: false },
+    ...overrides,
+});
+
+describe("validateRoutingRules", () => {
+    it("accepts the shipped rules", () => {
+        assert.doesNotThrow(() => validateRoutingRules());
+    });
+
+    it("lists every problem of a broken configuration", () => {
+        const rules = [
+            { expert: "astrologer", priority: 50, when: { always: true }, reason: "Stars" },
+            { expert: "debt_strategist", priority: "high", when: { path: "totals.totalLiabilities", gt: 0, lt: 10 } },
+            { expert: "tax_optimizer", priority: 80, when: { any: [] }, reason: "Tax" },
+            { expert: "goal_architect", priority: 80, when: { path: "classification.question_type", in: "goal_planning" }, reason: "Goals" },
+            { expert: "lifestyle_auditor", priority: 75, when: { equals: true }, reason: "Budget" },
+        ];
+        assert.throws(() => validateRoutingRules(rules), (err) => {
+            for (const problem of [
+                "routing rule 0 (astrologer): not an expert in expertPanel",
+                "routing rule 0 (astrologer): missing from expertData (icon/name)",
+                "routing rule 1 (debt_strategist): priority must be a number",
+                "routing rule 1 (debt_strategist): reason is required",
+                "routing rule 1 (debt_strategist).when: needs exactly one of",
+                "routing rule 2 (tax_optimizer).when: all/any must be a non-empty array",
+                "routing rule 3 (goal_architect).when: \"in\" must be an array",
+                "routing rule 4 (lifestyle_auditor).when: path is required",
+            ]) {
+                assert.ok(err.message.includes(problem), problem);
+            }
+            return true;
+        });
+    });
+});
+
+describe("planPanel", () => {
+    it("picks experts by priority and keeps every reason", () => {
+        const plan = planPanel(
+            classification({ question_type: "diagnosis", emotional_state: "anxious", topics: { budgeting: true } }),
+            { totals: { totalLiabilities: 1200 } }
+        );
+        assert.deepEqual(plan.experts, ["financial_analyst", "behavioral_therapist", "lifestyle_auditor", "debt_strategist"]);
+        assert.equal(plan.selected.find((s) => s.expert === "lifestyle_auditor").reasons.length, 1);
+        assert.deepEqual(plan.dropped, []);
+    });
+
+    it("drops the lowest priorities past the cap", () => {
+        const plan = planPanel(classification({ question_type: "tax", emotional_state: "defensive" }), { totals: { totalLiabilities: 1 } }, { maxExperts: 2 });
+        assert.deepEqual(plan.experts, ["financial_analyst", "behavioral_therapist"]);
+        assert.deepEqual(plan.dropped.map((d) => d.expert), ["tax_optimizer", "debt_strategist"]);
+    });
+
+    it("merges rules that pick the same expert", () => {
+        const rules = [
+            { expert: "debt_strategist", priority: 10, when: { always: true }, reason: "Low" },
+            { expert: "debt_strategist", priority: 90, when: { path: "totals.totalLiabilities", gte: 100 }, reason: "High" },
+            { expert: "goal_architect", priority: 50, when: { path: "totals.totalLiabilities", lt: 100 }, reason: "Never" },
+        ];
+        const plan = planPanel(classification(), { totals: { totalLiabilities: 100 } }, { rules });
+        assert.deepEqual(plan.selected, [{ expert: "debt_strategist", priority: 90, reasons: ["Low", "High"] }]);
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { extractFigures, verifyAnswer } from "../services/factCheck.js";
+
+const snapshot = {
+    fixedCosts: [{ name: "Rent", category: "Rent", amount: 1500 }],
+    assets: [{ name: "Checking", category: "Checking", value: 4500 }],
+    totals: { totalMonthlyIncome: 5000, totalFixedCosts: 1500, averageMonthlySpending: 1500, totalLiabilities: 0, netWorthApprox: 4500 },
+};
+
+const problems = (answer, extra = {}) =>
+    verifyAnswer({ answer, snapshot, ...extra }).issues.map(({ figure, problem }) => [figure, problem]);
+
+describe("extractFigures", () => {
+    it("finds dollar amounts and percentages in order", () => {
+        const figures = extractFigures("Save $1,234.56 a month (12.5%), about $2.5k, or 40 percent of -$50.");
+        assert.deepEqual(figures.map(({ kind, value }) => [kind, value]), [
+            ["currency", 1234.56],
+            ["percent", 12.5],
+            ["currency", 2500],
+            ["percent", 40],
+            ["currency", -50],
+        ]);
+    });
+});
+
+describe("verifyAnswer", () => {
+    it("accepts figures from the snapshot, the metrics and their yearly amounts", () => {
+        const result = verifyAnswer({
+            answer: "You earn $5,000 a month ($60,000 a year), rent is 30% of it and you keep about $2,000.",
+            snapshot,
+        });
+        assert.deepEqual(result, { result: "passed", checked: 4, supported: 4, issues: [] });
+    });
+
+    it("accepts figures from the experts and the question", () => {
+        const expertResponses = [{ expertId: "lifestyle_auditor", data: { low_hanging_fruit: [{ item: "Gym", annual_savings: "$480" }] } }];
+        assert.deepEqual(problems("Dropping the gym saves $480, and the extra $300 you asked about helps.", {
+            expertResponses,
+            question: "What if I put $300 more into savings?",
+        }), []);
+    });
+
+    it("flags invented figures", () => {
+        assert.deepEqual(problems("You could invest $7,777 at 9% returns."), [["$7,777", "unsupported"], ["9%", "unsupported"]]);
+    });
+
+    it("flags a labelled metric that differs from the computed value", () => {
+        const [issue] = verifyAnswer({ answer: "Your savings rate is 45%, and you have $4,500 in reserves.", snapshot }).issues;
+        assert.deepEqual(issue, { figure: "45%", kind: "percent", value: 45, problem: "contradicted", metric: "savings_rate", expected: 40 });
+        assert.deepEqual(problems("Your savings rate is 40%."), []);
+    });
+
+    it("checks percentages only against computed shares, not any number that happens to match", () => {
+        const withNine = { ...snapshot, assets: [...snapshot.assets, { name: "Coins", category: "Other", value: 9 }] };
+        assert.deepEqual(problems("You could invest at 9% returns.", { snapshot: withNine }), [["9%", "unsupported"]]);
+        assert.deepEqual(problems("Fixed costs take 30% of your income.", { snapshot: withNine }), []);
+
+        const withCategories = { ...snapshot, categoryBreakdown: [{ category: "Dining", percentOfIncome: 9 }] };
+        assert.deepEqual(problems("Dining takes 9% of your income.", { snapshot: withCategories }), []);
+    });
+
+    it("checks dollar amounts only against money fields, closely for small ones", () => {
+        const withCounts = {
+            ...snapshot,
+            fixedCosts: [...snapshot.fixedCosts, { name: "Music", category: "Subscriptions", amount: 4.5 }],
+            goals: [{ id: 37, name: "Car", targetAmount: 9000, monthsLeft: 36 }],
+            subscriptions: { count: 3, monthlyCost: 4.5, annualCost: 54 },
+        };
+        assert.deepEqual(problems("You spend $37 on coffee, $3 on gum and $36 on snacks.", { snapshot: withCounts }), [
+            ["$37", "unsupported"],
+            ["$3", "unsupported"],
+            ["$36", "unsupported"],
+        ]);
+        assert.deepEqual(problems("Music costs $4.50 a month ($54 a year), about $6 with tax.", { snapshot: withCounts }), [["$6", "unsupported"]]);
+        assert.deepEqual(problems("The car goal needs $9,000.", { snapshot: withCounts }), []);
+    });
+
+    it("does not check benchmarks", () => {
+        const result = verifyAnswer({
+            answer: "The 28% rule says housing should stay below 28% of income; experts recommend saving 20%, and yours is 40%.",
+            snapshot,
+        });
+        assert.deepEqual(result, { result: "passed", checked: 1, supported: 1, issues: [] });
+    });
+});
@@ -0,0 +1,70 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { computeFinancialMetrics, computeHealthScore } from "../services/financialMetrics.js";
+
+// Only the parts of the snapshot the metrics read
+const snapshot = ({ income = 5000, spending = 1000, fixedCosts = [], assets = [], liabilities = 0 } = {}) => ({
+    fixedCosts,
+    assets,
+    totals: {
+        totalMonthlyIncome: income,
+        totalFixedCosts: fixedCosts.reduce((sum, { amount }) => sum + amount, 0),
+        averageMonthlySpending: spending,
+        totalLiabilities: liabilities,
+    },
+});
+
+describe("computeFinancialMetrics", () => {
+    it("applies the documented formulas", () => {
+        const { metrics, definitions } = computeFinancialMetrics(snapshot({
+            fixedCosts: [
+                { name: "Rent", category: "Rent", amount: 1500 },
+                { name: "Power", category: "Utilities", amount: 100 },
+                { name: "Gym", category: "Health", amount: 400 },
+            ],
+            assets: [
+                { name: "Chase", category: "Checking", value: 6000 },
+                { name: "High yield", category: "Savings", value: 3000 },
+                { name: "401k", category: "Retirement", value: 50000 },
+            ],
+            liabilities: 30000,
+        }));
+
+        assert.equal(metrics.monthly_expenses, 3000);
+        assert.equal(metrics.savings_rate, 40);
+        assert.equal(metrics.liquid_reserves, 9000);
+        assert.equal(metrics.months_of_runway, 3);
+        assert.equal(metrics.debt_to_income, 50);
+        assert.equal(metrics.housing_ratio, 32);
+        assert.equal(metrics.fixed_cost_ratio, 40);
+        assert.equal(metrics.net_worth_velocity, 2000);
+        assert.ok(Object.keys(metrics).every((name) => definitions[name]?.formula));
+    });
+
+    it("recognises liquid assets by name when they have no category", () => {
+        const { metrics } = computeFinancialMetrics(snapshot({ assets: [{ name: "Emergency savings", category: null, value: 2500 }] }));
+        assert.equal(metrics.liquid_reserves, 2500);
+    });
+
+    it("leaves income ratios and the score null without income", () => {
+        const { metrics } = computeFinancialMetrics(snapshot({ income: 0, liabilities: 1000 }));
+        assert.equal(metrics.savings_rate, null);
+        assert.equal(metrics.debt_to_income, null);
+        assert.equal(metrics.health_score, null);
+        assert.equal(metrics.months_of_runway, 0);
+    });
+});
+
+describe("computeHealthScore", () => {
+    it("gives full points at the best values and none at the worst", () => {
+        const best = { monthly_income: 1, savings_rate: 25, months_of_runway: 12, debt_to_income: 0, housing_ratio: 20, fixed_cost_ratio: 30 };
+        const worst = { monthly_income: 1, savings_rate: -5, months_of_runway: 0, debt_to_income: 300, housing_ratio: 60, fixed_cost_ratio: 90 };
+        assert.equal(computeHealthScore(best).score, 100);
+        assert.equal(computeHealthScore(worst).score, 0);
+    });
+
+    it("scales linearly between them", () => {
+        const { components } = computeHealthScore({ monthly_income: 1, savings_rate: 10, months_of_runway: 3, debt_to_income: 100, housing_ratio: 39, fixed_cost_ratio: 65 });
+        assert.deepEqual(components.map((c) => c.points), [12.5, 12.5, 10, 7.5, 7.5]);
+    });
+});
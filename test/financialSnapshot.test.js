@@ -0,0 +1,141 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildCategoryBreakdown, normalizeMonthlyIncome, summarizeSnapshot } from "../services/financialSnapshot.js";
+import { buildTimeSeries } from "../services/spendingTimeSeries.js";
+
+describe("normalizeMonthlyIncome", () => {
+    it("converts every pay frequency to a monthly amount", () => {
+        assert.equal(normalizeMonthlyIncome(1200, "Weekly"), 5200);
+        assert.equal(normalizeMonthlyIncome(2400, "Every 2 Weeks"), 5200);
+        assert.equal(normalizeMonthlyIncome(2500, "15th And 30th"), 5000);
+        assert.equal(normalizeMonthlyIncome(5000, "Monthly"), 5000);
+    });
+
+    it("returns 0 for missing amounts and unknown frequencies", () => {
+        assert.equal(normalizeMonthlyIncome(0, "Monthly"), 0);
+        assert.equal(normalizeMonthlyIncome(1000, null), 0);
+        assert.equal(normalizeMonthlyIncome(1000, "Yearly"), 0);
+    });
+});
+
+describe("buildCategoryBreakdown", () => {
+    it("averages card spending over the months and expresses everything as a share of income", () => {
+        const breakdown = buildCategoryBreakdown({
+            fixedCosts: [{ category: "Mortgage", amount: 2000 }, { category: null, amount: 50 }],
+            months: [
+                { categories: [{ category: "Groceries", total: 600 }] },
+                { categories: [{ category: "Groceries", total: 400 }, { category: "Travel", total: 300 }] },
+            ],
+            monthlyIncome: 5000,
+        });
+
+        assert.deepEqual(breakdown, [
+            { category: "Mortgage", kind: "fixed", monthlyAmount: 2000, annualAmount: 24000, percentOfIncome: 40 },
+            { category: "Groceries", kind: "spending", monthlyAmount: 500, annualAmount: 6000, percentOfIncome: 10 },
+            { category: "Travel", kind: "spending", monthlyAmount: 150, annualAmount: 1800, percentOfIncome: 3 },
+            { category: "Other", kind: "fixed", monthlyAmount: 50, annualAmount: 600, percentOfIncome: 1 },
+        ]);
+    });
+
+    it("leaves percentOfIncome null without income", () => {
+        const [row] = buildCategoryBreakdown({ fixedCosts: [{ category: "Rent", amount: 1000 }], months: [], monthlyIncome: 0 });
+        assert.equal(row.percentOfIncome, null);
+    });
+});
+
+describe("buildTimeSeries", () => {
+    it("leaves the month in progress out of the trailing averages", () => {
+        const series = buildTimeSeries(
+            [
+                { period_start: "2025-01-01", category: "Groceries", total: "300" },
+                { period_start: "2025-02-01", category: "Groceries", total: "500" },
+                { period_start: "2025-03-01", category: "Groceries", total: "400" },
+                { period_start: "2025-04-01", category: "Groceries", total: "10" },
+            ],
+            { asOf: "2025-04-03" }
+        );
+        const [, , march, april] = series.periods;
+
+        assert.equal(march.trailingAverages["3"], 400);
+        assert.equal(april.partial, true);
+        assert.equal(april.trailingAverages["3"], 400);
+        assert.equal(series.categories[0].trailingAverages["3"], 400);
+    });
+});
+
+describe("summarizeSnapshot", () => {
+    // Rows as pg returns them: NUMERIC columns come back as strings
+    const spendingSeries = buildTimeSeries(
+        [
+            { period_start: "2025-01-01", category: "Groceries", total: "300" },
+            { period_start: "2025-02-01", category: "Groceries", total: "500" },
+            { period_start: "2025-03-01", category: "Groceries", total: "100" },
+        ],
+        { asOf: "2025-03-10" }
+    );
+
+    const snapshot = summarizeSnapshot({
+        fixedCostRows: [{ name: "Mortgage", category: "Mortgage", amount: "2000" }],
+        incomeRows: [
+            { source: "Job", amount: "2400", frequency: "Every 2 Weeks" },
+            { source: "Side gig", amount: "500", frequency: "Monthly" },
+        ],
+        assetRows: [{ name: "Savings", category: "Cash", value: "15000" }],
+        liabilityRows: [{ name: "Car loan", category: "Auto", value: "5000" }],
+        spendingRows: [
+            { name: "2025-01", category: "Groceries", value: "300" },
+            { name: "2025-02", category: "Groceries", value: "500" },
+            { name: "2025-03", category: "Groceries", value: "100" },
+        ],
+        subscriptions: {
+            subscriptions: [
+                { merchant: "NETFLIX", category: "Entertainment", cadence: "monthly", lastAmount: 15.49, annualizedCost: 185.88, nextChargeDate: "2025-03-20", isNew: false, isActive: true, priceIncrease: null },
+                { merchant: "GYM", category: "Health", cadence: "monthly", lastAmount: 40, annualizedCost: 480, nextChargeDate: "2024-10-01", isNew: false, isActive: false, priceIncrease: null },
+            ],
+            summary: { count: 1, monthlyCost: 15.49, annualCost: 185.88, priceIncreases: [], newSubscriptions: [] },
+        },
+        spendingSeries,
+    });
+
+    it("adds up every section as numbers", () => {
+        assert.equal(snapshot.totals.totalMonthlyIncome, 5700);
+        assert.equal(snapshot.totals.totalFixedCosts, 2000);
+        assert.equal(snapshot.totals.totalAssets, 15000);
+        assert.equal(snapshot.totals.totalLiabilities, 5000);
+        assert.equal(snapshot.totals.totalSpending, 900);
+        assert.equal(snapshot.totals.netWorthApprox, 10000);
+    });
+
+    it("uses the average of complete months for cash flow, not all-time spending", () => {
+        // March is still in progress, so January and February count
+        assert.equal(snapshot.totals.averageMonthlySpending, 400);
+        assert.equal(snapshot.totals.monthlyCashflowApprox, 5700 - 2000 - 400);
+    });
+
+    it("keeps only active subscriptions", () => {
+        assert.deepEqual(snapshot.subscriptions.active.map((s) => s.merchant), ["NETFLIX"]);
+        assert.equal(snapshot.subscriptions.count, 1);
+    });
+
+    it("reports this month's budgets only when the user set some", () => {
+        assert.equal(snapshot.categoryBudgets, null);
+
+        const { categoryBudgets } = summarizeSnapshot({
+            fixedCostRows: [],
+            incomeRows: [],
+            assetRows: [],
+            liabilityRows: [],
+            spendingRows: [],
+            subscriptions: { subscriptions: [], summary: {} },
+            spendingSeries,
+            budgetRows: [{ category: "Groceries", monthly_limit: "300", rollover: false }],
+        });
+        assert.equal(categoryBudgets.month, new Date().toISOString().slice(0, 7));
+        assert.deepEqual(categoryBudgets.categories.map((c) => [c.category, c.limit]), [["Groceries", 300]]);
+    });
+
+    it("includes trends and the per-category breakdown", () => {
+        assert.deepEqual(snapshot.spendingTrends.recentMonths.map((m) => m.period), ["2025-01", "2025-02", "2025-03"]);
+        assert.deepEqual(snapshot.categoryBreakdown.map((c) => c.category), ["Mortgage", "Groceries"]);
+    });
+});
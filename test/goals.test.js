@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { computeGoalProgress, planGoals, recentMonthlyPace } from "../services/goals.js";
+
+const asOf = new Date("2026-10-18T12:00:00Z");
+const goal = { id: 1, name: "Emergency fund", target_amount: "10000", deadline: "2027-10-18", priority: "High", asset_name: "Savings", asset_value: "4000" };
+
+describe("recentMonthlyPace", () => {
+    it("averages the change since the start of the 3-month window", () => {
+        const history = [
+            { value: "1000", recorded_at: "2026-01-05T00:00:00Z" },
+            { value: "2500", recorded_at: "2026-07-01T00:00:00Z" },
+            { value: "4000", recorded_at: "2026-10-01T00:00:00Z" },
+        ];
+        assert.equal(recentMonthlyPace(history, 4000, asOf), 500);
+    });
+
+    it("uses the first value of a newer asset, and needs a month of history", () => {
+        const twoMonths = [{ value: "3000", recorded_at: "2026-08-18T12:00:00Z" }];
+        assert.ok(Math.abs(recentMonthlyPace(twoMonths, 4000, asOf) - 500) < 10);
+        assert.equal(recentMonthlyPace([{ value: "3000", recorded_at: "2026-10-01T00:00:00Z" }], 4000, asOf), null);
+    });
+});
+
+describe("computeGoalProgress", () => {
+    const history = [{ value: "2500", recorded_at: "2026-07-01T00:00:00Z" }];
+
+    it("computes progress and the contribution needed by the deadline", () => {
+        const progress = computeGoalProgress(goal, { history, asOf });
+        assert.equal(progress.percentComplete, 40);
+        assert.equal(progress.remaining, 6000);
+        assert.equal(progress.monthsLeft, 12);
+        assert.equal(progress.requiredMonthlyContribution, 500);
+        assert.equal(progress.recentMonthlyPace, 500);
+        assert.equal(progress.status, "on_track");
+        assert.equal(progress.projectedCompletion, "2027-10");
+    });
+
+    it("sorts goals into achieved, untracked, overdue, behind and unknown", () => {
+        const status = (changes) => computeGoalProgress({ ...goal, ...changes }, { history, asOf }).status;
+        assert.equal(status({ asset_value: "12000" }), "achieved");
+        assert.equal(status({ asset_value: null, asset_name: null }), "untracked");
+        assert.equal(status({ deadline: "2026-09-01" }), "overdue");
+        assert.equal(status({ deadline: "2027-04-18" }), "behind");
+        assert.equal(status({ deadline: null }), "unknown");
+    });
+
+    it("asks for the whole remainder once the deadline is this month", () => {
+        const progress = computeGoalProgress({ ...goal, deadline: "2026-11-01" }, { asOf });
+        assert.equal(progress.monthsLeft, 0);
+        assert.equal(progress.requiredMonthlyContribution, 6000);
+    });
+});
+
+describe("planGoals", () => {
+    it("funds goals from the cash flow in priority order, then by deadline", () => {
+        const goals = [
+            { name: "Vacation", priority: "Low", deadline: "2027-06-01", requiredMonthlyContribution: 300, status: "behind" },
+            { name: "House", priority: "High", deadline: "2030-01-01", requiredMonthlyContribution: 800, status: "behind" },
+            { name: "Car", priority: "High", deadline: "2028-01-01", requiredMonthlyContribution: 400, status: "on_track" },
+        ];
+        const { goals: planned, summary } = planGoals(goals, 1000);
+
+        assert.deepEqual(planned.map((g) => [g.name, g.fundedMonthly, g.shortfall]), [
+            ["Car", 400, 0],
+            ["House", 600, 200],
+            ["Vacation", 0, 300],
+        ]);
+        assert.deepEqual(summary, { totalRequiredMonthly: 1500, monthlyCashflowApprox: 1000, leftAfterGoals: -500, affordable: false });
+    });
+});
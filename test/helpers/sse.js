@@ -0,0 +1,30 @@
+/**
+ * test/helpers/sse.js
+ * -----------------------------------------------------------------------------
+ * parseSSE(text) splits a Server-Sent Events body into events:
+ *   [{ event, id, data }]   data is JSON-parsed when possible
+ * Comment lines (": keep-alive") are skipped.
+ */
+
+export const parseSSE = (text) =>
+    text
+        .split(/\n\n/)
+        .map((block) => block.split("\n").filter((line) => line && !line.startsWith(":")))
+        .filter((lines) => lines.length)
+        .map((lines) => {
+            const event = { event: "message", id: null, data: null };
+            const data = [];
+            for (const line of lines) {
+                const [, field, value] = line.match(/^([^:]+):? ?(.*)$/);
+                if (field === "data") data.push(value);
+                else if (field === "event") event.event = value;
+                else if (field === "id") event.id = value;
+            }
+            const raw = data.join("\n");
+            try {
+                event.data = JSON.parse(raw);
+            } catch {
+                event.data = raw;
+            }
+            return event;
+        });
@@ -0,0 +1,98 @@
+/**
+ * test/helpers/testApp.js
+ * -----------------------------------------------------------------------------
+ * Spins up the Express app from server.js against a throwaway Postgres schema.
+ *
+ *   const ctx = await startTestApp();
+ *   const { token, user } = await ctx.signup("alice");
+ *   const res = await ctx.request("GET", `/config/${user.accountId}`, { token });
+ *   await ctx.close();
+ *
+ * startTestApp({ beforeMigrate }) runs beforeMigrate(pool) on the empty schema
+ * first, e.g. to recreate tables the way an older version left them.
+ *
+ * TEST_DATABASE_URL points at a database the tests may create schemas in.
+ * Without it the integration suites are skipped (see dbAvailable).
+ * The LLM provider is the fixture-driven mock, so no model is ever called.
+ */
+
+import { once } from "node:events";
+import { randomUUID } from "node:crypto";
+import pg from "pg";
+
+export const dbAvailable = Boolean(process.env.TEST_DATABASE_URL);
+export const skipReason = dbAvailable ? false : "TEST_DATABASE_URL is not set";
+
+// One schema per test file (node --test runs each file in its own process).
+// Set when this helper loads, so it must be imported before anything that
+// pulls in services/db.js.
+const schema = `test_${randomUUID().replaceAll("-", "").slice(0, 16)}`;
+
+if (dbAvailable) {
+    Object.assign(process.env, {
+        DATABASE_URL: process.env.TEST_DATABASE_URL,
+        DB_SCHEMA: schema,
+    });
+}
+Object.assign(process.env, {
+    JWT_SECRET: process.env.JWT_SECRET || "test-secret",
+    LLM_PROVIDER: "mock",
+    EXPERT_RETRIES: "0",
+});
+
+export const startTestApp = async ({ beforeMigrate } = {}) => {
+    const admin = new pg.Client({ connectionString: process.env.TEST_DATABASE_URL });
+    await admin.connect();
+    await admin.query(`CREATE SCHEMA ${schema};`);
+    await admin.end();
+
+    const { app } = await import("../../server.js");
+    const { pool, closePool } = await import("../../services/db.js");
+    const { migrateUp } = await import("../../scripts/migrate.js");
+    await beforeMigrate?.(pool);
+    await migrateUp(pool);
+
+    const server = app.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * request(method, path, { token, body, form, headers })
+     * JSON in and out; `form` sends a FormData body (uploads) instead.
+     * Returns { status, headers, body, text }.
+     */
+    const request = async (method, path, { token, body, form, headers: extraHeaders } = {}) => {
+        const headers = { ...extraHeaders };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (body !== undefined) headers["Content-Type"] = "application/json";
+
+        const res = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers,
+            body: form ?? (body === undefined ? undefined : JSON.stringify(body)),
+        });
+        const text = await res.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch {
+            // SSE and other non-JSON responses
+        }
+        return { status: res.status, headers: res.headers, body: json, text };
+    };
+
+    const signup = async (username = `user_${randomUUID().slice(0, 8)}`) => {
+        const res = await request("POST", "/auth/signup", { body: { username, password: "correct-horse" } });
+        if (res.status !== 201) throw new Error(`signup failed: ${res.text}`);
+        return res.body;
+    };
+
+    const close = async () => {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+        await pool.query(`DROP SCHEMA ${schema} CASCADE;`);
+        await closePool();
+    };
+
+    return { baseUrl, pool, request, signup, close };
+};
@@ -0,0 +1,128 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import xlsx from "xlsx";
+import { skipReason, startTestApp } from "./helpers/testApp.js";
+
+const upload = (name, content, fields = {}) => {
+    const form = new FormData();
+    form.append("file", new Blob([content]), name);
+    for (const [key, value] of Object.entries(fields)) form.append(key, value);
+    return form;
+};
+
+const CHASE_CSV = `Transaction Date,Post Date,Description,Category,Type,Amount,Memo
+01/15/2025,01/16/2025,WHOLE FOODS,Groceries,Sale,-84.12,
+01/17/2025,01/18/2025,PAYMENT THANK YOU,,Payment,500.00,
+not a date,01/18/2025,BROKEN ROW,,Sale,abc,
+`;
+
+describe("/import uploads", { skip: skipReason }, () => {
+    let ctx;
+    let alice;
+
+    before(async () => {
+        ctx = await startTestApp();
+        alice = await ctx.signup("alice");
+    });
+
+    after(() => ctx?.close());
+
+    it("requires a file", async () => {
+        const form = new FormData();
+        form.append("profile", "chase");
+        const res = await ctx.request("POST", "/import/preview", { token: alice.token, form });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, "file");
+    });
+
+    it("rejects a file with no rows", async () => {
+        const res = await ctx.request("POST", "/import/preview", {
+            token: alice.token,
+            form: upload("empty.csv", "Transaction Date,Description,Amount\n", { profile: "chase" }),
+        });
+        assert.equal(res.status, 400);
+        assert.match(res.body.errors[0].message, /No rows/);
+    });
+
+    it("needs a profile or mapping for CSV files", async () => {
+        const res = await ctx.request("POST", "/import/preview", { token: alice.token, form: upload("s.csv", CHASE_CSV) });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, "profile");
+    });
+
+    it("rejects a mapping that isn't JSON", async () => {
+        const res = await ctx.request("POST", "/import/preview", {
+            token: alice.token,
+            form: upload("s.csv", CHASE_CSV, { mapping: "{not json" }),
+        });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, "mapping");
+    });
+
+    it("previews an XLSX workbook with a column mapping", async () => {
+        const book = xlsx.utils.book_new();
+        xlsx.utils.book_append_sheet(book, xlsx.utils.aoa_to_sheet([
+            ["Date", "Description", "Amount"],
+            [new Date(Date.UTC(2025, 0, 15)), "WHOLE FOODS", -84.12],
+            ["2025-01-17", "PAYMENT THANK YOU", 500],
+        ]), "Sheet1");
+        const mapping = {
+            columns: { transaction_date: "Date", description: "Description", amount: "Amount" },
+            dateFormat: "YYYY-MM-DD",
+            amountSign: "spend_negative",
+        };
+
+        const res = await ctx.request("POST", "/import/preview", {
+            token: alice.token,
+            form: upload("statement.xlsx", xlsx.write(book, { type: "buffer", bookType: "xlsx" }), { mapping: JSON.stringify(mapping) }),
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.format, "xlsx");
+        assert.deepEqual(res.body.rows.map(({ record }) => [record.transaction_date, record.type, record.amount]), [["2025-01-15", "Sale", 84.12], ["2025-01-17", "Payment", -500]]);
+    });
+
+    it("reports malformed rows with their line numbers and imports the rest", async () => {
+        const preview = await ctx.request("POST", "/import/preview", {
+            token: alice.token,
+            form: upload("s.csv", CHASE_CSV, { profile: "chase" }),
+        });
+        assert.equal(preview.status, 200);
+        assert.equal(preview.body.totals.valid, 2);
+        assert.equal(preview.body.totals.invalid, 1);
+        // Header is line 1, so the third data row is line 4
+        assert.equal(preview.body.errors[0].line, 4);
+
+        const committed = await ctx.request("POST", "/import", {
+            token: alice.token,
+            form: upload("s.csv", CHASE_CSV, { profile: "chase" }),
+        });
+        assert.equal(committed.status, 200);
+
+        const { rows } = await ctx.pool.query(
+            `SELECT description, type, amount FROM credit_cards WHERE account_id = $1 ORDER BY transaction_date;`,
+            [alice.user.accountId]
+        );
+        assert.deepEqual(
+            rows.map((r) => [r.description, r.type, Number(r.amount)]),
+            [["WHOLE FOODS", "Sale", 84.12], ["PAYMENT THANK YOU", "Payment", -500]]
+        );
+    });
+
+    it("inserts a file uploaded twice at the same time only once", async () => {
+        const bob = await ctx.signup("bob");
+        const csv = `Transaction Date,Post Date,Description,Category,Type,Amount,Memo
+02/03/2025,02/04/2025,BLUE BOTTLE,Dining,Sale,-4.50,
+02/03/2025,02/04/2025,BLUE BOTTLE,Dining,Sale,-4.50,
+02/05/2025,02/06/2025,SHELL OIL,Gas,Sale,-40.00,
+`;
+        const results = await Promise.all([1, 2].map(() =>
+            ctx.request("POST", "/import", { token: bob.token, form: upload("s.csv", csv, { profile: "chase" }) })
+        ));
+        assert.deepEqual(results.map((r) => r.status), [200, 200]);
+        assert.deepEqual(results.map((r) => r.body.rowsDuplicate).sort(), [0, 3]);
+
+        const { rows } = await ctx.pool.query(`SELECT COUNT(*)::int count FROM credit_cards WHERE account_id = $1;`, [bob.user.accountId]);
+        // Both coffees are real charges, the second upload adds nothing
+        assert.equal(rows[0].count, 3);
+    });
+});
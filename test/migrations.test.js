@@ -0,0 +1,106 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { skipReason, startTestApp } from "./helpers/testApp.js";
+
+// The tables as the old scripts/databaseSetup.js created them
+const LEGACY_SCHEMA = `
+    CREATE TABLE incomes (id SERIAL PRIMARY KEY, account_id VARCHAR(100), source VARCHAR(100), amount BIGINT, frequency VARCHAR(100));
+    CREATE TABLE assets (id SERIAL PRIMARY KEY, account_id VARCHAR(100), name VARCHAR(100), category VARCHAR(100), value BIGINT);
+    CREATE TABLE liabilities (id SERIAL PRIMARY KEY, account_id VARCHAR(100), name VARCHAR(100), category VARCHAR(100), value BIGINT);
+    CREATE TABLE fixed_costs (id SERIAL PRIMARY KEY, account_id VARCHAR(100), name VARCHAR(100), amount BIGINT, category VARCHAR(100));
+    CREATE TABLE files (id SERIAL PRIMARY KEY, account_id VARCHAR(100), category VARCHAR(100), path VARCHAR(200));
+    CREATE TABLE credit_cards (id SERIAL PRIMARY KEY, account_id VARCHAR(100), transaction_date DATE, post_date DATE,
+        description VARCHAR(400), category VARCHAR(100), type VARCHAR(100), amount BIGINT, memo VARCHAR(200));
+    CREATE TABLE users (id SERIAL PRIMARY KEY, username VARCHAR(100), password VARCHAR(100), account_id VARCHAR(100));
+
+    INSERT INTO users (username, password, account_id) VALUES ('legacy', 'hunter22', 'legacy-account');
+    INSERT INTO incomes (account_id, source, amount, frequency) VALUES ('legacy-account', 'Job', 4000, 'Monthly');
+    INSERT INTO assets (account_id, name, category, value) VALUES ('legacy-account', 'Savings', 'Cash', 12000);
+    INSERT INTO credit_cards (account_id, transaction_date, description, category, type, amount)
+        VALUES ('legacy-account', '2025-01-05', 'Grocer', 'Groceries', 'Sale', 80),
+               ('legacy-account', '2025-01-09', 'Grocer', 'Groceries', 'Return', 20);
+`;
+
+describe("migrations on a database from the old setup script", { skip: skipReason }, () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp({ beforeMigrate: (pool) => pool.query(LEGACY_SCHEMA) });
+    });
+
+    after(() => ctx?.close());
+
+    it("upgrades the users table and drops the plaintext passwords", async () => {
+        const { rows } = await ctx.pool.query(
+            `SELECT column_name, is_nullable FROM information_schema.columns
+            WHERE table_schema = current_schema() AND table_name = 'users' ORDER BY column_name;`
+        );
+        assert.deepEqual(rows.map((r) => r.column_name), ["account_id", "created_at", "id", "password_hash", "username"]);
+        assert.equal(rows.find((r) => r.column_name === "username").is_nullable, "NO");
+        assert.equal(rows.find((r) => r.column_name === "account_id").is_nullable, "NO");
+
+        await assert.rejects(
+            ctx.pool.query(`INSERT INTO users (username, account_id) VALUES ('legacy', 'another-account');`),
+            { code: "23505" }
+        );
+        await assert.rejects(
+            ctx.pool.query(`INSERT INTO users (username, account_id) VALUES ('someone', 'legacy-account');`),
+            { code: "23505" }
+        );
+    });
+
+    it("lets new users sign up and log in", async () => {
+        const { token, user } = await ctx.signup("newcomer");
+        const login = await ctx.request("POST", "/auth/login", { body: { username: "newcomer", password: "correct-horse" } });
+        assert.equal(login.status, 200);
+
+        const config = await ctx.request("GET", `/config/${user.accountId}`, { token });
+        assert.equal(config.status, 200);
+    });
+
+    it("keeps a legacy user's username but refuses their old plaintext password", async () => {
+        const login = await ctx.request("POST", "/auth/login", { body: { username: "legacy", password: "hunter22" } });
+        assert.equal(login.status, 401);
+
+        const signup = await ctx.request("POST", "/auth/signup", { body: { username: "legacy", password: "correct-horse" } });
+        assert.equal(signup.status, 409);
+    });
+
+    it("keeps the existing rows, with card returns signed", async () => {
+        const { rows: incomes } = await ctx.pool.query(`SELECT amount FROM incomes WHERE account_id = 'legacy-account';`);
+        assert.equal(Number(incomes[0].amount), 4000);
+
+        const { rows: cards } = await ctx.pool.query(`SELECT type, amount FROM credit_cards WHERE account_id = 'legacy-account' ORDER BY id;`);
+        assert.deepEqual(cards.map((r) => [r.type, Number(r.amount)]), [["Sale", 80], ["Return", -20]]);
+
+        const { rows: history } = await ctx.pool.query(`SELECT value FROM asset_values WHERE account_id = 'legacy-account';`);
+        assert.equal(Number(history[0].value), 12000);
+    });
+
+    it("refuses a step count or target that isn't a positive whole number", async () => {
+        const { migrateDown, migrateUp, migrationStatus } = await import("../scripts/migrate.js");
+        for (const steps of [NaN, 0, -1, 1.5, "2"]) {
+            await assert.rejects(migrateDown(ctx.pool, { steps }), /steps must be a whole number/, String(steps));
+        }
+        await assert.rejects(migrateUp(ctx.pool, { target: NaN }), /target must be a migration version/);
+
+        const status = await migrationStatus(ctx.pool);
+        assert.ok(status.every((m) => m.state === "applied"));
+    });
+
+    it("prints the usage instead of migrating on a mistyped CLI argument", async () => {
+        const { migrationStatus } = await import("../scripts/migrate.js");
+        for (const args of [["down", "abc"], ["down", "2x"], ["up", "latest"]]) {
+            await assert.rejects(promisify(execFile)(process.execPath, ["scripts/migrate.js", ...args], { env: process.env }), (err) => {
+                assert.equal(err.code, 1);
+                assert.match(err.stderr, /Usage:/);
+                return true;
+            }, args.join(" "));
+        }
+
+        const status = await migrationStatus(ctx.pool);
+        assert.ok(status.every((m) => m.state === "applied"));
+    });
+});
@@ -0,0 +1,248 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { skipReason, startTestApp } from "./helpers/testApp.js";
+import { parseSSE } from "./helpers/sse.js";
+import { setProvider } from "../services/llmProvider.js";
+import { createMockProvider, loadFixtures } from "../services/mockProvider.js";
+import { FACT_CHECK_CONFIG } from "../services/factCheck.js";
+
+const fixtures = loadFixtures(fileURLToPath(new URL("./fixtures/llm.json", import.meta.url)));
+
+// The default fixtures plus per-test JSON responses (e.g. a failing expert)
+const useFixtures = (json = {}) => {
+    const provider = createMockProvider({ fixtures: { ...fixtures, json: { ...fixtures.json, ...json } } });
+    setProvider(provider);
+    return provider;
+};
+
+describe("/openai", { skip: skipReason }, () => {
+    let ctx;
+    let alice;
+
+    before(async () => {
+        ctx = await startTestApp();
+        alice = await ctx.signup("alice");
+        const add = (table, values) => ctx.request("POST", `/config/${table}`, { token: alice.token, body: { values } });
+        await add("incomes", { source: "Job", amount: 6000, frequency: "Monthly" });
+        await add("liabilities", { name: "Car loan", category: "Auto", value: 8000 });
+    });
+
+    afterEach(() => setProvider(null));
+    after(() => ctx?.close());
+
+    const ask = (question, token = alice.token) => ctx.request("POST", "/openai", { token, body: { question } });
+
+    it("requires a token", async () => {
+        const res = await ctx.request("POST", "/openai", { body: { question: "What is my income?" } });
+        assert.equal(res.status, 401);
+    });
+
+    it("rejects a missing question before opening the stream", async () => {
+        const res = await ctx.request("POST", "/openai", { token: alice.token, body: {} });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, "question");
+    });
+
+    it("streams status updates, then the answer, then done", async () => {
+        const provider = useFixtures();
+        const res = await ask("What is my income?");
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get("content-type"), /text\/event-stream/);
+
+        const frames = parseSSE(res.text);
+        const events = frames.map((e) => e.data);
+        const firstDelta = events.findIndex((e) => "delta" in e);
+        const lastStatus = events.findLastIndex((e) => "status" in e);
+
+        assert.ok(lastStatus >= 0 && firstDelta > lastStatus, "every status comes before the answer");
+        assert.equal(events.filter((e) => "delta" in e).map((e) => e.delta).join(""), fixtures.stream.join(""));
+        assert.deepEqual(events.at(-1), { done: true });
+        assert.ok(!events.some((e) => "error" in e));
+
+        // Named, numbered frames with exactly one terminal event
+        const { runId } = frames[0].data;
+        assert.equal(frames[0].event, "run");
+        assert.deepEqual(frames.map((f) => f.id), frames.map((_, i) => `${runId}:${i + 1}`));
+        assert.deepEqual(frames.filter((f) => f.event === "done" || f.event === "error").map((f) => f.event), ["done"]);
+        assert.ok(frames.filter((f) => f.event === "delta").every((f) => typeof f.data.delta === "string"));
+        assert.ok(frames.filter((f) => f.event === "status").every((f) => typeof f.data.status === "string"));
+
+        const results = frames.filter((f) => f.event === "expert_result").map((f) => f.data);
+        assert.deepEqual(results.map((r) => r.expert).sort(), ["debt_strategist", "financial_analyst"]);
+        assert.ok(results.every((r) => r.status === "completed" && r.summary && r.name && r.icon));
+
+        // Liabilities route the Debt Strategist alongside the Financial Analyst
+        const experts = provider.calls.filter((c) => c.schema?.endsWith("_analysis")).map((c) => c.schema).sort();
+        assert.deepEqual(experts, ["debt_strategist_analysis", "financial_analyst_analysis"]);
+
+        // The experts get the computed metrics as ground truth, and the analyst's numbers are replaced by them
+        const analystCall = provider.calls.find((c) => c.schema === "financial_analyst_analysis");
+        assert.match(analystCall.messages[0].content, /Ground-truth metrics.*"savings_rate"/s);
+        const analyst = results.find((r) => r.expert === "financial_analyst");
+        assert.equal(analyst.summary.key_metrics.savings_rate, 100);
+
+        // The Debt Strategist gets the simulated payoff schedules and its interest figures come from them
+        const strategistCall = provider.calls.find((c) => c.schema === "debt_strategist_analysis");
+        const reviewed = JSON.parse(strategistCall.messages[1].content.split("Data to review:\n")[1]);
+        assert.equal(reviewed.payoffPlan.comparison.current.debts[0].name, "Car loan");
+        assert.ok(reviewed.payoffPlan.schedules.avalanche.length > 0);
+        const strategist = results.find((r) => r.expert === "debt_strategist");
+        assert.equal(strategist.summary.total_interest_paid_current_path, reviewed.payoffPlan.comparison.current.totalInterest);
+    });
+
+    it("keeps going when one expert fails", async () => {
+        useFixtures({ debt_strategist_analysis: { $error: "upstream failure", status: 500 } });
+        const events = parseSSE((await ask("What is my income?")).text).map((e) => e.data);
+
+        assert.ok(events.some((e) => /Debt Strategist couldn't finish/.test(e.status ?? "")));
+        assert.deepEqual(
+            events.find((e) => e.expert === "debt_strategist"),
+            { expert: "debt_strategist", name: "Debt Strategist", icon: events.find((e) => e.expert === "debt_strategist").icon, status: "failed", error: "upstream failure" }
+        );
+        assert.ok(events.some((e) => "delta" in e));
+        assert.deepEqual(events.at(-1), { done: true });
+    });
+
+    it("reports an error event when no expert can finish", async () => {
+        useFixtures({
+            financial_analyst_analysis: { $error: "upstream failure", status: 500 },
+            debt_strategist_analysis: { $error: "upstream failure", status: 500 },
+        });
+        const frames = parseSSE((await ask("What is my income?")).text);
+
+        assert.equal(frames.at(-1).event, "error");
+        assert.match(frames.at(-1).data.error, /None of the experts/);
+        assert.ok(!frames.some((f) => f.event === "delta" || f.event === "done"));
+    });
+
+    it("fact-checks the figures in the answer", async () => {
+        useFixtures();
+        const frames = parseSSE((await ask("What is my income?")).text);
+
+        const verification = frames.find((f) => f.event === "verification");
+        assert.deepEqual(verification.data, { result: "passed", checked: 1, supported: 1, issues: [], attempt: 1, regenerating: false });
+        assert.deepEqual(frames.slice(-3).map((f) => f.event), ["verification", "saved", "done"]);
+
+        const { rows } = await ctx.pool.query(`SELECT verification FROM analysis_runs WHERE id = $1;`, [frames[0].data.runId]);
+        assert.deepEqual(rows[0].verification, [verification.data]);
+    });
+
+    it("regenerates an answer with invented figures once when enabled", async (t) => {
+        FACT_CHECK_CONFIG.regenerate = true;
+        t.after(() => (FACT_CHECK_CONFIG.regenerate = false));
+
+        const mock = createMockProvider({ fixtures });
+        const answers = [["Your savings rate is 35%, ", "you earn $6,000."], ["Your savings rate is 100%."]];
+        const corrections = [];
+        setProvider({
+            ...mock,
+            streamText: async function* (req) {
+                corrections.push(req.messages.at(-1).content);
+                yield* answers.shift();
+            },
+        });
+
+        const frames = parseSSE((await ask("What is my income?")).text);
+        const [first, second] = frames.filter((f) => f.event === "verification").map((f) => f.data);
+
+        assert.equal(first.regenerating, true);
+        assert.deepEqual(first.issues, [
+            { figure: "35%", kind: "percent", value: 35, problem: "contradicted", metric: "savings_rate", expected: 100 },
+        ]);
+        assert.match(corrections[1], /not backed by the data.*35%/s);
+        assert.deepEqual({ result: second.result, attempt: second.attempt, regenerating: second.regenerating }, { result: "passed", attempt: 2, regenerating: false });
+
+        // The corrected answer is the one kept
+        const { rows } = await ctx.pool.query(`SELECT final_text FROM analysis_runs WHERE id = $1;`, [frames[0].data.runId]);
+        assert.equal(rows[0].final_text, "Your savings rate is 100%.");
+    });
+
+    it("resumes an in-flight answer after the connection drops", async () => {
+        // The final answer pauses halfway until the test lets it finish
+        let release;
+        const gate = new Promise((resolve) => (release = resolve));
+        const mock = createMockProvider({ fixtures });
+        setProvider({
+            ...mock,
+            streamText: async function* () {
+                yield "Part one. ";
+                await gate;
+                yield "Part two.";
+            },
+        });
+
+        const controller = new AbortController();
+        const first = await fetch(`${ctx.baseUrl}/openai`, {
+            method: "POST",
+            headers: { Authorization: `Bearer ${alice.token}`, "Content-Type": "application/json" },
+            body: JSON.stringify({ question: "What is my income?" }),
+            signal: controller.signal,
+        });
+
+        // Read until the first half of the answer arrives, then drop the connection
+        const reader = first.body.pipeThrough(new TextDecoderStream()).getReader();
+        let text = "";
+        while (!text.includes("Part one.")) text += (await reader.read()).value;
+        controller.abort();
+
+        const seen = parseSSE(text);
+        const lastEventId = seen.at(-1).id;
+        const { runId } = seen[0].data;
+
+        const resumed = ctx.request("GET", `/openai/stream/${runId}`, { token: alice.token, headers: { "Last-Event-ID": lastEventId } });
+        setTimeout(release, 50);
+        const frames = parseSSE((await resumed).text);
+
+        assert.equal(frames[0].id, `${runId}:${Number(lastEventId.split(":")[1]) + 1}`);
+        assert.equal(frames.filter((f) => f.event === "delta").map((f) => f.data.delta).join(""), "Part two.");
+        assert.deepEqual(frames.filter((f) => f.event === "done").length, 1);
+
+        const { rows } = await ctx.pool.query(`SELECT status, final_text FROM analysis_runs WHERE id = $1;`, [runId]);
+        assert.deepEqual(rows[0], { status: "completed", final_text: "Part one. Part two." });
+
+        // A retried POST with Last-Event-ID picks up the same (now finished) run
+        const retried = await ctx.request("POST", "/openai", { token: alice.token, headers: { "Last-Event-ID": lastEventId }, body: { question: "What is my income?" } });
+        assert.deepEqual(parseSSE(retried.text).map((f) => f.event), frames.map((f) => f.event));
+    });
+
+    it("only resumes the caller's own streams", async () => {
+        useFixtures();
+        const { runId } = parseSSE((await ask("What is my income?")).text)[0].data;
+        const bob = await ctx.signup("bob");
+
+        const stolen = await ctx.request("GET", `/openai/stream/${runId}`, { token: bob.token });
+        assert.equal(stolen.status, 404);
+
+        const malformed = await ctx.request("GET", `/openai/stream/${runId}`, { token: alice.token, headers: { "Last-Event-ID": "nope" } });
+        assert.equal(malformed.status, 400);
+
+        const otherRun = await ctx.request("GET", `/openai/stream/${runId}`, { token: alice.token, headers: { "Last-Event-ID": `${runId + 1}:2` } });
+        assert.equal(otherRun.status, 400);
+    });
+
+    it("falls back to the keyword classifier when the model returns something invalid", async () => {
+        useFixtures({ question_classification: { question_type: "analysis", emotional_state: "curious", reasoning: "", required_data: [] } });
+        const res = await ctx.request("POST", "/openai/route", { token: alice.token, body: { question: "Should I pay off my car loan?" } });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.classification.source, "heuristic");
+        assert.equal(res.body.classification.question_type, "recommendation");
+    });
+
+    it("dry-runs the routing with reasons", async () => {
+        useFixtures();
+        const res = await ctx.request("POST", "/openai/route", {
+            token: alice.token,
+            body: { question: "I'm worried about my spending", classification: { question_type: "diagnosis", emotional_state: "anxious" } },
+        });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(
+            res.body.experts.map((e) => e.expert),
+            ["financial_analyst", "behavioral_therapist", "lifestyle_auditor", "debt_strategist"]
+        );
+        assert.ok(res.body.experts.every((e) => e.icon && e.name && e.reasons.length));
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createModelClassifier, heuristicClassifier, withFallback } from "../services/questionClassifier.js";
+
+const failing = (message) => ({
+    name: "model",
+    classify: async () => {
+        throw new Error(message);
+    },
+});
+
+// A provider whose structured output is whatever the test hands it
+const providerReturning = (parsed) => ({ completeJSON: async () => parsed });
+
+describe("heuristicClassifier", () => {
+    it("classifies by keywords and asks for the data the topic needs", async () => {
+        const result = await heuristicClassifier.classify("I'm so stressed, how long until my credit card debt is paid off?");
+        assert.equal(result.question_type, "calculation");
+        assert.equal(result.emotional_state, "anxious");
+        assert.deepEqual(result.required_data, ["liabilities"]);
+        assert.equal(result.topics.debt, true);
+        assert.equal(result.source, "heuristic");
+    });
+
+    it("treats a question without cues as a curious, complex one", async () => {
+        const result = await heuristicClassifier.classify("Tell me about my situation");
+        assert.deepEqual([result.question_type, result.emotional_state], ["complex", "curious"]);
+    });
+});
+
+describe("withFallback", () => {
+    it("answers with the primary when it works", async () => {
+        const model = createModelClassifier({
+            model: "router",
+            provider: providerReturning({ question_type: "tax", emotional_state: "curious", reasoning: "About taxes.", required_data: ["incomes"] }),
+        });
+        const result = await withFallback(model).classify("Should I change my withholding?");
+        assert.equal(result.source, "model");
+        assert.equal(result.question_type, "tax");
+        assert.equal(result.topics.taxes, true);
+        assert.equal(result.fallbackReason, undefined);
+    });
+
+    it("falls back to the heuristic when the primary throws", async () => {
+        const result = await withFallback(failing("503 Service Unavailable")).classify("What is my net worth?");
+        assert.equal(result.source, "heuristic");
+        assert.equal(result.question_type, "lookup");
+        assert.equal(result.fallbackReason, "503 Service Unavailable");
+    });
+
+    it("falls back when the model answers outside the taxonomy", async () => {
+        const model = createModelClassifier({
+            model: "router",
+            provider: providerReturning({ question_type: "gossip", emotional_state: "curious", reasoning: "", required_data: [] }),
+        });
+        const classifier = withFallback(model);
+        assert.equal(classifier.name, "model+heuristic");
+
+        const result = await classifier.classify("What is my net worth?");
+        assert.equal(result.source, "heuristic");
+        assert.match(result.fallbackReason, /Unknown question_type "gossip"/);
+    });
+
+    it("doesn't fall back once the caller has gone away", async () => {
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(
+            withFallback(failing("aborted")).classify("What is my net worth?", null, { signal: controller.signal }),
+            /aborted/
+        );
+    });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readExpertCallConfig } from "../services/agentRouting.js";
+import { isRetryable, TimeoutError, withRetry } from "../services/retry.js";
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+// Fails with the given errors in turn, then answers "ok"
+const flaky = (...failures) => {
+    const calls = [];
+    const fn = async (signal) => {
+        calls.push(signal);
+        if (calls.length <= failures.length) throw failures[calls.length - 1];
+        return "ok";
+    };
+    return { fn, calls };
+};
+
+describe("readExpertCallConfig", () => {
+    it("uses the defaults when nothing is set", () => {
+        assert.deepEqual(readExpertCallConfig({}), { timeoutMs: 45000, retries: 2, baseDelayMs: 500 });
+    });
+
+    it("reads whole numbers, including zero retries", () => {
+        const config = readExpertCallConfig({ EXPERT_TIMEOUT_MS: "1000", EXPERT_RETRIES: "0", EXPERT_RETRY_BASE_MS: " 50 " });
+        assert.deepEqual(config, { timeoutMs: 1000, retries: 0, baseDelayMs: 50 });
+    });
+
+    it("falls back to the default for malformed values", () => {
+        for (const value of ["abc", "", "-1", "1.5", "Infinity"]) {
+            const config = readExpertCallConfig({ EXPERT_TIMEOUT_MS: value, EXPERT_RETRIES: value, EXPERT_RETRY_BASE_MS: value });
+            assert.deepEqual(config, { timeoutMs: 45000, retries: 2, baseDelayMs: 500 }, value);
+        }
+        assert.equal(readExpertCallConfig({ EXPERT_TIMEOUT_MS: "0" }).timeoutMs, 45000);
+    });
+});
+
+describe("isRetryable", () => {
+    it("retries timeouts, network errors and transient statuses only", () => {
+        for (const err of [new TimeoutError("x", 1), httpError(429), httpError(503), new SyntaxError("bad JSON"), Object.assign(new Error(), { name: "APIConnectionError" })]) {
+            assert.equal(isRetryable(err), true, err.message);
+        }
+        for (const err of [httpError(400), httpError(401), httpError(404), new Error("boom")]) {
+            assert.equal(isRetryable(err), false, err.message);
+        }
+    });
+});
+
+describe("withRetry", () => {
+    it("retries a transient failure with growing delays", async () => {
+        const { fn, calls } = flaky(httpError(503), httpError(429));
+        const retries = [];
+        const result = await withRetry(fn, { retries: 2, baseDelayMs: 1, onRetry: (info) => retries.push(info) });
+        assert.equal(result, "ok");
+        assert.equal(calls.length, 3);
+        assert.deepEqual(retries.map((r) => [r.attempt, r.error.status]), [[1, 503], [2, 429]]);
+        assert.ok(retries[1].delay >= 2 && retries[1].delay <= 2.5);
+    });
+
+    it("gives up after the last retry, and at once for a permanent error", async () => {
+        const transient = flaky(httpError(500), httpError(500), httpError(502));
+        await assert.rejects(withRetry(transient.fn, { retries: 1, baseDelayMs: 1 }), { status: 500 });
+        assert.equal(transient.calls.length, 2);
+
+        const permanent = flaky(httpError(400));
+        await assert.rejects(withRetry(permanent.fn, { retries: 3, baseDelayMs: 1 }), { status: 400 });
+        assert.equal(permanent.calls.length, 1);
+    });
+
+    it("aborts a slow attempt with a TimeoutError and retries it", async () => {
+        let attempts = 0;
+        const slowThenFast = (signal) => {
+            attempts++;
+            if (attempts > 1) return Promise.resolve("fast");
+            return new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(new Error("aborted"))));
+        };
+        assert.equal(await withRetry(slowThenFast, { label: "expert:test", timeoutMs: 20, retries: 1, baseDelayMs: 1 }), "fast");
+
+        const neverAnswers = (signal) => new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(new Error("aborted"))));
+        await assert.rejects(withRetry(neverAnswers, { label: "expert:test", timeoutMs: 20, retries: 0 }), {
+            name: "TimeoutError",
+            message: "expert:test timed out after 20ms",
+        });
+    });
+
+    it("stops without retrying when the caller aborts", async () => {
+        const controller = new AbortController();
+        const { fn, calls } = flaky(httpError(503), httpError(503));
+        const pending = withRetry(async (signal) => {
+            controller.abort(new Error("client disconnected"));
+            return fn(signal);
+        }, { retries: 5, baseDelayMs: 1, signal: controller.signal });
+        await assert.rejects(pending, /client disconnected/);
+        assert.equal(calls.length, 1);
+
+        await assert.rejects(withRetry(fn, { signal: controller.signal }), /client disconnected/);
+        assert.equal(calls.length, 1);
+    });
+});
+
@@ -0,0 +1,45 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createEventLog, findEventLog, parseEventId } from "../services/sse.js";
+
+describe("event log", () => {
+    it("numbers events and replays the ones after a given id", () => {
+        const log = createEventLog({ key: "sse-1", accountId: "acct" });
+        log.emit("status", { status: "one" });
+        log.emit("delta", { delta: "two" });
+
+        const seen = [];
+        log.subscribe(1, (entry) => seen.push(entry));
+        log.emit("delta", { delta: "three" });
+
+        assert.deepEqual(seen.map((e) => [e.id, e.event]), [["sse-1:2", "delta"], ["sse-1:3", "delta"]]);
+    });
+
+    it("ends at the first terminal event", () => {
+        const log = createEventLog({ key: "sse-2", accountId: "acct" });
+        log.emit("done", { done: true });
+        log.emit("error", { error: "too late" });
+
+        const seen = [];
+        log.subscribe(0, (entry) => seen.push(entry.event));
+        assert.deepEqual(seen, ["done"]);
+        assert.equal(log.closed, true);
+    });
+
+    it("rejects unknown event types", () => {
+        const log = createEventLog({ key: "sse-3", accountId: "acct" });
+        assert.throws(() => log.emit("progress", {}), /Unknown SSE event/);
+    });
+
+    it("only hands a log to its own account", () => {
+        createEventLog({ key: 42, accountId: "acct" });
+        assert.ok(findEventLog(42, "acct"));
+        assert.equal(findEventLog(42, "someone-else"), null);
+    });
+
+    it("parses Last-Event-ID values", () => {
+        assert.deepEqual(parseEventId("42:7"), { key: "42", seq: 7 });
+        assert.equal(parseEventId("7"), null);
+        assert.equal(parseEventId(undefined), null);
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import xlsx, { version as xlsxVersion } from "xlsx";
+import { defaultMappingFor, detectFormat, mapStatementRows, parseStatement } from "../services/statementImport.js";
+
+// OFX 1.x: SGML with the closing tags of the values left out
+const OFX = `OFXHEADER:100
+DATA:OFXSGML
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20250301120000[-5:EST]
+<TRNAMT>-4.50
+<FITID>1
+<NAME>BLUE BOTTLE
+<MEMO>Coffee
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20250305
+<TRNAMT>500.00
+<FITID>2
+<NAME>PAYMENT THANK YOU
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>
+`;
+
+const workbook = (rows) => {
+    const book = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(book, xlsx.utils.aoa_to_sheet(rows), "Transactions");
+    return xlsx.write(book, { type: "buffer", bookType: "xlsx" });
+};
+
+describe("xlsx", () => {
+    it("is a SheetJS build with the prototype pollution and ReDoS fixes (0.20.2+)", () => {
+        const [major, minor, patch] = xlsxVersion.split(".").map(Number);
+        assert.ok(major > 0 || minor > 20 || (minor === 20 && patch >= 2), `xlsx ${xlsxVersion} is installed`);
+    });
+});
+
+describe("detectFormat", () => {
+    it("goes by the extension, then by the content", () => {
+        assert.equal(detectFormat({ originalname: "march.QFX", buffer: Buffer.from("") }), "ofx");
+        assert.equal(detectFormat({ originalname: "march.xls", buffer: Buffer.from("") }), "xlsx");
+        assert.equal(detectFormat({ originalname: "download", buffer: Buffer.from(OFX) }), "ofx");
+        assert.equal(detectFormat({ originalname: "download", buffer: workbook([["a"]]) }), "xlsx");
+        assert.equal(detectFormat({ originalname: "download", buffer: Buffer.from("Date,Amount\n") }), "csv");
+    });
+});
+
+describe("parseStatement", () => {
+    it("reads every OFX transaction block and maps it without a profile", async () => {
+        const parsed = await parseStatement({ originalname: "march.ofx", buffer: Buffer.from(OFX) });
+        assert.equal(parsed.format, "ofx");
+        assert.deepEqual(parsed.headers, ["TRNTYPE", "DTPOSTED", "TRNAMT", "FITID", "NAME", "MEMO"]);
+
+        const { records, errors } = mapStatementRows(parsed.rows, defaultMappingFor("ofx"));
+        assert.deepEqual(errors, []);
+        assert.deepEqual(records.map((r) => r.record), [
+            { transaction_date: "2025-03-01", description: "BLUE BOTTLE", type: "Sale", amount: 4.5, memo: "Coffee" },
+            { transaction_date: "2025-03-05", description: "PAYMENT THANK YOU", type: "Payment", amount: -500 },
+        ]);
+    });
+
+    it("reads the first sheet of a workbook, including date cells", async () => {
+        const buffer = workbook([
+            ["Date", "Description", "Amount"],
+            [new Date(Date.UTC(2025, 2, 1)), "BLUE BOTTLE", -4.5],
+            ["2025-03-05", "SHELL OIL", -40],
+        ]);
+        const parsed = await parseStatement({ originalname: "march.xlsx", buffer });
+        assert.equal(parsed.format, "xlsx");
+        assert.deepEqual(parsed.headers, ["Date", "Description", "Amount"]);
+
+        const mapping = {
+            columns: { transaction_date: "Date", description: "Description", amount: "Amount" },
+            dateFormat: "YYYY-MM-DD",
+            amountSign: "spend_negative",
+        };
+        assert.deepEqual(mapStatementRows(parsed.rows, mapping).records.map((r) => r.record), [
+            { transaction_date: "2025-03-01", description: "BLUE BOTTLE", type: "Sale", amount: 4.5 },
+            { transaction_date: "2025-03-05", description: "SHELL OIL", type: "Sale", amount: 40 },
+        ]);
+    });
+
+    it("reports OFX blocks it can't map by line", async () => {
+        const broken = OFX.replace("<TRNAMT>500.00", "<TRNAMT>five hundred");
+        const parsed = await parseStatement({ originalname: "march.ofx", buffer: Buffer.from(broken) });
+        const { records, errors } = mapStatementRows(parsed.rows, defaultMappingFor("ofx"));
+        assert.equal(records.length, 1);
+        assert.deepEqual(errors.map((e) => [e.line, e.errors.map((x) => x.field)]), [[3, ["type", "amount"]]]);
+    });
+});